@@ -6,13 +6,128 @@ module.exports = {
     delayBetweenRequests: 1000,
     userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
   },
+  staticFetch: {
+    enabled: true,           // try axios + cheerio before launching a browser
+    timeout: 30000,
+    minTextLength: 500,      // less text than this means the page is probably JS-rendered
+    spaShellSelectors: ['#root', '#app', '#__next', '#__nuxt', '[ng-app]', 'app-root']
+  },
+  politeness: {
+    respectRobotsTxt: true,
+    userAgentToken: 'FlipCrawler', // token matched against robots.txt User-agent groups
+    maxConcurrentPerHost: 2,
+    delayPerHost: 2000,      // minimum ms between request starts on one host
+    maxCrawlDelay: 30000,    // upper bound for a site's Crawl-delay
+    robotsRetryAfter: 300000 // ms a host stays disallowed after its robots.txt failed (5xx, unreachable)
+  },
+  httpCache: {
+    enabled: true,
+    dir: '.http_cache',      // relative to the working directory
+    maxAge: 0,               // ms an entry is served without revalidation (0 = always revalidate)
+    offline: false           // serve only from cache, never touch the network
+  },
+  retry: {
+    maxAttempts: 3,          // including the first try; only retryable error classes are retried
+    baseDelay: 2000,         // first backoff, doubled on every further attempt
+    maxDelay: 30000,
+    jitter: 0.5,             // up to this fraction of the delay is randomly shaved off
+    circuitFailureThreshold: 5, // consecutive host-level failures that open a host's circuit
+    circuitCooldown: 120000  // ms an open circuit rejects requests before a trial request
+  },
+  archive: {
+    enabled: false,          // keep every fetched HTML/PDF, rendered DOM and screenshot (also --archive)
+    dir: 'archive',          // one sub-directory per run, relative to the working directory
+    screenshots: true        // full-page PNG of browser-rendered pages
+  },
+  networkCapture: {
+    enabled: true,           // keep JSON XHR/fetch responses loaded by rendered pages
+    urlPatterns: [/\/api\/.*(offer|card|reward|benefit|deal)/i, /(offers?|deals|rewards|benefits)[^/]*\.json/i],
+    minKeywordHits: 3,       // distinct card/offer keywords an unmatched payload needs
+    minPayloadBytes: 200,
+    maxPayloadBytes: 2000000,
+    maxPayloads: 20,         // per page
+    maxPromptChars: 20000    // JSON sent to the model per page
+  },
+  sitemapDiscovery: {
+    timeout: 30000,
+    maxSitemaps: 50,         // sitemap files read per domain, indexes included
+    maxUrls: 50000,          // sitemap entries considered per domain
+    fallbackPaths: ['/sitemap.xml', '/sitemap_index.xml'], // tried when robots.txt lists no sitemap
+    // Card pages on issuers without cardPatterns in their site adapter
+    cardUrlPatterns: [/credit[-_]?cards?\/[^/]+/i],
+    excludePatterns: [
+      /\/(apply|apply-now|faqs?|blogs?|news|press|media|careers|login|compare|offers?|terms|tnc|mitc|fees-and-charges|calculators?)(\/|[-.?#]|$)/i,
+      /\.(pdf|jpe?g|png|gif|svg|webp|zip|docx?|xlsx?)([?#]|$)/i
+    ]
+  },
+  linkScoring: {
+    threshold: 2,            // links scoring below this are rejected
+    weights: {},             // rule id -> weight, overriding the defaults in src/linkScorer.js
+    rules: []                // extra rules: { id, weight, patterns: [RegExp], on: 'text' | 'href' | 'any' }
+  },
+  canonicalization: {
+    ignoreScheme: true,      // http and https URLs are the same page
+    // Query parameters that never change the content (analytics and campaign tags)
+    trackingParams: [
+      /^utm_/i, /^(gclid|fbclid|msclkid|dclid|gbraid|wbraid|yclid|igshid|mc_cid|mc_eid|_ga|_gl|s_kwcid|ef_id|icid)$/i
+    ]
+  },
+  frontier: {
+    maxDepth: 2,             // link hops from the card page (1 = only links on the card page)
+    concurrency: 4,          // links fetched at once; politeness still limits each host
+    maxPages: 60,            // linked pages and documents fetched per card
+    maxBytes: 50 * 1024 * 1024, // bytes of pages and PDFs fetched per card
+    maxTime: 10 * 60 * 1000  // ms spent following links per card
+  },
+  pageExpansion: {
+    enabled: true,           // open tabs, accordions and "view more" sections before extraction
+    maxClicks: 60,
+    settleTimeout: 5000
+  },
+  browserPool: {
+    size: 2,                 // browsers kept alive at once
+    maxPagesPerBrowser: 2,   // concurrent pages per browser
+    recycleAfter: 50,        // relaunch a browser after serving this many pages
+    idleTimeout: 30000,      // close idle browsers after this many ms
+    launchTimeout: 120000
+  },
   openai: {
     model: 'gpt-4.1-mini',
     temperature: 0.1,
     maxTokens: 10000
   },
+  llm: {
+    provider: 'openai',      // 'openai' (or any OpenAI-compatible server via baseURL), 'azure' or 'mock'
+    baseURL: null,           // e.g. http://localhost:8080/v1 for llama.cpp, http://localhost:8000/v1 for vLLM
+    model: null,             // overrides openai.model
+    headers: {},             // extra headers sent with every request
+    timeout: 120000,         // ms per request
+    maxRetries: 2,
+    azure: {
+      endpoint: null,        // https://<resource>.openai.azure.com
+      apiVersion: '2024-10-21',
+      deployment: null       // used as the model name
+    },
+    recordDir: null,         // save every completion here so the run can be replayed (also --llm-record)
+    replayDir: '.llm_recordings' // where the mock provider reads recorded completions
+  },
+  extraction: {
+    mode: 'json_schema',     // 'json_schema' (structured outputs), 'tool' (strict function call) or 'prompt' (JSON template in the prompt)
+    maxContinuations: 2      // follow-up requests when a reply is cut off at openai.maxTokens
+  },
+  schemaValidation: {
+    enabled: true,           // check AI output against src/schemas/*.schema.json
+    maxRepairAttempts: 2,    // times an invalid reply is sent back to the model with its problems
+    maxViolationsInPrompt: 30
+  },
+  citations: {
+    enabled: true,           // check the quotes cited by extracted items against the fetched text
+    unverified: 'flag',      // 'flag' keeps unverified items with source.verified false, 'drop' removes them
+    minQuoteLength: 12       // shorter quotes are too generic to count as evidence
+  },
   content: {
-    maxContentLength: 45000,
+    maxContentLength: 45000,   // characters of source content in one AI request; longer content is extracted in chunks
+    maxChunkTokens: 12000,     // estimated tokens of source content in one AI request
     unwantedSelectors: [
       'script', 'style', 'nav', 'header', 'footer', 
       '.advertisement', '.ads', '.social-media', '.navigation', 
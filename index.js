@@ -1,6 +1,10 @@
 const CardholderBenefitsCrawler = require('./src/crawler');
 const ListingCrawler = require('./src/listingCrawler');
 const Utils = require('./src/utils');
+const BrowserPool = require('./src/browserPool');
+const SiteAdapters = require('./src/adapters');
+const HttpCache = require('./src/httpCache');
+const SitemapDiscovery = require('./src/sitemapDiscovery');
 
 /**
  * Smart function that detects if URL is a listing or individual card page
@@ -36,66 +40,90 @@ async function extractCardListing(url, openaiApiKey, options = {}) {
 }
 
 /**
- * Detect if URL is a listing page or individual card page
+ * Find card pages of an issuer domain through its sitemaps and save them as a seed list.
+ * options.since or options.previousSeeds mark changed pages; options.changedOnly keeps only those.
+ */
+async function discoverCardUrls(domain, options = {}) {
+    const httpCache = options.httpCache ||
+                      (options.offline ? new HttpCache({ offline: true }) : HttpCache.shared());
+    const discovery = new SitemapDiscovery({
+        httpCache: httpCache,
+        scheduler: options.scheduler || CardholderBenefitsCrawler.createScheduler(httpCache, options)
+    });
+    const result = await discovery.discover(domain, options);
+    result.output_file = discovery.save(result);
+    return result;
+}
+
+/**
+ * Detect if URL is a listing page or individual card page.
+ * The issuer adapter for the host decides first; generic URL patterns are the fallback.
  */
 function detectListingPage(url, forceListingMode = false) {
     if (forceListingMode) return true;
 
-    const urlLower = url.toLowerCase();
-    
-    // Listing page indicators
-    const listingIndicators = [
-        'credit-cards',      // Generic credit cards page
-        'cards/credit-cards', // HDFC pattern
-        '/cards/',           // Generic cards section
-        'all-credit-cards',  // All cards page
-        'compare-cards',     // Comparison page
-        'card-listing',      // Direct listing
-        'credit-card-offers' // Offers page
-    ];
-
-    // Individual card indicators (these override listing detection)
-    const individualIndicators = [
-        'pixel-play-credit-card',    // Specific card names
-        'regalia-credit-card',
-        'millennia-credit-card',
-        'diners-club',
-        'times-credit-card',
-        'freedom-credit-card'
-    ];
-
-    // Check for individual card indicators first
-    const isIndividualCard = individualIndicators.some(indicator => 
-        urlLower.includes(indicator)
-    );
-
-    if (isIndividualCard) {
-        return false; // Individual card page
+    const adapter = SiteAdapters.forUrl(url);
+    const verdict = adapter.detectListingPage(url);
+    if (verdict !== null) {
+        console.log(`🏦 ${adapter.name} adapter classified the page as ${verdict ? 'listing' : 'individual card'}`);
+        return verdict;
     }
 
-    // Check for listing indicators
-    const isListingPage = listingIndicators.some(indicator => 
-        urlLower.includes(indicator)
-    );
-
-    return isListingPage;
+    return SiteAdapters.generic.detectListingPage(url) === true;
 }
 
 module.exports = {
     extractCardBenefits,      // Smart detection function
     extractSingleCard,       // Explicit single card extraction
     extractCardListing,      // Explicit listing extraction
+    discoverCardUrls,        // Sitemap-based card page discovery
     detectListingPage        // Utility function
 };
 
 // CLI usage
 if (require.main === module) {
     const args = process.argv.slice(2);
+    const argValue = flag => {
+        const index = args.indexOf(flag);
+        return index >= 0 && args[index + 1] && !args[index + 1].startsWith('--') ? args[index + 1] : null;
+    };
+
+    if (args.includes('--discover')) {
+        if (!args[0] || args[0].startsWith('--')) {
+            console.log('Usage: node index.js <domain> --discover [--since <date>] [--previous <seeds.json>] [--changed-only] [--offline]');
+            process.exit(1);
+        }
+        const previousFile = argValue('--previous');
+        discoverCardUrls(args[0], {
+            offline: args.includes('--offline'),
+            since: argValue('--since'),
+            previousSeeds: previousFile ? JSON.parse(require('fs').readFileSync(previousFile, 'utf8')).seeds : null,
+            changedOnly: args.includes('--changed-only')
+        })
+            .then(result => {
+                console.log(JSON.stringify(result.seeds, null, 2));
+            })
+            .catch(error => {
+                console.error('Error:', error.message);
+                process.exitCode = 1;
+            });
+        return;
+    }
+
     if (args.length < 2) {
-        console.log('Usage: node index.js <url> <openai-api-key> [--listing] [--single]');
+        console.log('Usage: node index.js <url> <openai-api-key> [--listing] [--single] [--offline] [--archive] [--llm <provider>] [--llm-base-url <url>] [--llm-model <model>] [--llm-record <dir>] [--llm-replay <dir>]');
+        console.log('       node index.js <domain> --discover [--since <date>] [--previous <seeds.json>] [--changed-only]');
         console.log('Options:');
         console.log('  --listing  Force listing mode');
         console.log('  --single   Force single card mode');
+        console.log('  --offline  Replay fetches from the HTTP cache without touching the network');
+        console.log('  --archive  Keep every fetched page, PDF, rendered DOM and screenshot under archive/');
+        console.log('  --discover List card pages from the domain\'s sitemaps with their lastmod dates');
+        console.log('  --llm      LLM provider: openai (default), azure or mock (replays recorded completions)');
+        console.log('  --llm-base-url  OpenAI-compatible server, e.g. http://localhost:8080/v1');
+        console.log('  --llm-model     Model (or Azure deployment) to use');
+        console.log('  --llm-record    Save every completion to this directory for later replay');
+        console.log('  --llm-replay    Directory the mock provider replays completions from');
         process.exit(1);
     }
 
@@ -103,14 +131,26 @@ if (require.main === module) {
     const apiKey = args[1];
     const forceListingMode = args.includes('--listing');
     const forceSingleMode = args.includes('--single');
+    const llm = Object.fromEntries(Object.entries({
+        provider: argValue('--llm'),
+        baseURL: argValue('--llm-base-url'),
+        model: argValue('--llm-model'),
+        recordDir: argValue('--llm-record'),
+        replayDir: argValue('--llm-replay')
+    }).filter(([, value]) => value !== null));
+    const options = {
+        offline: args.includes('--offline'),
+        archive: args.includes('--archive') || undefined,
+        llm: llm
+    };
 
     let extractFunction;
     if (forceListingMode) {
-        extractFunction = () => extractCardListing(url, apiKey);
+        extractFunction = () => extractCardListing(url, apiKey, options);
     } else if (forceSingleMode) {
-        extractFunction = () => extractSingleCard(url, apiKey);
+        extractFunction = () => extractSingleCard(url, apiKey, options);
     } else {
-        extractFunction = () => extractCardBenefits(url, apiKey, { forceListingMode: false });
+        extractFunction = () => extractCardBenefits(url, apiKey, { ...options, forceListingMode: false });
     }
 
     extractFunction()
@@ -119,6 +159,7 @@ if (require.main === module) {
         })
         .catch(error => {
             console.error('Error:', error.message);
-            process.exit(1);
-        });
+            process.exitCode = 1;
+        })
+        .finally(() => BrowserPool.closeShared());
 }
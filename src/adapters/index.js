@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const SiteAdapter = require('./siteAdapter');
+
+const ISSUERS_DIR = path.join(__dirname, 'issuers');
+
+// Used for any site without an issuer definition
+const GENERIC = new SiteAdapter({
+    id: 'generic',
+    name: 'Generic',
+    hostnames: [],
+    listingPatterns: [
+        /credit-cards/i,        // Generic credit cards page
+        /\/cards\//i,           // Generic cards section
+        /all-credit-cards/i,    // All cards page
+        /compare-cards/i,       // Comparison page
+        /card-listing/i,        // Direct listing
+        /credit-card-offers/i   // Offers page
+    ]
+});
+
+let adapters = null;
+
+/**
+ * Load every issuer definition in adapters/issuers; adding a bank is adding a file there
+ */
+function loadAdapters() {
+    if (adapters) return adapters;
+
+    adapters = fs.readdirSync(ISSUERS_DIR)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .map(file => {
+            try {
+                return new SiteAdapter(require(path.join(ISSUERS_DIR, file)));
+            } catch (error) {
+                console.error(`❌ Could not load site adapter ${file}: ${error.message}`);
+                return null;
+            }
+        })
+        .filter(Boolean);
+
+    return adapters;
+}
+
+/**
+ * Pick the adapter for a URL by hostname, falling back to the generic one
+ */
+function forUrl(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname;
+    } catch (e) {
+        return GENERIC;
+    }
+    return loadAdapters().find(adapter => adapter.matchesHost(hostname)) || GENERIC;
+}
+
+/**
+ * Register an adapter definition at runtime (e.g. from a caller's own package)
+ */
+function register(definition) {
+    const adapter = new SiteAdapter(definition);
+    loadAdapters().unshift(adapter);
+    return adapter;
+}
+
+module.exports = {
+    forUrl,
+    register,
+    all: () => [...loadAdapters()],
+    generic: GENERIC
+};
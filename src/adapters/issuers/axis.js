@@ -0,0 +1,12 @@
+module.exports = {
+    id: 'axis',
+    name: 'Axis Bank',
+    hostnames: ['axisbank.com'],
+    extraDomains: ['grabdeals.axisbank.com'],
+    relevantPatterns: [/edge.?reward/i, /grab.?deals/i, /dining.?delights/i],
+    linkTypes: [
+        { pattern: /grabdeals/i, type: 'offers' }
+    ],
+    listingPatterns: [/\/cards\/credit-card\/?(?:[?#]|$)/i],
+    cardPatterns: [/\/cards\/credit-card\/[^/?#]+/i]
+};
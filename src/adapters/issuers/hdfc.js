@@ -0,0 +1,26 @@
+module.exports = {
+    id: 'hdfc',
+    name: 'HDFC Bank',
+    hostnames: ['hdfcbank.com'],
+    extraDomains: ['smartbuy.hdfcbank.com', 'offers.hdfcbank.com', 'mycards.hdfcbank.com', 'pixel.hdfcbank.com'],
+    urlRewrites: [
+        {
+            // DAM repository links wrap the real document path in ?path=
+            match: /\/content\/bbp\/repositories\/.*[?&]path=/,
+            rewrite: urlObj => {
+                const pathParam = urlObj.searchParams.get('path');
+                return pathParam ? 'https://www.hdfcbank.com' + decodeURIComponent(pathParam) : null;
+            }
+        }
+    ],
+    relevantPatterns: [/pixel/i, /payzapp/i, /pay.?zapp/i, /smartbuy/i, /smart.?buy/i],
+    linkTypes: [
+        { pattern: /smartbuy/i, type: 'offers' },
+        { pattern: /payzapp/i, type: 'card_features' }
+    ],
+    // SmartBuy and the offers portal load their offer tiles from JSON endpoints
+    captureUrlPatterns: [/(smartbuy|offers)\.hdfcbank\.com\/.*(offer|deal|merchant|categor)/i],
+    listingPatterns: [/\/cards\/credit-cards\/?(?:[?#]|$)/i],
+    cardPatterns: [/\/cards\/credit-cards\/[^/?#]+/i],
+    pdfReferer: 'https://www.hdfcbank.com/'
+};
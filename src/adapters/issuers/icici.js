@@ -0,0 +1,8 @@
+module.exports = {
+    id: 'icici',
+    name: 'ICICI Bank',
+    hostnames: ['icicibank.com'],
+    relevantPatterns: [/amazon.?pay/i, /coral/i, /rubyx/i, /sapphiro/i, /emeralde/i],
+    listingPatterns: [/\/cards\/credit-card\/?(?:[?#]|$)/i],
+    cardPatterns: [/\/cards\/credit-card\/[^/?#]+/i]
+};
@@ -0,0 +1,9 @@
+module.exports = {
+    id: 'sbi_card',
+    name: 'SBI Card',
+    hostnames: ['sbicard.com'],
+    extraDomains: ['sbi.co.in'],
+    relevantPatterns: [/simply.?click/i, /simply.?save/i, /reward.?z/i],
+    listingPatterns: [/\/personal\/credit-cards(\/[^/]+)?\.page/i],
+    cardPatterns: [/\/credit-cards\/[^/]+\/[^/]+\.page/i]
+};
@@ -0,0 +1,100 @@
+/**
+ * Wraps an issuer definition (see adapters/issuers/*.js) with the behaviour the crawler needs.
+ *
+ * Definition fields, all optional except id and hostnames:
+ *   id, name          identifiers used in logs and metadata
+ *   hostnames         issuer domains; subdomains match too
+ *   extraDomains      other domains whose links count as the issuer's own
+ *   urlRewrites       [{ match: RegExp, rewrite: (urlObj) => string|null }]
+ *   relevantPatterns  extra regexes that make a link relevant (link rule issuer_relevant)
+ *   irrelevantPatterns extra regexes that reject a link (link rule issuer_irrelevant)
+ *   linkRules         extra link scoring rules [{ id, weight, patterns: [RegExp], on: 'text'|'href'|'any' }]
+ *   linkWeights       { ruleId: weight } overrides of link scoring weights for this issuer
+ *   linkTypes         [{ pattern: RegExp, type }] link classification hints
+ *   removeSelectors   extra page elements to drop before extraction
+ *   expandSelectors   extra toggles to click before extraction
+ *   captureUrlPatterns regexes of JSON endpoints whose responses hold card or offer data
+ *   listingPatterns   regexes of listing pages
+ *   cardPatterns      regexes of individual card pages (win over listingPatterns)
+ *   pdfReferer        Referer header some document servers insist on
+ */
+class SiteAdapter {
+    constructor(definition) {
+        this.id = definition.id;
+        this.name = definition.name || definition.id;
+        this.hostnames = definition.hostnames || [];
+        this.extraDomains = definition.extraDomains || [];
+        this.urlRewrites = definition.urlRewrites || [];
+        this.relevantPatterns = definition.relevantPatterns || [];
+        this.irrelevantPatterns = definition.irrelevantPatterns || [];
+        this.linkRules = definition.linkRules || [];
+        this.linkWeights = definition.linkWeights || {};
+        this.linkTypes = definition.linkTypes || [];
+        this.removeSelectors = definition.removeSelectors || [];
+        this.expandSelectors = definition.expandSelectors || [];
+        this.captureUrlPatterns = definition.captureUrlPatterns || [];
+        this.listingPatterns = definition.listingPatterns || [];
+        this.cardPatterns = definition.cardPatterns || [];
+        this.pdfReferer = definition.pdfReferer || null;
+    }
+
+    /**
+     * True when the hostname belongs to this issuer
+     */
+    matchesHost(hostname) {
+        const host = (hostname || '').toLowerCase();
+        return this.hostnames.some(name => host === name || host.endsWith(`.${name}`));
+    }
+
+    /**
+     * True when a link points at the issuer or one of its partner domains
+     */
+    isIssuerDomain(url) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname.toLowerCase();
+        } catch (e) {
+            return false;
+        }
+        return this.matchesHost(hostname) ||
+               this.extraDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+    }
+
+    /**
+     * Apply the issuer's URL rewrites; returns the original URL when none applies
+     */
+    rewriteUrl(url, { quiet = false } = {}) {
+        for (const rule of this.urlRewrites) {
+            if (!rule.match.test(url)) continue;
+            try {
+                const rewritten = rule.rewrite(new URL(url));
+                if (rewritten && rewritten !== url) {
+                    if (!quiet) console.log(`🔧 ${this.name} URL rewritten: ${rewritten}`);
+                    return rewritten;
+                }
+            } catch (e) {
+                if (!quiet) console.log(`⚠️ Could not rewrite ${url}: ${e.message}`);
+            }
+        }
+        return url;
+    }
+
+    /**
+     * Link type suggested by the issuer, or null
+     */
+    classifyLink(href, text) {
+        const hint = this.linkTypes.find(rule => rule.pattern.test(href) || rule.pattern.test(text));
+        return hint ? hint.type : null;
+    }
+
+    /**
+     * true / false when the issuer knows the page kind, null when it has no opinion
+     */
+    detectListingPage(url) {
+        if (this.cardPatterns.some(pattern => pattern.test(url))) return false;
+        if (this.listingPatterns.some(pattern => pattern.test(url))) return true;
+        return null;
+    }
+}
+
+module.exports = SiteAdapter;
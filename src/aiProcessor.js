@@ -1,167 +1,17 @@
-const OpenAI = require('openai');
 const config = require('../config/config');
+const LlmProviders = require('./llm');
 const Utils = require('./utils');
+const TableExtractor = require('./tableExtractor');
+const NetworkCapture = require('./networkCapture');
+const StructuredDataExtractor = require('./structuredDataExtractor');
+const SchemaValidator = require('./schemaValidator');
+const ExtractionSchema = require('./extractionSchema');
+const ContentChunker = require('./contentChunker');
+const ExtractionMerger = require('./extractionMerger');
 const axios = require('axios');
 
-class AIProcessor {
-    constructor(apiKey) {
-        this.openai = new OpenAI({ apiKey });
-        this.config = config.openai;
-        this.totalInputTokens = 0;
-        this.totalOutputTokens = 0;
-    }
-
-    /**
-     * Extract credit card URLs from listing pages
-     */
-    async extractCardUrls(url, maxUrls = 50) {
-        try {
-            console.log(`🔍 Extracting card URLs from: ${url}`);
-            
-            const prompt = `Extract credit card page URLs from this listing content.
-
-URL: ${url}
-
-Return a JSON array of unique URLs that lead to individual credit card pages.
-Look for URLs containing terms like: card, credit, benefits, features, apply, details
-Exclude: general pages, footer links, navigation, social media
-Maximum ${maxUrls} URLs.
-
-Return format: ["url1", "url2", "url3"]`;
-
-            const response = await this.openai.chat.completions.create({
-                model: this.config.model,
-                messages: [
-                    { role: "system", content: "Extract credit card URLs from listing pages. Return only a JSON array of URLs." },
-                    { role: "user", content: prompt }
-                ],
-                temperature: 0.1,
-                max_tokens: 2000
-            });
-
-            const content = response.choices[0].message.content;
-            this.updateTokenUsage(response.usage);
-
-            // Parse URLs from response
-            const urls = JSON.parse(content);
-            console.log(`✅ Extracted ${urls.length} credit card URLs`);
-            return urls;
-
-        } catch (error) {
-            console.error('❌ Failed to extract card URLs:', error.message);
-            return [];
-        }
-    }
-
-    /**
-     * Process multiple listings in chunks
-     */
-    async processListingInChunks(listings, chunkSize = 5) {
-        console.log(`📊 Processing ${listings.length} listings in chunks of ${chunkSize}`);
-        
-        const allUrls = new Set();
-        
-        for (let i = 0; i < listings.length; i += chunkSize) {
-            const chunk = listings.slice(i, i + chunkSize);
-            console.log(`🔄 Processing chunk ${Math.floor(i/chunkSize) + 1}/${Math.ceil(listings.length/chunkSize)}`);
-            
-            for (const listing of chunk) {
-                try {
-                    const urls = await this.extractCardUrls(listing.url);
-                    urls.forEach(url => allUrls.add(url));
-                    
-                    // Delay between requests
-                    await Utils.sleep(1000);
-                } catch (error) {
-                    console.error(`❌ Failed to process ${listing.url}:`, error.message);
-                }
-            }
-        }
-        
-        return Array.from(allUrls);
-    }
-
-    /**
-     * Main content processing method
-     */
-    async processContent(mainContent, linkedContents, url) {
-        try {
-            console.log('🤖 Processing content with AI...');
-            
-            const prompt = this.buildFlexibleComprehensivePrompt(mainContent, linkedContents, url);
-            
-            const response = await this.openai.chat.completions.create({
-                model: this.config.model,
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a financial data extraction expert. Extract structured credit card information accurately. Return only valid JSON."
-                    },
-                    {
-                        role: "user", 
-                        content: prompt
-                    }
-                ],
-                temperature: 0.1,
-                max_tokens: 4000
-            });
-
-            this.updateTokenUsage(response.usage);
-            
-            const aiResponse = response.choices[0].message.content;
-            console.log('✅ AI processing completed');
-            
-            // Parse the response
-            const parsedData = this.parseAIResponse(aiResponse);
-            
-            return {
-                standardJson: parsedData.standard_format,
-                structuredJson: parsedData.structured_format
-            };
-
-        } catch (error) {
-            console.error('❌ AI processing failed:', error.message);
-            throw error;
-        }
-    }
-
-    /**
-     * Build flexible comprehensive prompt with PDF handling
-     */
-    buildFlexibleComprehensivePrompt(mainContent, linkedContents, url) {
-        // NEW: Check if main content is PDF
-        if (mainContent.contentType === 'pdf') {
-            return this.buildPdfPrompt(mainContent, url);
-        }
-        
-        // EXISTING: Keep original web content logic exactly the same
-        let contentSections = [];
-
-        // Add main content with strict limits
-        const mainText = mainContent.content?.text || '';
-        contentSections.push(`MAIN PAGE:
-URL: ${url}
-TITLE: ${mainContent.title}
-CONTENT: ${mainText}`);
-
-        // Add linked content
-        linkedContents.forEach((link, index) => {
-            if (link.content?.text) {
-                contentSections.push(`LINKED PAGE ${index + 1}:
-URL: ${link.url}
-CONTENT: ${link.content.text}`);
-            }
-        });
-
-        const allContent = contentSections.join('\n\n');
-
-        return `Extract credit card information from provided content and return BOTH formats.
-
-${allContent}
-
-Return JSON with BOTH formats - you can ADD additional fields as needed:
-
-{
+// Output layout pasted into the prompt when the model cannot be given a schema (extraction.mode 'prompt')
+const OUTPUT_TEMPLATE = `{
   "standard_format": {
     "card": {"name": "", "bank": "", "variant": "", "description": "", "target_audience": ""},
     "rewards": {
@@ -178,7 +28,8 @@ Return JSON with BOTH formats - you can ADD additional fields as needed:
             "terms_and_conditions": "",
             "how_to_earn": "",
             "validity": "",
-            "exclusions": ""
+            "exclusions": "",
+            "source": {"url": "", "section": "", "quote": ""}
           }
         ],
         "bonus_rates": [
@@ -186,7 +37,8 @@ Return JSON with BOTH formats - you can ADD additional fields as needed:
             "condition": "",
             "rate": 0,
             "validity": "",
-            "terms_and_conditions": ""
+            "terms_and_conditions": "",
+            "source": {"url": "", "section": "", "quote": ""}
           }
         ]
       },
@@ -212,7 +64,8 @@ Return JSON with BOTH formats - you can ADD additional fields as needed:
         "terms_and_conditions": "",
         "validity": "",
         "eligibility": "",
-        "usage_limit": ""
+        "usage_limit": "",
+        "source": {"url": "", "section": "", "quote": ""}
       }
     ],
     "current_offers": [
@@ -226,7 +79,8 @@ Return JSON with BOTH formats - you can ADD additional fields as needed:
         "eligibility": "",
         "maximum_benefit": "",
         "offer_code": "",
-        "exclusions": ""
+        "exclusions": "",
+        "source": {"url": "", "section": "", "quote": ""}
       }
     ],
     "perks": [
@@ -238,7 +92,8 @@ Return JSON with BOTH formats - you can ADD additional fields as needed:
         "how_to_use": "",
         "terms_and_conditions": "",
         "value": "",
-        "validity": ""
+        "validity": "",
+        "source": {"url": "", "section": "", "quote": ""}
       }
     ],
     "partnerships": [
@@ -250,7 +105,8 @@ Return JSON with BOTH formats - you can ADD additional fields as needed:
         "how_to_avail": "",
         "terms_and_conditions": "",
         "discount_percentage": "",
-        "maximum_discount": ""
+        "maximum_discount": "",
+        "source": {"url": "", "section": "", "quote": ""}
       }
     ],
     "fees_and_charges": [
@@ -259,7 +115,8 @@ Return JSON with BOTH formats - you can ADD additional fields as needed:
         "amount": "",
         "waiver_conditions": "",
         "frequency": "",
-        "terms_and_conditions": ""
+        "terms_and_conditions": "",
+        "source": {"url": "", "section": "", "quote": ""}
       }
     ]
   },
@@ -271,16 +128,434 @@ Return JSON with BOTH formats - you can ADD additional fields as needed:
     "eligibility": {"PK": "CARD#BANK_NAME", "SK": "ELIGIBILITY", "salaried": {}, "self_employed": {}},
     "related_docs": {"PK": "CARD#BANK_NAME", "SK": "PDFS", "pdfs": []}
   }
-}
+}`;
+
+const CONTINUE_PROMPT = 'Your reply was cut off. Continue exactly where it stopped: output only the remaining characters, without repeating anything and without commentary.';
+
+class AIProcessor {
+    /**
+     * options select and configure the LLM provider for this run, see config.llm
+     */
+    constructor(apiKey, options = {}) {
+        this.llm = LlmProviders.create({ apiKey, ...options });
+        this.config = { ...config.openai, model: this.llm.model };
+        this.responseValidator = SchemaValidator.forAIResponse();
+        console.log(`🤖 LLM provider: ${this.llm.name} (${this.llm.model})`);
+        this.totalInputTokens = 0;
+        this.totalOutputTokens = 0;
+    }
+
+    /**
+     * Extract credit card URLs from listing pages
+     */
+    async extractCardUrls(url, maxUrls = 50) {
+        try {
+            console.log(`🔍 Extracting card URLs from: ${url}`);
+            
+            const prompt = `Extract credit card page URLs from this listing content.
+
+URL: ${url}
+
+Return a JSON array of unique URLs that lead to individual credit card pages.
+Look for URLs containing terms like: card, credit, benefits, features, apply, details
+Exclude: general pages, footer links, navigation, social media
+Maximum ${maxUrls} URLs.
+
+Return format: ["url1", "url2", "url3"]`;
+
+            const response = await this.llm.chatCompletion({
+                model: this.config.model,
+                messages: [
+                    { role: "system", content: "Extract credit card URLs from listing pages. Return only a JSON array of URLs." },
+                    { role: "user", content: prompt }
+                ],
+                temperature: 0.1,
+                max_tokens: 2000
+            });
+
+            const content = response.choices[0].message.content;
+            this.updateTokenUsage(response.usage);
+
+            // Parse URLs from response
+            const urls = JSON.parse(content);
+            console.log(`✅ Extracted ${urls.length} credit card URLs`);
+            return urls;
+
+        } catch (error) {
+            console.error('❌ Failed to extract card URLs:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Process multiple listings in chunks
+     */
+    async processListingInChunks(listings, chunkSize = 5) {
+        console.log(`📊 Processing ${listings.length} listings in chunks of ${chunkSize}`);
+        
+        const allUrls = new Set();
+        
+        for (let i = 0; i < listings.length; i += chunkSize) {
+            const chunk = listings.slice(i, i + chunkSize);
+            console.log(`🔄 Processing chunk ${Math.floor(i/chunkSize) + 1}/${Math.ceil(listings.length/chunkSize)}`);
+            
+            for (const listing of chunk) {
+                try {
+                    const urls = await this.extractCardUrls(listing.url);
+                    urls.forEach(url => allUrls.add(url));
+                    
+                    // Delay between requests
+                    await Utils.sleep(1000);
+                } catch (error) {
+                    console.error(`❌ Failed to process ${listing.url}:`, error.message);
+                }
+            }
+        }
+        
+        return Array.from(allUrls);
+    }
+
+    /**
+     * Main content processing method. validation reports the schema check of the response:
+     * { valid, repair_attempts, violations: [{ path, message }], mode, continuations, truncated }.
+     * Content over the content.maxContentLength / maxChunkTokens limits is extracted chunk by
+     * chunk and the partial results merged; chunking reports how:
+     * { chunks, content_tokens, failed_chunks, conflicts }
+     */
+    async processContent(mainContent, linkedContents, url) {
+        try {
+            console.log('🤖 Processing content with AI...');
+            
+            const chunks = ContentChunker.chunk(this.contentSources(mainContent, linkedContents, url));
+            const { parsedData, validation, chunking } = chunks.length > 1
+                ? await this.processChunks(mainContent, linkedContents, url, chunks)
+                : {
+                    ...await this.completeValidated(this.extractionMessages(this.buildFlexibleComprehensivePrompt(mainContent, linkedContents, url))),
+                    chunking: { chunks: 1, content_tokens: chunks[0]?.tokens || 0, failed_chunks: [], conflicts: [] }
+                };
+            console.log('✅ AI processing completed');
+            
+            return {
+                standardJson: parsedData.standard_format,
+                structuredJson: parsedData.structured_format,
+                validation: validation,
+                chunking: chunking
+            };
+
+        } catch (error) {
+            console.error('❌ AI processing failed:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Map-reduce extraction: each chunk is extracted on its own, then the partial results are
+     * merged (see ExtractionMerger) and the merge validated. A chunk that cannot be extracted
+     * is reported and skipped; the crawl fails only when every chunk does.
+     */
+    async processChunks(mainContent, linkedContents, url, chunks) {
+        const contentTokens = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0);
+        console.log(`✂️ Content too large for one request (~${contentTokens} tokens), extracting ${chunks.length} chunks`);
+        
+        const partials = [];
+        const validations = [];
+        const failedChunks = [];
+        for (const [index, chunk] of chunks.entries()) {
+            const part = index + 1;
+            console.log(`🧩 Extracting chunk ${part}/${chunks.length} (~${chunk.tokens} tokens)`);
+            try {
+                const prompt = this.buildFlexibleComprehensivePrompt(mainContent, linkedContents, url, { ...chunk, part, parts: chunks.length });
+                const { parsedData, validation } = await this.completeValidated(this.extractionMessages(prompt));
+                partials.push({ part, data: parsedData });
+                validations.push(validation);
+            } catch (error) {
+                console.warn(`⚠️ Chunk ${part}/${chunks.length} failed: ${error.message}`);
+                failedChunks.push({ part, error: error.message });
+            }
+        }
+        if (partials.length === 0) {
+            throw new Error(`All ${chunks.length} content chunks failed to extract`);
+        }
+        
+        const { merged, conflicts } = ExtractionMerger.merge(partials);
+        if (conflicts.length > 0) {
+            console.log(`🔀 Merged ${partials.length} partial results, ${conflicts.length} conflicting values kept from the earlier chunk`);
+        }
+        const violations = config.schemaValidation.enabled ? this.responseValidator.validate(merged) : [];
+        
+        return {
+            parsedData: merged,
+            validation: {
+                valid: violations.length === 0,
+                repair_attempts: validations.reduce((sum, validation) => sum + validation.repair_attempts, 0),
+                violations: violations,
+                mode: config.extraction.mode,
+                continuations: validations.reduce((sum, validation) => sum + validation.continuations, 0),
+                truncated: validations.some(validation => validation.truncated)
+            },
+            chunking: {
+                chunks: chunks.length,
+                content_tokens: contentTokens,
+                failed_chunks: failedChunks,
+                conflicts: conflicts
+            }
+        };
+    }
+
+    extractionMessages(prompt) {
+        return [
+            {
+                role: "system",
+                content: "You are a financial data extraction expert. Extract structured credit card information accurately. Return only valid JSON."
+            },
+            {
+                role: "user", 
+                content: prompt
+            }
+        ];
+    }
+
+    /**
+     * Ask for the extraction and validate the reply against the output schemas. Unparseable or
+     * invalid replies go back to the model with the problems listed, up to maxRepairAttempts
+     * times; violations left after that are reported, unparseable JSON still throws.
+     */
+    async completeValidated(messages) {
+        const { enabled, maxRepairAttempts } = config.schemaValidation;
+        let conversation = messages;
+        let continuations = 0;
+        
+        for (let attempt = 0; ; attempt++) {
+            const reply = await this.requestExtraction(conversation);
+            const aiResponse = reply.text;
+            continuations += reply.continuations;
+            
+            let parsedData = null;
+            let violations;
+            try {
+                parsedData = ExtractionSchema.toOutput(this.parseAIResponse(aiResponse));
+                violations = enabled ? this.responseValidator.validate(parsedData) : [];
+            } catch (error) {
+                if (attempt >= maxRepairAttempts) throw error;
+                violations = [{ path: '/', message: `is not valid JSON (${error.message})` }];
+            }
+            
+            if (violations.length === 0 || attempt >= maxRepairAttempts) {
+                if (violations.length > 0) {
+                    console.warn(`⚠️ AI response still violates the output schema after ${attempt} repair attempts (${violations.length} problems)`);
+                }
+                return {
+                    parsedData,
+                    validation: {
+                        valid: violations.length === 0,
+                        repair_attempts: attempt,
+                        violations: violations,
+                        mode: config.extraction.mode,
+                        continuations: continuations,
+                        truncated: reply.truncated
+                    }
+                };
+            }
+            
+            console.log(`🔧 AI response failed validation (${violations.length} problems), asking for a repair (${attempt + 1}/${maxRepairAttempts})`);
+            conversation = [
+                ...messages,
+                { role: "assistant", content: aiResponse },
+                { role: "user", content: this.buildRepairPrompt(violations) }
+            ];
+        }
+    }
+    
+    /**
+     * One extraction reply as text, in the configured extraction mode: json_schema (structured
+     * outputs), tool (a strict function call) or prompt (the JSON template in the prompt).
+     * A reply cut off at maxTokens (finish_reason "length") is continued up to maxContinuations
+     * times and the pieces joined.
+     */
+    async requestExtraction(messages) {
+        const { mode, maxContinuations } = config.extraction;
+        const modeParams = mode === 'json_schema' ? { response_format: ExtractionSchema.responseFormat() }
+            : mode === 'tool' ? ExtractionSchema.toolParams()
+            : {};
+        let text = '';
+        
+        for (let continuation = 0; ; continuation++) {
+            const response = await this.llm.chatCompletion({
+                model: this.config.model,
+                messages: continuation === 0 ? messages : [
+                    ...messages,
+                    { role: "assistant", content: text },
+                    { role: "user", content: CONTINUE_PROMPT }
+                ],
+                temperature: this.config.temperature,
+                max_tokens: this.config.maxTokens,
+                // A continuation is a fragment of the JSON, so it cannot be held to the schema
+                ...(continuation === 0 && modeParams)
+            });
+            this.updateTokenUsage(response.usage);
+            
+            const choice = response.choices[0];
+            if (choice.message.refusal) {
+                throw new Error(`Model refused the extraction: ${choice.message.refusal}`);
+            }
+            const piece = AIProcessor.replyText(choice.message);
+            text += continuation === 0 ? piece : piece.replace(/^\s*```(?:json)?\s*/i, '');
+            
+            if (choice.finish_reason !== 'length') {
+                return { text, continuations: continuation, truncated: false };
+            }
+            if (continuation >= maxContinuations) {
+                console.warn(`⚠️ AI reply still cut off after ${continuation} continuations`);
+                return { text, continuations: continuation, truncated: true };
+            }
+            console.log(`✂️ AI reply cut off at ${this.config.maxTokens} tokens, asking for the rest (${continuation + 1}/${maxContinuations})`);
+        }
+    }
+    
+    /**
+     * Text of a reply: the arguments of a tool call, otherwise the message content
+     */
+    static replyText(message) {
+        const toolCall = (message.tool_calls || []).find(call => call.type === 'function');
+        return toolCall ? toolCall.function.arguments || '' : message.content || '';
+    }
+    
+    /**
+     * How the reply must be laid out: the JSON template when the model gets no schema,
+     * otherwise the rules for the schema's extension area and fixed structured_format
+     */
+    outputInstructions({ pdf = false } = {}) {
+        if (config.extraction.mode === 'prompt') {
+            return pdf
+                ? `Return ONLY a JSON object with BOTH formats using the exact same structure as web content:\n\n${OUTPUT_TEMPLATE}`
+                : `Return JSON with BOTH formats - you can ADD additional fields as needed:
+
+${OUTPUT_TEMPLATE}
 
 FLEXIBILITY RULES:
 - You CAN add additional fields to any section in standard_format
 - You CAN add new top-level sections in standard_format if needed
 - You HAVE full flexibility in standard_format, make sure all relevant information is captured.
-- You CANNOT modify anything in structured_format it should be exactly the format given
+- You CANNOT modify anything in structured_format it should be exactly the format given`;
+        }
+        
+        return `Return BOTH formats in the required schema.
+
+FLEXIBILITY RULES:
+- Information that has no field in the schema goes in standard_format.extensions, one entry per field: "section" is an existing section such as "card" or "rewards", or a new section name; "name" is the field name; "value" its value
+- Make sure all relevant information is captured in standard_format.
+- structured_format is a fixed database layout: PK is "CARD#" followed by the bank name, SK values are fixed; other charges, eligibility criteria and customization options are lists of named entries`;
+    }
+    
+    /**
+     * Follow-up message listing what was wrong with the previous reply
+     */
+    buildRepairPrompt(violations) {
+        const { maxViolationsInPrompt } = config.schemaValidation;
+        const listed = violations.slice(0, maxViolationsInPrompt).map(violation => `- ${violation.path} ${violation.message}`);
+        if (violations.length > listed.length) {
+            listed.push(`- ...and ${violations.length - listed.length} more`);
+        }
+        
+        return `Your previous reply does not match the required output format:
+${listed.join('\n')}
+
+Fix these problems and return the complete corrected JSON object with both standard_format and structured_format.
+structured_format must keep exactly the sections and fields given (PK starting with "CARD#", SK values unchanged), with nothing added or removed.
+Do not change any values that were correct. Return ONLY the JSON object.`;
+    }
+
+    /**
+     * Content as sent to the model: structured Markdown when available, plain text otherwise.
+     * Structured data the page publishes comes first; HTML tables are already part of the Markdown;
+     * PDF tables and JSON the page loaded are appended after it.
+     */
+    promptText(content) {
+        const sections = [];
+
+        const structuredData = StructuredDataExtractor.toPromptText(content?.structuredData);
+        if (structuredData) {
+            sections.push(`STRUCTURED DATA (schema.org / OpenGraph published by the site):
+${structuredData}`);
+        }
+        sections.push(content?.markdown || content?.text || '');
+
+        const tables = (content?.tables || []).filter(table => table.source !== 'html');
+        if (tables.length > 0) {
+            sections.push(`DETECTED TABLES:
+${tables.map(table => `${table.page ? `[page ${table.page}]\n` : ''}${TableExtractor.toMarkdown(table)}`).join('\n\n')}`);
+        }
+
+        const apiData = NetworkCapture.toPromptText(content?.apiResponses);
+        if (apiData) {
+            sections.push(`API DATA (JSON loaded by the page, often the full offer list behind "view more"):
+${apiData}`);
+        }
+        return sections.filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * The content of a crawl as sources for ContentChunker and CitationVerifier: the main page
+     * and each linked page with a non-empty text, or the document alone for a PDF
+     */
+    contentSources(mainContent, linkedContents, url) {
+        if (mainContent.contentType === 'pdf') {
+            return [{ url: url, header: '', continuedHeader: '', text: this.promptText(mainContent.content) }];
+        }
+        
+        const sources = [{
+            url: url,
+            header: `MAIN PAGE:\nURL: ${url}\nTITLE: ${mainContent.title}\nCONTENT: `,
+            continuedHeader: `MAIN PAGE (continued):\nURL: ${url}\nCONTENT: `,
+            text: this.promptText(mainContent.content)
+        }];
+        linkedContents.forEach((link, index) => {
+            const linkText = this.promptText(link.content);
+            if (linkText) {
+                sources.push({
+                    url: link.url,
+                    header: `LINKED PAGE ${index + 1}:\nURL: ${link.url}\nCONTENT: `,
+                    continuedHeader: `LINKED PAGE ${index + 1} (continued):\nURL: ${link.url}\nCONTENT: `,
+                    text: linkText
+                });
+            }
+        });
+        return sources;
+    }
+
+    /**
+     * Note telling the model it sees one chunk of the content
+     */
+    chunkNote(chunk) {
+        return chunk
+            ? `\nThis is part ${chunk.part} of ${chunk.parts} of the content; the other parts are extracted separately and the results merged. Extract only what this part contains and leave everything else null or empty.\n`
+            : '';
+    }
+
+    /**
+     * Build flexible comprehensive prompt with PDF handling; with a chunk, only the chunk's content
+     */
+    buildFlexibleComprehensivePrompt(mainContent, linkedContents, url, chunk = null) {
+        // NEW: Check if main content is PDF
+        if (mainContent.contentType === 'pdf') {
+            return this.buildPdfPrompt(mainContent, url, chunk);
+        }
+        
+        const allContent = chunk
+            ? chunk.text
+            : this.contentSources(mainContent, linkedContents, url).map(source => `${source.header}${source.text}`).join('\n\n');
+
+        return `Extract credit card information from provided content and return BOTH formats.
+Page content is Markdown: headings mark sections, and fee or reward tables are Markdown tables whose rows belong together.
+${this.chunkNote(chunk)}
+${allContent}
+
+${this.outputInstructions()}
 - Extract information ONLY from provided content
 - If information is not found, use null or appropriate empty values
 - Be comprehensive but stay within the provided content scope
+- Every reward rate, benefit, offer, perk, partnership and fee needs a "source": "url" of the page it came from, "section" (the PDF label such as [page 3, clause 4.2], or the page heading) and "quote", a short passage copied word for word from the content that supports it. Leave out anything the content does not state.
+- STRUCTURED DATA blocks are published by the bank for machines: treat them as high-trust facts and prefer them over page text for the card name, bank, image and FAQs
 
 Return ONLY the JSON object with BOTH formats.`;
     }
@@ -288,9 +563,9 @@ Return ONLY the JSON object with BOTH formats.`;
     /**
      * NEW METHOD: Build prompt specifically for PDF content
      */
-    buildPdfPrompt(pdfContent, url) {
+    buildPdfPrompt(pdfContent, url, chunk = null) {
         const title = pdfContent.title || 'PDF Document';
-        const textContent = pdfContent.content?.text || '';
+        const textContent = chunk ? chunk.text : this.promptText(pdfContent.content);
         const pages = pdfContent.metadata?.pages || 'unknown';
         
         return `Extract credit card information from this PDF document and return BOTH formats:
@@ -299,7 +574,7 @@ SOURCE: ${url}
 DOCUMENT TITLE: ${title}
 CONTENT TYPE: PDF Document (${pages} pages)
 ACTUAL URL: ${pdfContent.metadata?.actualUrl || url}
-
+${this.chunkNote(chunk)}
 PDF CONTENT:
 ${textContent}
 
@@ -322,120 +597,9 @@ EXTRACTION INSTRUCTIONS:
 Be flexible in extraction as PDFs may have different formatting.
 If minimal information is available, extract what you can find.
 For PDFs, even partial information is valuable.
+Sections are labelled like [page 3, clause 4.2]; every reward rate, benefit, offer, perk, partnership and fee needs a "source": "url" of this document, "section" (the label it came from) and "quote", a short passage copied word for word from it.
 
-Return ONLY a JSON object with BOTH formats using the exact same structure as web content:
-
-{
-  "standard_format": {
-    "card": {"name": "", "bank": "", "variant": "", "description": "", "target_audience": ""},
-    "rewards": {
-      "program": "",
-      "type": "",
-      "earning": {
-        "base_rate": 0,
-        "categories": [
-          {
-            "name": "",
-            "rate": 0,
-            "cap": null,
-            "description": "",
-            "terms_and_conditions": "",
-            "how_to_earn": "",
-            "validity": "",
-            "exclusions": ""
-          }
-        ],
-        "bonus_rates": [
-          {
-            "condition": "",
-            "rate": 0,
-            "validity": "",
-            "terms_and_conditions": ""
-          }
-        ]
-      },
-      "redemption": [
-        {
-          "option": "",
-          "minimum": null,
-          "value": null,
-          "process": "",
-          "terms_and_conditions": "",
-          "validity": "",
-          "processing_time": ""
-        }
-      ]
-    },
-    "benefits": [
-      {
-        "category": "",
-        "name": "",
-        "description": "",
-        "how_to_avail": "",
-        "value": "",
-        "terms_and_conditions": "",
-        "validity": "",
-        "eligibility": "",
-        "usage_limit": ""
-      }
-    ],
-    "current_offers": [
-      {
-        "title": "",
-        "description": "",
-        "validity": "",
-        "terms_and_conditions": "",
-        "activation_required": false,
-        "how_to_activate": "",
-        "eligibility": "",
-        "maximum_benefit": "",
-        "offer_code": "",
-        "exclusions": ""
-      }
-    ],
-    "perks": [
-      {
-        "name": "",
-        "description": "",
-        "category": "",
-        "usage_limit": "",
-        "how_to_use": "",
-        "terms_and_conditions": "",
-        "value": "",
-        "validity": ""
-      }
-    ],
-    "partnerships": [
-      {
-        "partner": "",
-        "benefit": "",
-        "category": "",
-        "validity": "",
-        "how_to_avail": "",
-        "terms_and_conditions": "",
-        "discount_percentage": "",
-        "maximum_discount": ""
-      }
-    ],
-    "fees_and_charges": [
-      {
-        "type": "",
-        "amount": "",
-        "waiver_conditions": "",
-        "frequency": "",
-        "terms_and_conditions": ""
-      }
-    ]
-  },
-  "structured_format": {
-    "Metadata": {"PK": "CARD#BANK_NAME", "SK": "METADATA", "card_name": "", "issuer": "", "network": [], "type": "Credit Card", "category": []},
-    "features": {"PK": "CARD#BANK_NAME", "SK": "FEATURES", "digital_onboarding": false, "contactless_payments": false, "customization_options": {}, "app_management": [], "security_features": []},
-    "rewards": {"PK": "CARD#BANK_NAME", "SK": "REWARDS", "reward_currency": "", "cashback_program": [], "earning_structure": [], "redemption": {}},
-    "fees": {"PK": "CARD#BANK_NAME", "SK": "FEES", "joining_fee": null, "renewal_fee": null, "tax_applicable": true, "renewal_waiver_condition": "", "joining_fee_waiver_condition": "", "other_charges": {}},
-    "eligibility": {"PK": "CARD#BANK_NAME", "SK": "ELIGIBILITY", "salaried": {}, "self_employed": {}},
-    "related_docs": {"PK": "CARD#BANK_NAME", "SK": "PDFS", "pdfs": []}
-  }
-}`;
+${this.outputInstructions({ pdf: true })}`;
     }
 
     /**
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const EXTENSIONS = {
+    'text/html': 'html',
+    'application/xhtml+xml': 'html',
+    'application/pdf': 'pdf',
+    'image/png': 'png',
+    'application/json': 'json',
+    'text/plain': 'txt',
+    'text/csv': 'csv',
+    'application/xml': 'xml',
+    'text/xml': 'xml'
+};
+
+/**
+ * Per-run archive of everything the crawler saw: raw HTML and PDF responses,
+ * rendered DOM snapshots and full-page screenshots.
+ *
+ * Layout: <dir>/<run_id>/records.jsonl indexes every record; bodies live in
+ * <dir>/<run_id>/records/<record_id>.<ext>.
+ */
+class ArchiveWriter {
+    constructor(options = {}) {
+        this.config = { ...config.archive, ...options };
+        this.runId = this.config.runId || `run_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        this.runDir = path.resolve(this.config.dir, this.runId);
+        this.recordsDir = path.join(this.runDir, 'records');
+        this.indexFile = path.join(this.runDir, 'records.jsonl');
+        this.recordCount = 0;
+        this.bytesWritten = 0;
+
+        fs.mkdirSync(this.recordsDir, { recursive: true });
+        console.log(`🗄️ Archiving fetched resources to ${this.runDir}`);
+    }
+
+    /**
+     * The run's archive: an ArchiveWriter passed in, a new one when options.archive is true
+     * or archiving is enabled in config, otherwise null
+     */
+    static fromOptions(options = {}) {
+        if (options.archive instanceof ArchiveWriter) return options.archive;
+        if (options.archive === true || (options.archive === undefined && config.archive.enabled)) {
+            return new ArchiveWriter();
+        }
+        return null;
+    }
+
+    /**
+     * Store one resource and return its record ID.
+     * type is 'response' (raw HTTP body), 'rendered' (DOM after scripts) or 'screenshot'.
+     */
+    record(type, url, body, { contentType = null, status = null, fetchMode = null, refersTo = null } = {}) {
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body || '');
+        const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+        const file = `records/${id.split(':').pop()}.${EXTENSIONS[mimeType] || 'bin'}`;
+
+        try {
+            fs.writeFileSync(path.join(this.runDir, file), buffer);
+            fs.appendFileSync(this.indexFile, JSON.stringify({
+                id: id,
+                type: type,
+                url: url,
+                archived_at: new Date().toISOString(),
+                content_type: contentType,
+                status: status,
+                fetch_mode: fetchMode,
+                refers_to: refersTo,
+                size: buffer.length,
+                sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+                file: file
+            }) + '\n');
+        } catch (error) {
+            console.log(`⚠️ Could not archive ${url}: ${error.message}`);
+            return null;
+        }
+
+        this.recordCount++;
+        this.bytesWritten += buffer.length;
+        return id;
+    }
+
+    /**
+     * Archive a raw HTTP response as returned by HttpCache.fetch; parsed JSON bodies are re-serialised
+     */
+    recordResponse(url, response, fetchMode = 'http') {
+        const data = response.data;
+        let body = data;
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            body = Buffer.from(data);
+        } else if (data && typeof data === 'object') {
+            body = JSON.stringify(data);
+        }
+        return this.record('response', url, body, {
+            contentType: response.headers?.['content-type'] || null,
+            status: response.status,
+            fetchMode: fetchMode
+        });
+    }
+
+    /**
+     * Archive the rendered DOM of a browser page and, if enabled, a full-page screenshot of it.
+     * Returns the record IDs written.
+     */
+    async snapshotPage(page, url) {
+        const ids = [];
+        try {
+            const domId = this.record('rendered', url, await page.content(), {
+                contentType: 'text/html',
+                fetchMode: 'browser'
+            });
+            if (domId) ids.push(domId);
+
+            if (this.config.screenshots) {
+                const screenshot = await page.screenshot({ fullPage: true, type: 'png' });
+                const shotId = this.record('screenshot', url, Buffer.from(screenshot), {
+                    contentType: 'image/png',
+                    fetchMode: 'browser',
+                    refersTo: domId
+                });
+                if (shotId) ids.push(shotId);
+            }
+        } catch (error) {
+            console.log(`⚠️ Page snapshot incomplete for ${url}: ${error.message}`);
+        }
+        return ids;
+    }
+
+    getStats() {
+        return {
+            run_id: this.runId,
+            dir: this.runDir,
+            records: this.recordCount,
+            bytes: this.bytesWritten
+        };
+    }
+}
+
+module.exports = ArchiveWriter;
@@ -0,0 +1,387 @@
+const puppeteer = require('puppeteer');
+const config = require('../config/config');
+
+const LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-web-security',
+    '--disable-dev-shm-usage',
+    '--disable-extensions',
+    '--disable-blink-features=AutomationControlled',
+    '--disable-features=VizDisplayCompositor',
+    '--no-first-run',
+    '--disable-default-apps',
+    '--disable-background-timer-throttling',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-renderer-backgrounding',
+    '--disable-gpu',
+    '--no-zygote'
+];
+
+let sharedPool = null;
+
+class BrowserPool {
+    constructor(options = {}) {
+        const poolConfig = { ...config.browserPool, ...options };
+
+        this.size = poolConfig.size;
+        this.maxPagesPerBrowser = poolConfig.maxPagesPerBrowser;
+        this.recycleAfter = poolConfig.recycleAfter;
+        this.idleTimeout = poolConfig.idleTimeout;
+        this.launchTimeout = poolConfig.launchTimeout;
+        this.userAgent = poolConfig.userAgent || config.crawler.userAgent;
+
+        this.slots = [];
+        this.leases = new Map();
+        this.brokenPages = new WeakSet();
+        this.waiters = [];
+        this.idleTimer = null;
+        this.nextSlotId = 1;
+        this.closed = false;
+        this.stats = { launches: 0, crashes: 0, recycled: 0, pagesServed: 0 };
+    }
+
+    /**
+     * Process-wide pool shared by every extractor that is not given its own
+     */
+    static shared() {
+        if (!sharedPool || sharedPool.closed) {
+            sharedPool = new BrowserPool();
+        }
+        return sharedPool;
+    }
+
+    /**
+     * Close the shared pool, if one was ever started
+     */
+    static async closeShared() {
+        if (sharedPool) {
+            await sharedPool.close();
+            sharedPool = null;
+        }
+    }
+
+    /**
+     * Borrow a page, run the callback with it and hand it back to the pool.
+     * A page whose callback threw is discarded instead of being reused.
+     */
+    async withPage(fn) {
+        const page = await this.acquire();
+        let broken = false;
+        try {
+            return await fn(page);
+        } catch (error) {
+            broken = true;
+            throw error;
+        } finally {
+            await this.release(page, { broken });
+        }
+    }
+
+    /**
+     * Borrow a ready-to-use page, waiting for a free slot if the pool is busy
+     */
+    async acquire() {
+        this.clearIdleTimer();
+
+        for (;;) {
+            if (this.closed) {
+                throw new Error('Browser pool is closed');
+            }
+
+            const slot = this.reserveSlot();
+            if (slot) {
+                return await this.openPage(slot);
+            }
+
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+    }
+
+    /**
+     * Return a page to the pool. Healthy pages are blanked and kept for reuse.
+     */
+    async release(page, { broken = false } = {}) {
+        const slot = this.leases.get(page);
+        this.leases.delete(page);
+
+        if (!slot) {
+            await this.closePage(page);
+            return;
+        }
+
+        slot.leased--;
+
+        const reusable = !broken &&
+                         !slot.crashed &&
+                         !slot.retiring &&
+                         !this.brokenPages.has(page) &&
+                         !page.isClosed();
+
+        if (reusable) {
+            try {
+                await page.goto('about:blank', { timeout: 10000 });
+                slot.idle.push(page);
+            } catch (error) {
+                await this.closePage(page);
+            }
+        } else {
+            await this.closePage(page);
+        }
+
+        if (slot.retiring && slot.leased === 0) {
+            await this.retireSlot(slot);
+        }
+
+        this.notifyWaiters();
+        this.scheduleIdleClose();
+    }
+
+    /**
+     * Pick a browser slot with spare capacity, launching one if the pool is not full
+     */
+    reserveSlot() {
+        const live = this.slots.filter(slot => !slot.retiring && !slot.crashed);
+
+        let slot = live.find(s => s.idle.length > 0 && s.leased < this.maxPagesPerBrowser) ||
+                   live.find(s => s.leased < this.maxPagesPerBrowser);
+
+        // Retiring browsers still count towards the pool size until their last page is back
+        if (!slot && this.slots.length < this.size) {
+            slot = this.launchSlot();
+        }
+
+        if (slot) {
+            slot.leased++;
+        }
+        return slot || null;
+    }
+
+    /**
+     * Start a browser in a new slot; the slot is usable as soon as it is returned
+     */
+    launchSlot() {
+        const slot = {
+            id: this.nextSlotId++,
+            browser: null,
+            ready: null,
+            leased: 0,
+            served: 0,
+            idle: [],
+            retiring: false,
+            crashed: false,
+            closing: false
+        };
+
+        slot.ready = puppeteer.launch({
+            headless: 'new',
+            args: LAUNCH_ARGS,
+            defaultViewport: { width: 1366, height: 768 },
+            timeout: this.launchTimeout
+        }).then(browser => {
+            slot.browser = browser;
+            this.stats.launches++;
+            console.log(`🌐 Browser #${slot.id} launched (${this.slots.length}/${this.size} in pool)`);
+
+            browser.on('disconnected', () => {
+                if (slot.closing) return;
+                slot.crashed = true;
+                this.stats.crashes++;
+                this.removeSlot(slot);
+                console.log(`💥 Browser #${slot.id} disconnected unexpectedly, it will be relaunched on demand`);
+                this.notifyWaiters();
+            });
+
+            return browser;
+        });
+
+        this.slots.push(slot);
+        return slot;
+    }
+
+    /**
+     * Take an idle page from the slot or open a new one
+     */
+    async openPage(slot) {
+        try {
+            const browser = await slot.ready;
+
+            let page = slot.idle.pop();
+            while (page && page.isClosed()) {
+                page = slot.idle.pop();
+            }
+            if (!page) {
+                page = await this.createPage(browser);
+            }
+
+            slot.served++;
+            this.stats.pagesServed++;
+            this.leases.set(page, slot);
+
+            if (slot.served >= this.recycleAfter) {
+                slot.retiring = true;
+            }
+
+            return page;
+        } catch (error) {
+            slot.leased--;
+            if (!slot.browser) {
+                this.removeSlot(slot);
+            }
+            this.notifyWaiters();
+            throw error;
+        }
+    }
+
+    /**
+     * Open a page with the stealth and header setup every extractor relies on
+     */
+    async createPage(browser) {
+        const page = await browser.newPage();
+
+        await page.evaluateOnNewDocument(() => {
+            Object.defineProperty(navigator, 'webdriver', {
+                get: () => undefined,
+            });
+
+            // Remove automation indicators
+            delete window.chrome;
+            window.chrome = { runtime: {} };
+
+            Object.defineProperty(navigator, 'plugins', {
+                get: () => [1, 2, 3, 4, 5],
+            });
+
+            Object.defineProperty(navigator, 'languages', {
+                get: () => ['en-US', 'en'],
+            });
+        });
+
+        await page.setUserAgent(this.userAgent);
+        await page.setExtraHTTPHeaders({
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Accept-Encoding': 'gzip, deflate, br',
+            'Cache-Control': 'no-cache',
+            'Upgrade-Insecure-Requests': '1',
+            'Sec-Fetch-Dest': 'document',
+            'Sec-Fetch-Mode': 'navigate',
+            'Sec-Fetch-Site': 'none'
+        });
+
+        page.setDefaultNavigationTimeout(120000);
+        page.setDefaultTimeout(120000);
+
+        page.on('dialog', async dialog => {
+            console.log(`🚨 Dialog appeared: ${dialog.message()}`);
+            try {
+                await dialog.dismiss();
+            } catch (e) {
+                // Dialog may already be gone
+            }
+        });
+
+        // A crashed renderer leaves the page unusable, so never hand it out again
+        page.on('error', error => {
+            console.log(`💥 Page crashed: ${error.message}`);
+            this.brokenPages.add(page);
+        });
+
+        return page;
+    }
+
+    /**
+     * Close a browser that has served its quota of pages
+     */
+    async retireSlot(slot) {
+        this.removeSlot(slot);
+        this.stats.recycled++;
+        console.log(`♻️ Recycling browser #${slot.id} after ${slot.served} pages`);
+        await this.closeSlot(slot);
+    }
+
+    removeSlot(slot) {
+        const index = this.slots.indexOf(slot);
+        if (index !== -1) {
+            this.slots.splice(index, 1);
+        }
+    }
+
+    async closeSlot(slot) {
+        slot.closing = true;
+        slot.idle = [];
+        try {
+            const browser = slot.browser || await slot.ready;
+            await browser.close();
+        } catch (error) {
+            console.log(`⚠️ Error closing browser #${slot.id}: ${error.message}`);
+        }
+    }
+
+    async closePage(page) {
+        try {
+            if (!page.isClosed()) {
+                await page.close();
+            }
+        } catch (error) {
+            // Page or its browser is already gone
+        }
+    }
+
+    notifyWaiters() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Shut idle browsers down after a quiet period so the process can exit
+     */
+    scheduleIdleClose() {
+        const busy = this.slots.some(slot => slot.leased > 0) || this.waiters.length > 0;
+        if (busy || this.slots.length === 0 || !this.idleTimeout) return;
+
+        this.clearIdleTimer();
+        this.idleTimer = setTimeout(async () => {
+            this.idleTimer = null;
+            const idleSlots = this.slots.filter(slot => slot.leased === 0);
+            idleSlots.forEach(slot => this.removeSlot(slot));
+            await Promise.all(idleSlots.map(slot => this.closeSlot(slot)));
+        }, this.idleTimeout);
+        this.idleTimer.unref();
+    }
+
+    clearIdleTimer() {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+
+    /**
+     * Pool statistics for logging
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            browsers: this.slots.length,
+            pages_in_use: this.leases.size
+        };
+    }
+
+    /**
+     * Close every browser and refuse further work
+     */
+    async close() {
+        this.closed = true;
+        this.clearIdleTimer();
+
+        const slots = this.slots;
+        this.slots = [];
+        await Promise.all(slots.map(slot => this.closeSlot(slot)));
+
+        this.notifyWaiters();
+    }
+}
+
+module.exports = BrowserPool;
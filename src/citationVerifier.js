@@ -0,0 +1,140 @@
+const config = require('../config/config');
+const UrlCanonicalizer = require('./urlCanonicalizer');
+
+// standard_format lists whose entries must cite their source
+const CITED_LISTS = [
+    ['rewards', 'earning', 'categories'],
+    ['rewards', 'earning', 'bonus_rates'],
+    ['benefits'],
+    ['current_offers'],
+    ['perks'],
+    ['partnerships'],
+    ['fees_and_charges']
+];
+
+/**
+ * Checks the citations of extracted items against the text that was fetched and sent to the
+ * model. Every cited item carries source: { url, section, quote }; an item is verified when its
+ * quote occurs in the fetched text, compared without regard to case, spacing, Markdown marks
+ * or typographic quotes ("..." may stand for omitted text). The cited page is searched first,
+ * then the other pages, correcting the URL when the quote is found elsewhere.
+ *
+ * Unverified items are flagged with source.verified false, or dropped when
+ * citations.unverified is 'drop'.
+ */
+class CitationVerifier {
+    /**
+     * documents: [{ url, text }] as given to the model
+     */
+    constructor(documents, options = config.citations) {
+        this.options = options;
+        this.documents = documents
+            .filter(document => document.text)
+            .map(document => ({
+                url: document.url,
+                key: document.url ? UrlCanonicalizer.canonicalize(document.url) : null,
+                text: CitationVerifier.normalize(document.text)
+            }));
+    }
+
+    /**
+     * Verify the cited items of standard_format in place and report the outcome for metadata:
+     * { checked, verified, unverified, dropped, hallucination_rate, unverified_fields }
+     */
+    static verify(standardJson, documents, options = config.citations) {
+        return new CitationVerifier(documents, options).verify(standardJson);
+    }
+
+    verify(standardJson) {
+        const report = {
+            checked: 0,
+            verified: 0,
+            unverified: 0,
+            dropped: 0,
+            hallucination_rate: 0,
+            unverified_fields: []
+        };
+        if (!this.options.enabled || !standardJson) return report;
+
+        CITED_LISTS.forEach(path => {
+            const parent = path.slice(0, -1).reduce((value, key) => value?.[key], standardJson);
+            const list = parent?.[path[path.length - 1]];
+            if (!Array.isArray(list)) return;
+
+            parent[path[path.length - 1]] = list.filter((item, index) => {
+                if (!item || typeof item !== 'object') return true;
+                const result = this.check(item.source);
+                item.source = { url: null, section: null, quote: null, ...item.source, verified: result.verified };
+                if (result.url) item.source.url = result.url;
+
+                report.checked++;
+                if (result.verified) {
+                    report.verified++;
+                    return true;
+                }
+                report.unverified++;
+                report.unverified_fields.push({ path: `/${path.join('/')}/${index}`, reason: result.reason, quote: item.source.quote });
+                if (this.options.unverified === 'drop') {
+                    report.dropped++;
+                    return false;
+                }
+                return true;
+            });
+        });
+
+        report.hallucination_rate = report.checked > 0 ? Math.round(report.unverified / report.checked * 1000) / 1000 : 0;
+        console.log(`🔎 Citations: ${report.verified}/${report.checked} quotes found in the fetched text (hallucination rate ${Math.round(report.hallucination_rate * 100)}%)${report.dropped > 0 ? `, ${report.dropped} items dropped` : ''}`);
+        return report;
+    }
+
+    /**
+     * { verified, reason, url }: url is set when the quote was found on another page than cited
+     */
+    check(source) {
+        if (!source?.quote || typeof source.quote !== 'string') {
+            return { verified: false, reason: 'no quote' };
+        }
+        const segments = CitationVerifier.normalize(source.quote).split(/\s*(?:\.{3}|…)\s*/).filter(Boolean);
+        if (segments.join(' ').length < this.options.minQuoteLength) {
+            return { verified: false, reason: 'quote too short' };
+        }
+
+        const key = source.url ? UrlCanonicalizer.canonicalize(source.url) : null;
+        const cited = this.documents.filter(document => key && document.key === key);
+        if (cited.some(document => CitationVerifier.contains(document.text, segments))) {
+            return { verified: true };
+        }
+        const elsewhere = this.documents.find(document => !cited.includes(document) && CitationVerifier.contains(document.text, segments));
+        if (elsewhere) {
+            return { verified: true, url: elsewhere.url };
+        }
+        return { verified: false, reason: 'quote not found in fetched text' };
+    }
+
+    /**
+     * Whether the segments of a quote occur in the text in order
+     */
+    static contains(text, segments) {
+        let from = 0;
+        return segments.every(segment => {
+            const at = text.indexOf(segment, from);
+            if (at === -1) return false;
+            from = at + segment.length;
+            return true;
+        });
+    }
+
+    static normalize(text) {
+        return String(text)
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/[‘’`]/g, "'")
+            .replace(/[“”]/g, '"')
+            .replace(/[‐-―−]/g, '-')
+            .replace(/[*_#|>]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+module.exports = CitationVerifier;
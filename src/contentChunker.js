@@ -0,0 +1,145 @@
+const config = require('../config/config');
+
+const HEADING = /^#{1,6}\s+\S/;
+
+/**
+ * Splits prompt content into chunks that each fit one extraction request, measured both in
+ * characters (content.maxContentLength) and in tokens (content.maxChunkTokens).
+ *
+ * A source is { header, continuedHeader, text }: the header introduces the source in the chunk
+ * where it starts, continuedHeader where it carries on. Text is split at blank lines so
+ * paragraphs and Markdown tables stay whole; a chunk that continues a section starts with the
+ * section's heading again.
+ */
+class ContentChunker {
+    /**
+     * Estimated token count of text. There is no tokenizer for every provider, so this
+     * approximates BPE tokenizers: a word piece per 4 letters, a token per 3 digits and one per
+     * symbol. It errs on the high side for prose.
+     */
+    static countTokens(text) {
+        let tokens = 0;
+        for (const [piece] of String(text || '').matchAll(/[\p{L}]+|\d+|[^\s\p{L}\d]/gu)) {
+            tokens += /^\d/.test(piece) ? Math.ceil(piece.length / 3)
+                : /^\p{L}/u.test(piece) ? Math.ceil(piece.length / 4)
+                : 1;
+        }
+        return tokens;
+    }
+
+    /**
+     * Chunks of the sources, in source order: [{ text, tokens, sources }] where sources counts
+     * the sources the chunk draws on. Content that fits the limits is a single chunk.
+     */
+    static chunk(sources, options = config.content) {
+        const limits = { chars: options.maxContentLength, tokens: options.maxChunkTokens };
+        const sections = sources.map(source => `${source.header}${source.text}`);
+        const whole = sections.join('\n\n');
+        if (ContentChunker.fits(whole, limits)) {
+            return [{ text: whole, tokens: ContentChunker.countTokens(whole), sources: sections.length }];
+        }
+
+        // Sizes add up as pieces are joined with blank lines, which cost no tokens
+        const chunks = [];
+        let current = { parts: [], chars: 0, tokens: 0, sources: 0 };
+        const flush = () => {
+            if (current.parts.length > 0) {
+                chunks.push({ text: current.parts.join('\n\n'), tokens: current.tokens, sources: current.sources });
+            }
+            current = { parts: [], chars: 0, tokens: 0, sources: 0 };
+        };
+        const add = (text, newSource) => {
+            const tokens = ContentChunker.countTokens(text);
+            const separator = current.parts.length > 0 ? 2 : 0;
+            if (current.parts.length > 0 && (current.chars + separator + text.length > limits.chars || current.tokens + tokens > limits.tokens)) {
+                return false;
+            }
+            current.parts.push(text);
+            current.chars += separator + text.length;
+            current.tokens += tokens;
+            if (newSource) current.sources++;
+            return true;
+        };
+
+        sources.forEach(source => {
+            let heading = null;
+
+            ContentChunker.pieces(source.text, limits, source.continuedHeader).forEach((piece, index) => {
+                const opening = index === 0 ? source.header : '';
+                if (!add(`${opening}${piece}`, index === 0)) {
+                    // Carry on in the next chunk, under the source's header and current heading
+                    flush();
+                    const carried = heading && heading !== piece.split('\n')[0] ? `${heading}\n\n` : '';
+                    add(`${index === 0 ? source.header : source.continuedHeader}${carried}${piece}`, true);
+                }
+                if (HEADING.test(piece)) heading = piece.split('\n')[0];
+            });
+        });
+        flush();
+        return chunks;
+    }
+
+    /**
+     * Blocks of text separated by blank lines, each small enough for an empty chunk: larger
+     * blocks are split by line, larger lines by length
+     */
+    static pieces(text, limits, header) {
+        const room = {
+            chars: limits.chars - header.length - 200,
+            tokens: limits.tokens - ContentChunker.countTokens(header) - 50
+        };
+        const split = (block, separator) => block.split(separator).filter(part => part.trim());
+
+        return split(text, /\n\s*\n/).flatMap(block => {
+            if (ContentChunker.fits(block, room)) return [block];
+            return ContentChunker.pack(split(block, '\n').flatMap(line => ContentChunker.fits(line, room)
+                ? [line]
+                : ContentChunker.slices(line, room)), room);
+        });
+    }
+
+    /**
+     * Rejoin lines of an oversized block into pieces as large as the limits allow
+     */
+    static pack(lines, limits) {
+        const pieces = [];
+        let tokens = 0;
+        lines.forEach(line => {
+            const last = pieces.length - 1;
+            const lineTokens = ContentChunker.countTokens(line);
+            if (last >= 0 && pieces[last].length + 1 + line.length <= limits.chars && tokens + lineTokens <= limits.tokens) {
+                pieces[last] += `\n${line}`;
+                tokens += lineTokens;
+            } else {
+                pieces.push(line);
+                tokens = lineTokens;
+            }
+        });
+        return pieces;
+    }
+
+    /**
+     * Cut a single oversized line at word boundaries
+     */
+    static slices(line, limits) {
+        const slices = [];
+        let rest = line;
+        while (rest.length > 0) {
+            let size = Math.min(rest.length, limits.chars);
+            while (size > 1 && !ContentChunker.fits(rest.slice(0, size), limits)) {
+                size = Math.floor(size * 0.9);
+            }
+            const space = rest.lastIndexOf(' ', size);
+            if (size < rest.length && space > size / 2) size = space;
+            slices.push(rest.slice(0, size));
+            rest = rest.slice(size).trimStart();
+        }
+        return slices;
+    }
+
+    static fits(text, limits) {
+        return text.length <= limits.chars && ContentChunker.countTokens(text) <= limits.tokens;
+    }
+}
+
+module.exports = ContentChunker;
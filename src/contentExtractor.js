@@ -1,30 +1,161 @@
-const puppeteer = require('puppeteer');
-const axios = require('axios');
-const pdfParse = require('pdf-parse');
 const config = require('../config/config');
 const Utils = require('./utils');
+const BrowserPool = require('./browserPool');
+const StaticFetcher = require('./staticFetcher');
+const ContentTypeResolver = require('./contentTypeResolver');
+const HttpCache = require('./httpCache');
+const PolitenessScheduler = require('./politenessScheduler');
+const RetryPolicy = require('./retryPolicy');
+const PageExpander = require('./pageExpander');
+const MarkdownConverter = require('./markdownConverter');
+const TableExtractor = require('./tableExtractor');
+const PdfExtractor = require('./pdfExtractor');
+const NetworkCapture = require('./networkCapture');
+const StructuredDataExtractor = require('./structuredDataExtractor');
+const SiteAdapters = require('./adapters');
 
 class ContentExtractor {
-    constructor() {
+    constructor(options = {}) {
         this.config = config.crawler;
+        this.browserPool = options.browserPool || BrowserPool.shared();
+        this.httpCache = options.httpCache || HttpCache.shared();
+        this.archive = options.archive || null;
+        this.contentTypeResolver = options.contentTypeResolver || new ContentTypeResolver({ httpCache: this.httpCache });
+        this.scheduler = options.scheduler || PolitenessScheduler.shared();
+        this.retryPolicy = options.retryPolicy || RetryPolicy.shared();
+        this.staticFetcher = new StaticFetcher({ httpCache: this.httpCache, archive: this.archive, retryPolicy: this.retryPolicy });
+        this.pageExpander = new PageExpander();
+        this.markdownConverter = new MarkdownConverter();
+        this.networkCapture = new NetworkCapture({ archive: this.archive });
     }
 
     /**
-     * Main extraction method that detects PDF vs web content
+     * Main extraction method; waits for the host's politeness slot and honours robots.txt
      */
     async extractFromUrl(url) {
-        // Check if the URL is a PDF first
-        if (this.isPdfUrl(url)) {
-            console.log(`📄 Detected PDF URL: ${url}`);
-            return await this.extractPdfContent(url);
+        try {
+            return await this.scheduler.schedule(url, () => this.extractByContentType(url));
+        } catch (error) {
+            if (error.code !== 'EROBOTS') throw error;
+
+            console.log(`🤖 ${error.message}`);
+            return {
+                url: url,
+                title: null,
+                content: null,
+                links: [],
+                success: false,
+                contentType: 'web',
+                error: error.message,
+                errorClass: 'robots',
+                blockedByRobots: true
+            };
+        }
+    }
+
+    /**
+     * Route the URL to an extractor by its sniffed content type
+     */
+    async extractByContentType(url) {
+        const detected = await this.contentTypeResolver.resolve(url);
+
+        // Fall back to the URL-based guess only when the server could not be asked
+        let type = detected.type;
+        if (type === 'unknown') {
+            type = this.isPdfUrl(url) ? 'pdf' : 'html';
+        }
+
+        let result;
+        switch (type) {
+            case 'pdf':
+                console.log(`📄 Detected PDF URL: ${url}`);
+                result = await this.extractPdfContent(url);
+                break;
+            case 'text':
+                result = await this.extractTextContent(url);
+                break;
+            case 'html':
+                result = await this.extractWebContent(url);
+                break;
+            default:
+                result = this.unsupportedContentResult(url, detected);
+        }
+
+        result.metadata = {
+            ...result.metadata,
+            detectedType: {
+                type: detected.type,
+                mimeType: detected.mimeType,
+                method: detected.method,
+                finalUrl: detected.finalUrl
+            }
+        };
+        return result;
+    }
+
+    /**
+     * Extract plain-text documents (txt, csv, json, xml) as-is
+     */
+    async extractTextContent(url) {
+        try {
+            console.log(`📝 Extracting text document from: ${url}`);
+
+            const response = await this.retryPolicy.run(url, () => this.httpCache.fetch(url, {
+                responseType: 'text',
+                timeout: this.config.timeout,
+                maxRedirects: this.config.maxRedirects,
+                headers: { 'User-Agent': this.config.userAgent }
+            }), { label: 'Text download' });
+
+            const text = String(response.data).replace(/\u0000/g, '').trim();
+            const archiveId = this.archive ? this.archive.recordResponse(url, response) : null;
+
+            return {
+                url: url,
+                title: decodeURIComponent(new URL(url).pathname.split('/').pop() || url),
+                content: {
+                    text: text,
+                    html: null
+                },
+                links: [],
+                success: true,
+                contentType: 'text',
+                extractionError: null,
+                metadata: { archiveRecords: archiveId ? [archiveId] : [] }
+            };
+        } catch (error) {
+            return {
+                url: url,
+                title: null,
+                content: null,
+                links: [],
+                success: false,
+                contentType: 'text',
+                error: error.message,
+                errorClass: RetryPolicy.classify(error).errorClass
+            };
         }
+    }
 
-        // Otherwise, extract as web content
-        return await this.extractWebContent(url);
+    /**
+     * Result for document types we have no extractor for
+     */
+    unsupportedContentResult(url, detected) {
+        console.log(`⚠️ Unsupported content type for ${url}: ${detected.mimeType || detected.type}`);
+        return {
+            url: url,
+            title: null,
+            content: null,
+            links: [],
+            success: false,
+            contentType: detected.type,
+            error: `Unsupported content type: ${detected.mimeType || detected.type}`,
+            errorClass: 'unsupported'
+        };
     }
 
     /**
-     * Check if URL is a PDF
+     * Guess from the URL alone whether it is a PDF; only used when sniffing fails
      */
     isPdfUrl(url) {
         const urlLower = url.toLowerCase();
@@ -41,258 +172,235 @@ class ContentExtractor {
      * Extract PDF content
      */
     async extractPdfContent(url) {
-        let retryCount = 0;
-        const maxRetries = 3;
+        try {
+            return await this.retryPolicy.run(url, attempt => {
+                console.log(`📄 Extracting PDF content from: ${url} (Attempt ${attempt})`);
+                return this.downloadPdf(url);
+            }, { label: 'PDF download' });
+        } catch (error) {
+            return {
+                url: url,
+                title: 'PDF Extraction Failed',
+                content: {
+                    text: '',
+                    html: null
+                },
+                links: [],
+                success: false,
+                contentType: 'pdf',
+                error: error.message,
+                errorClass: RetryPolicy.classify(error).errorClass
+            };
+        }
+    }
+
+    /**
+     * Download and parse a PDF, trying the issuer's rewritten URL as well; throws the last failure
+     */
+    async downloadPdf(url) {
+        // Issuer-specific rewrites, e.g. document repository links
+        const adapter = SiteAdapters.forUrl(url);
+        const finalUrl = adapter.rewriteUrl(url);
 
-        while (retryCount < maxRetries) {
+        // Try both URLs if different
+        const urlsToTry = [url, finalUrl].filter((u, i, arr) => arr.indexOf(u) === i);
+        let lastError = null;
+
+        for (const tryUrl of urlsToTry) {
             try {
-                console.log(`📄 Extracting PDF content from: ${url} (Attempt ${retryCount + 1}/${maxRetries})`);
-                
-                let finalUrl = url;
-                
-                // Handle repository URLs
-                if (url.includes('/content/bbp/repositories/') && url.includes('path=')) {
-                    try {
-                        const urlObj = new URL(url);
-                        const pathParam = urlObj.searchParams.get('path');
-                        if (pathParam) {
-                            const decodedPath = decodeURIComponent(pathParam);
-                            finalUrl = 'https://www.hdfcbank.com' + decodedPath;
-                            console.log(`🔧 Repository URL converted: ${finalUrl}`);
-                        }
-                    } catch (e) {
-                        console.log(`⚠️ Could not parse repository URL: ${e.message}`);
+                console.log(`🔄 Trying PDF URL: ${tryUrl}`);
+
+                const response = await this.httpCache.fetch(tryUrl, {
+                    responseType: 'arraybuffer',
+                    timeout: 90000,
+                    headers: {
+                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                        'Accept': 'application/pdf,application/octet-stream,*/*',
+                        'Cache-Control': 'no-cache',
+                        'Referer': adapter.pdfReferer || undefined
+                    },
+                    maxRedirects: 10,
+                    validateStatus: function (status) {
+                        return status >= 200 && status < 300;
                     }
-                }
-
-                // Try both URLs if different
-                const urlsToTry = [url, finalUrl].filter((u, i, arr) => arr.indexOf(u) === i);
-                
-                for (const tryUrl of urlsToTry) {
-                    try {
-                        console.log(`🔄 Trying PDF URL: ${tryUrl}`);
-                        
-                        const response = await axios.get(tryUrl, {
-                            responseType: 'arraybuffer',
-                            timeout: 90000,
-                            headers: {
-                                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                                'Accept': 'application/pdf,application/octet-stream,*/*',
-                                'Cache-Control': 'no-cache',
-                                'Referer': tryUrl.includes('hdfcbank.com') ? 'https://www.hdfcbank.com/' : undefined
-                            },
-                            maxRedirects: 10,
-                            validateStatus: function (status) {
-                                return status >= 200 && status < 300;
-                            }
-                        });
+                });
 
-                        console.log(`✅ PDF downloaded: ${response.data.length} bytes, Content-Type: ${response.headers['content-type']}`);
-                        
-                        // Verify it's actually a PDF
-                        if (response.headers['content-type'] && !response.headers['content-type'].includes('pdf')) {
-                            console.log(`⚠️ Response is not a PDF: ${response.headers['content-type']}`);
-                            continue;
-                        }
+                console.log(`✅ PDF downloaded: ${response.data.length} bytes, Content-Type: ${response.headers['content-type']}`);
 
-                        const data = await pdfParse(response.data, {
-                            max: 0, // Parse all pages
-                            version: 'v1.10.100'
-                        });
-                        
-                        const cleanText = data.text
-                            .replace(/\n\s*\n/g, '\n')
-                            .replace(/\s+/g, ' ')
-                            .replace(/\u0000/g, '')
-                            .trim();
-                        
-                        // Extract title from PDF metadata or first line
-                        let title = data.info?.Title || 'PDF Document';
-                        if (!title || title === 'PDF Document' || title.trim() === '') {
-                            const firstLine = cleanText.split('\n')[0];
-                            if (firstLine && firstLine.length > 0 && firstLine.length < 200) {
-                                title = firstLine.trim();
-                            } else {
-                                title = `PDF Document from ${new URL(tryUrl).hostname}`;
-                            }
-                        }
+                // Verify it's actually a PDF by its magic bytes, not the header
+                if (!ContentTypeResolver.isPdfBuffer(response.data)) {
+                    const error = new Error(`Response is not a PDF: ${response.headers['content-type']}`);
+                    error.code = 'EPARSE';
+                    throw error;
+                }
 
-                        console.log(`📄 Successfully extracted PDF content: ${cleanText.length} characters, ${data.numpages} pages`);
-                        
-                        return {
-                            url: url,
-                            title: title,
-                            content: {
-                                text: cleanText,
-                                html: null
-                            },
-                            links: [],
-                            success: true,
-                            contentType: 'pdf',
-                            extractionError: null,
-                            metadata: {
-                                pages: data.numpages,
-                                info: data.info,
-                                actualUrl: tryUrl
-                            }
-                        };
-                        
-                    } catch (urlError) {
-                        console.log(`❌ Failed with ${tryUrl}: ${urlError.message}`);
-                        if (urlError.response) {
-                            console.log(`📊 Response status: ${urlError.response.status}, headers:`, urlError.response.headers);
-                        }
-                        continue;
+                const archiveId = this.archive ? this.archive.recordResponse(tryUrl, response) : null;
+                const data = await PdfExtractor.parse(response.data, tryUrl);
+                const cleanText = data.text;
+
+                // Extract title from PDF metadata or first line
+                let title = data.info?.Title || 'PDF Document';
+                if (!title || title === 'PDF Document' || title.trim() === '') {
+                    const firstLine = cleanText.split('\n')[0];
+                    if (firstLine && firstLine.length > 0 && firstLine.length < 200) {
+                        title = firstLine.trim();
+                    } else {
+                        title = `PDF Document from ${new URL(tryUrl).hostname}`;
                     }
                 }
-                
-                throw new Error('All PDF extraction attempts failed');
-                
-            } catch (error) {
-                console.error(`❌ Attempt ${retryCount + 1} failed for PDF ${url}: ${error.message}`);
-                
-                retryCount++;
-                
-                if (retryCount < maxRetries) {
-                    console.log(`🔄 Retrying PDF extraction in 3 seconds...`);
-                    await Utils.sleep(3000);
-                } else {
-                    return {
-                        url: url,
-                        title: 'PDF Extraction Failed',
-                        content: {
-                            text: '',
-                            html: null
-                        },
-                        links: [],
-                        success: false,
-                        contentType: 'pdf',
-                        error: error.message
-                    };
+
+                console.log(`📄 Successfully extracted PDF content: ${cleanText.length} characters, ${data.numPages} pages, ${data.sections.length} sections`);
+
+                return {
+                    url: url,
+                    title: title,
+                    content: {
+                        text: cleanText,
+                        html: null,
+                        markdown: data.markdown,
+                        tables: data.tables,
+                        pages: data.pages,
+                        sections: data.sections
+                    },
+                    links: [],
+                    success: true,
+                    contentType: 'pdf',
+                    extractionError: null,
+                    metadata: {
+                        pages: data.numPages,
+                        info: data.info,
+                        actualUrl: tryUrl,
+                        archiveRecords: archiveId ? [archiveId] : []
+                    }
+                };
+
+            } catch (urlError) {
+                console.log(`❌ Failed with ${tryUrl}: ${urlError.message}`);
+                if (urlError.response) {
+                    console.log(`📊 Response status: ${urlError.response.status}, headers:`, urlError.response.headers);
                 }
+                lastError = urlError;
             }
         }
+
+        throw lastError || new Error('All PDF extraction attempts failed');
     }
 
     /**
-     * Extract web content using Puppeteer
+     * Extract web content, trying a plain HTTP fetch before the browser
      */
     async extractWebContent(url) {
-        let browser;
-        let retryCount = 0;
-        const maxRetries = 3;
-
-        while (retryCount < maxRetries) {
-            try {
-                console.log(`🔍 Extracting web content from: ${url} (Attempt ${retryCount + 1}/${maxRetries})`);
-                
-                browser = await puppeteer.launch({
-                    headless: "new",
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-web-security',
-                        '--disable-dev-shm-usage',
-                        '--disable-extensions',
-                        '--disable-blink-features=AutomationControlled',
-                        '--disable-features=VizDisplayCompositor',
-                        '--no-first-run',
-                        '--disable-default-apps',
-                        '--disable-background-timer-throttling',
-                        '--disable-backgrounding-occluded-windows',
-                        '--disable-renderer-backgrounding',
-                        '--disable-gpu',
-                        '--no-zygote',
-                        '--single-process'
-                    ],
-                    defaultViewport: { width: 1366, height: 768 },
-                    timeout: 120000
-                });
-
-                const page = await browser.newPage();
-
-                // Enhanced stealth measures
-                await page.evaluateOnNewDocument(() => {
-                    Object.defineProperty(navigator, 'webdriver', {
-                        get: () => undefined,
-                    });
-                    
-                    // Remove automation indicators
-                    delete window.chrome;
-                    window.chrome = { runtime: {} };
-                    
-                    Object.defineProperty(navigator, 'plugins', {
-                        get: () => [1, 2, 3, 4, 5],
-                    });
-                    
-                    Object.defineProperty(navigator, 'languages', {
-                        get: () => ['en-US', 'en'],
-                    });
-                });
+        const staticResult = await this.tryStaticFetch(url);
+        if (staticResult) {
+            return staticResult;
+        }
 
-                // Set realistic user agent and headers
-                await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-                await page.setExtraHTTPHeaders({
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.9',
-                    'Accept-Encoding': 'gzip, deflate, br',
-                    'Cache-Control': 'no-cache',
-                    'Upgrade-Insecure-Requests': '1',
-                    'Sec-Fetch-Dest': 'document',
-                    'Sec-Fetch-Mode': 'navigate',
-                    'Sec-Fetch-Site': 'none'
-                });
+        return await this.extractRenderedContent(url);
+    }
 
-                // Set timeouts
-                await page.setDefaultNavigationTimeout(120000);
-                await page.setDefaultTimeout(120000);
+    /**
+     * Fetch with axios + cheerio; returns null when the page needs a browser. A page that does
+     * not exist (404 and other non-retryable 4xx) is reported as failed without rendering it.
+     */
+    async tryStaticFetch(url) {
+        if (!config.staticFetch.enabled) {
+            return null;
+        }
 
-                // Handle dialogs and popups
-                page.on('dialog', async dialog => {
-                    console.log(`🚨 Dialog appeared: ${dialog.message()}`);
-                    await dialog.dismiss();
-                });
+        try {
+            const { result, needsBrowser, reason } = await this.staticFetcher.fetch(url);
+            if (needsBrowser) {
+                console.log(`🔁 Escalating to browser: ${reason}`);
+                return null;
+            }
 
-                // Navigate with multiple fallback strategies
-                const result = await this.navigateWithFallbacks(page, url);
-                
-                await browser.close();
+            const { expandedPanels, archiveRecords, ...content } = result;
+            return {
+                ...content,
+                contentType: 'web',
+                metadata: { fetchMode: 'static', expandedPanels, archiveRecords }
+            };
+        } catch (error) {
+            if (!StaticFetcher.shouldEscalate(error)) {
                 return {
-                    ...result,
-                    contentType: 'web'
+                    url: url,
+                    title: null,
+                    content: null,
+                    links: [],
+                    success: false,
+                    contentType: 'web',
+                    error: error.message,
+                    errorClass: RetryPolicy.classify(error).errorClass
                 };
+            }
+            console.log(`⚠️ Static fetch failed, escalating to browser: ${error.message}`);
+            return null;
+        }
+    }
 
-            } catch (error) {
-                console.error(`❌ Attempt ${retryCount + 1} failed for ${url}: ${error.message}`);
-                
-                if (browser) {
-                    try {
-                        await browser.close();
-                    } catch (closeError) {
-                        console.log('⚠️ Error closing browser:', closeError.message);
-                    }
-                }
+    /**
+     * Extract web content using a page borrowed from the browser pool
+     */
+    async extractRenderedContent(url) {
+        if (this.httpCache.offline) {
+            return this.replayRenderedContent(url);
+        }
 
-                retryCount++;
-                
-                if (retryCount < maxRetries) {
-                    console.log(`🔄 Retrying in 5 seconds...`);
-                    await Utils.sleep(5000);
-                } else {
-                    return {
-                        url: url,
-                        title: null,
-                        content: null,
-                        links: [],
-                        success: false,
-                        contentType: 'web',
-                        error: error.message
-                    };
-                }
-            }
+        try {
+            // Navigate with multiple fallback strategies
+            const { expandedPanels, archiveRecords, ...result } = await this.retryPolicy.run(url, attempt => {
+                console.log(`🔍 Extracting web content from: ${url} (Attempt ${attempt})`);
+                return this.browserPool.withPage(page => this.navigateWithFallbacks(page, url));
+            }, { label: 'Page render' });
+
+            const extracted = {
+                ...result,
+                contentType: 'web',
+                metadata: { fetchMode: 'browser', expandedPanels, archiveRecords }
+            };
+            this.httpCache.writeRendered(url, extracted);
+            return extracted;
+
+        } catch (error) {
+            return {
+                url: url,
+                title: null,
+                content: null,
+                links: [],
+                success: false,
+                contentType: 'web',
+                error: error.message,
+                errorClass: RetryPolicy.classify(error).errorClass
+            };
         }
     }
 
+    /**
+     * Serve a previously rendered page from the cache in offline mode
+     */
+    replayRenderedContent(url) {
+        const cached = this.httpCache.readRendered(url);
+        if (!cached) {
+            return {
+                url: url,
+                title: null,
+                content: null,
+                links: [],
+                success: false,
+                contentType: 'web',
+                error: HttpCache.missError(url).message,
+                errorClass: 'cache_miss'
+            };
+        }
+
+        console.log(`📦 Offline replay of rendered page: ${url}`);
+        return {
+            ...cached,
+            contentType: 'web',
+            metadata: { ...cached.metadata, fetchMode: 'cache' }
+        };
+    }
+
     /**
      * Navigate with multiple fallback strategies
      */
@@ -305,33 +413,59 @@ class ContentExtractor {
         ];
 
         let lastError;
+        // Listen before navigating so the JSON the page loads on startup is captured too
+        const capture = this.networkCapture.attach(page, url);
         
-        for (let i = 0; i < strategies.length; i++) {
-            try {
-                console.log(`📄 Trying navigation strategy ${i + 1}: ${strategies[i].waitUntil}`);
+        try {
+            for (let i = 0; i < strategies.length; i++) {
+                try {
+                    console.log(`📄 Trying navigation strategy ${i + 1}: ${strategies[i].waitUntil}`);
                 
-                const response = await page.goto(url, strategies[i]);
+                    const response = await page.goto(url, strategies[i]);
                 
-                // Check if response is valid
-                if (response && response.status() >= 400) {
-                    throw new Error(`HTTP ${response.status()}: ${response.statusText()}`);
-                }
+                    // Check if response is valid
+                    if (response && response.status() >= 400) {
+                        throw RetryPolicy.httpError(response.status(), response.statusText());
+                    }
                 
-                await this.waitForContent(page);
-                const result = await this.extractPageContent(page, url);
+                    await this.waitForContent(page);
+                    const expandedPanels = await this.pageExpander.expand(page, {
+                        extraSelectors: SiteAdapters.forUrl(url).expandSelectors
+                    });
+
+                    // Snapshot before extractPageContent strips the page
+                    const archiveRecords = this.archive ? await this.archive.snapshotPage(page, url) : [];
+                    const result = await this.extractPageContent(page, url);
+
+                    if (RetryPolicy.isBotBlockPage(result.title, result.content.text)) {
+                        throw RetryPolicy.botBlockError(url, result.title);
+                    }
                 
-                if (result.content && (result.content.text.length > 100 || result.links.length > 0)) {
-                    console.log(`✅ Successfully extracted content using strategy ${i + 1}`);
-                    return result;
-                }
+                    if (result.content && (result.content.text.length > 100 || result.links.length > 0)) {
+                        console.log(`✅ Successfully extracted content using strategy ${i + 1}`);
+                        const apiResponses = await capture.stop();
+                        result.content.apiResponses = apiResponses;
+                        return {
+                            ...result,
+                            expandedPanels,
+                            archiveRecords: [...archiveRecords, ...apiResponses.map(payload => payload.archive_record).filter(Boolean)]
+                        };
+                    }
                 
-                console.log(`⚠️ Strategy ${i + 1} loaded page but found minimal content`);
+                    console.log(`⚠️ Strategy ${i + 1} loaded page but found minimal content`);
                 
-            } catch (error) {
-                console.log(`❌ Strategy ${i + 1} failed: ${error.message}`);
-                lastError = error;
-                continue;
+                } catch (error) {
+                    console.log(`❌ Strategy ${i + 1} failed: ${error.message}`);
+                    lastError = error;
+
+                    // Another wait strategy will not fix a 404, a block page or a bad certificate
+                    if (!RetryPolicy.classify(error).retryable) {
+                        throw error;
+                    }
+                }
             }
+        } finally {
+            await capture.stop();
         }
 
         throw lastError || new Error('All navigation strategies failed');
@@ -386,16 +520,19 @@ class ContentExtractor {
      * Extract content with enhanced error handling
      */
     async extractPageContent(page, url) {
-        const result = await page.evaluate(() => {
+        // JSON-LD lives in script tags, so read it before the cleanup below removes them
+        const structuredData = StructuredDataExtractor.fromHtml(await page.content(), url);
+
+        const result = await page.evaluate((issuerSelectors) => {
             try {
                 // Remove unwanted elements
                 const unwantedSelectors = [
+                    ...issuerSelectors,
                     'script', 'style', 'nav', 'header', 'footer', 
                     '.advertisement', '.ads', '.social-media', '.navigation', 
                     '.menu', '.sidebar', '.cookie-banner', '.popup', 
                     'iframe', 'object', 'embed', '.breadcrumb',
-                    '.modal', '.overlay', '.loading', '.spinner',
-                    '[style*="display: none"]', '[style*="visibility: hidden"]'
+                    '.modal', '.overlay', '.loading', '.spinner'
                 ];
                 
                 unwantedSelectors.forEach(selector => {
@@ -496,7 +633,7 @@ class ContentExtractor {
                     extractionError: error.message
                 };
             }
-        });
+        }, SiteAdapters.forUrl(url).removeSelectors);
 
         console.log(`✅ Successfully extracted content from: ${url}`);
         console.log(`📊 Found ${result.links.length} links, ${result.text.length} characters of text`);
@@ -506,7 +643,10 @@ class ContentExtractor {
             title: result.title,
             content: {
                 html: result.html,
-                text: result.text
+                text: result.text,
+                markdown: this.markdownConverter.convert(result.html),
+                tables: TableExtractor.fromHtml(result.html, url),
+                structuredData: structuredData
             },
             links: result.links,
             success: true,
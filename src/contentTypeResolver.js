@@ -0,0 +1,247 @@
+const axios = require('axios');
+const config = require('../config/config');
+const HttpCache = require('./httpCache');
+
+// MIME types mapped to the extractor that handles them
+const MIME_TYPES = {
+    html: ['text/html', 'application/xhtml+xml'],
+    pdf: ['application/pdf', 'application/x-pdf'],
+    text: ['text/plain', 'text/csv', 'application/json', 'text/xml', 'application/xml'],
+    document: [
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument',
+        'application/vnd.ms-excel',
+        'application/vnd.ms-powerpoint',
+        'application/rtf'
+    ],
+    image: ['image/']
+};
+
+// Content types servers use when they do not know better; these need sniffing
+const AMBIGUOUS_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/download', 'application/force-download'];
+
+const SNIFF_BYTES = 1024;
+
+class ContentTypeResolver {
+    constructor(options = {}) {
+        this.cache = new Map();
+        this.httpCache = options.httpCache || HttpCache.shared();
+        this.timeout = config.crawler.timeout;
+        this.userAgent = config.crawler.userAgent;
+    }
+
+    /**
+     * Work out what a URL really serves.
+     * Uses HEAD first, then a ranged GET for magic bytes when the header is missing or ambiguous.
+     */
+    async resolve(url) {
+        if (this.cache.has(url)) {
+            return this.cache.get(url);
+        }
+
+        let resolved = this.resolveFromHttpCache(url);
+        if (resolved) {
+            this.cache.set(url, resolved);
+            return resolved;
+        }
+
+        if (this.httpCache.offline) {
+            return {
+                url: url,
+                finalUrl: url,
+                type: 'unknown',
+                mimeType: null,
+                status: null,
+                method: 'none',
+                error: 'offline and not cached'
+            };
+        }
+
+        try {
+            resolved = await this.resolveFromHead(url);
+            if (!resolved || resolved.ambiguous) {
+                resolved = await this.resolveFromBytes(url, resolved);
+            }
+        } catch (error) {
+            console.log(`⚠️ Could not sniff content type for ${url}: ${error.message}`);
+            resolved = {
+                url: url,
+                finalUrl: url,
+                type: 'unknown',
+                mimeType: null,
+                status: error.response?.status || null,
+                method: 'none',
+                error: error.message
+            };
+        }
+
+        delete resolved.ambiguous;
+        console.log(`🔎 Content type for ${url}: ${resolved.type} (${resolved.mimeType || 'no mime'}, via ${resolved.method})`);
+        this.cache.set(url, resolved);
+        return resolved;
+    }
+
+    /**
+     * Use a body already in the HTTP cache, so repeat and offline runs need no request
+     */
+    resolveFromHttpCache(url) {
+        const entry = this.httpCache.peek(url);
+        if (!entry) return null;
+
+        const mimeType = this.parseMimeType(entry.meta.headers['content-type']);
+        const type = ContentTypeResolver.sniffBuffer(entry.body.subarray(0, SNIFF_BYTES)) || this.typeFromMime(mimeType);
+
+        return {
+            url: url,
+            finalUrl: entry.meta.finalUrl || url,
+            type: type,
+            mimeType: mimeType,
+            status: entry.meta.status,
+            method: 'cache',
+            contentLength: entry.body.length
+        };
+    }
+
+    /**
+     * HEAD request; returns null when the server does not support HEAD
+     */
+    async resolveFromHead(url) {
+        let response;
+        try {
+            response = await axios.head(url, {
+                timeout: this.timeout,
+                maxRedirects: 10,
+                headers: { 'User-Agent': this.userAgent, 'Accept': '*/*' },
+                validateStatus: status => status >= 200 && status < 400
+            });
+        } catch (error) {
+            // Plenty of servers reject HEAD with 403/405 but serve GET fine
+            if (error.response && error.response.status < 500) {
+                return null;
+            }
+            throw error;
+        }
+
+        const mimeType = this.parseMimeType(response.headers['content-type']);
+        const type = this.typeFromMime(mimeType);
+
+        return {
+            url: url,
+            finalUrl: response.request?.res?.responseUrl || url,
+            type: type,
+            mimeType: mimeType,
+            status: response.status,
+            method: 'head',
+            contentLength: Number(response.headers['content-length']) || null,
+            ambiguous: type === 'unknown'
+        };
+    }
+
+    /**
+     * Ranged GET of the first bytes so the magic number can be checked.
+     * The body is streamed and dropped early in case the server ignores the range.
+     */
+    async resolveFromBytes(url, headResult) {
+        const response = await axios.get(url, {
+            timeout: this.timeout,
+            maxRedirects: 10,
+            responseType: 'stream',
+            headers: {
+                'User-Agent': this.userAgent,
+                'Accept': '*/*',
+                'Range': `bytes=0-${SNIFF_BYTES - 1}`
+            },
+            validateStatus: status => status >= 200 && status < 300
+        });
+
+        const buffer = await this.readLeadingBytes(response.data);
+        const mimeType = this.parseMimeType(response.headers['content-type']) || headResult?.mimeType || null;
+        const sniffed = ContentTypeResolver.sniffBuffer(buffer);
+        const type = sniffed || this.typeFromMime(mimeType);
+
+        return {
+            url: url,
+            finalUrl: response.request?.res?.responseUrl || headResult?.finalUrl || url,
+            type: type,
+            mimeType: mimeType,
+            status: response.status,
+            method: sniffed ? 'magic' : 'range',
+            contentLength: headResult?.contentLength || null
+        };
+    }
+
+    /**
+     * Read up to SNIFF_BYTES from a response stream, then close it
+     */
+    readLeadingBytes(stream) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let length = 0;
+
+            const finish = () => {
+                stream.destroy();
+                resolve(Buffer.concat(chunks).subarray(0, SNIFF_BYTES));
+            };
+
+            stream.on('data', chunk => {
+                chunks.push(chunk);
+                length += chunk.length;
+                if (length >= SNIFF_BYTES) finish();
+            });
+            stream.on('end', finish);
+            stream.on('error', reject);
+        });
+    }
+
+    /**
+     * Detect a type from the leading bytes of a body
+     */
+    static sniffBuffer(buffer) {
+        if (!buffer || buffer.length === 0) return null;
+
+        // %PDF may be preceded by a little junk, which readers tolerate
+        if (buffer.subarray(0, SNIFF_BYTES).indexOf('%PDF-') !== -1) {
+            return 'pdf';
+        }
+
+        const hex = buffer.subarray(0, 4).toString('hex');
+        if (hex === '504b0304' || hex === 'd0cf11e0') {
+            return 'document';
+        }
+        if (buffer.subarray(0, 5).toString() === '{\\rtf') {
+            return 'document';
+        }
+
+        const head = buffer.subarray(0, 512).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+        if (head.startsWith('<!doctype html') || head.startsWith('<html') || /<(head|body|title)[\s>]/.test(head)) {
+            return 'html';
+        }
+
+        return null;
+    }
+
+    /**
+     * True when a downloaded body is really a PDF
+     */
+    static isPdfBuffer(buffer) {
+        return ContentTypeResolver.sniffBuffer(Buffer.from(buffer).subarray(0, SNIFF_BYTES)) === 'pdf';
+    }
+
+    parseMimeType(header) {
+        if (!header) return null;
+        return header.split(';')[0].trim().toLowerCase() || null;
+    }
+
+    typeFromMime(mimeType) {
+        if (!mimeType || AMBIGUOUS_TYPES.includes(mimeType)) return 'unknown';
+
+        for (const [type, prefixes] of Object.entries(MIME_TYPES)) {
+            if (prefixes.some(prefix => mimeType.startsWith(prefix))) {
+                return type;
+            }
+        }
+        return 'other';
+    }
+}
+
+module.exports = ContentTypeResolver;
@@ -0,0 +1,198 @@
+const config = require('../config/config');
+const UrlCanonicalizer = require('./urlCanonicalizer');
+
+/**
+ * Crawl frontier for one card: a priority queue of links discovered from the card page and the
+ * pages it leads to, bounded by depth and a page / byte / time budget.
+ *
+ * Every canonical URL is queued once (cycle detection); other spellings of it are kept as the
+ * node's aliases, and every link seen is kept as an edge so the link graph shows how each
+ * source was reached. Each URL also gets a rank, the position of the
+ * link on each page along its path, so order does not depend on which fetch finished first.
+ */
+class CrawlFrontier {
+    constructor(rootUrl, options = {}) {
+        const { priorityOf, ...overrides } = options;
+        this.config = { ...config.frontier, ...overrides };
+        this.priorityOf = priorityOf || (() => 0);
+        this.rootUrl = rootUrl;
+        this.startedAt = Date.now();
+        this.pagesUsed = 0;
+        this.bytesUsed = 0;
+        this.exhausted = null;
+
+        this.queue = [];
+        this.nodes = new Map();
+        this.edges = [];
+        this.nodes.set(CrawlFrontier.key(rootUrl), { url: rootUrl, depth: 0, parent: null, type: 'root', status: 'processed', rank: [], aliases: [] });
+    }
+
+    /**
+     * Queue links found on a page at the given depth; already-known URLs only add an edge
+     * (and an alias when spelled differently)
+     */
+    add(links, parentUrl, depth) {
+        const parentRank = this.nodes.get(CrawlFrontier.key(parentUrl))?.rank || [];
+        let queued = 0;
+        links.forEach((link, index) => {
+            const key = CrawlFrontier.key(link.url);
+            const known = this.nodes.get(key);
+            this.edges.push({
+                from: parentUrl,
+                to: link.url,
+                type: link.type,
+                text: link.text || '',
+                ...(known && { revisit: true })
+            });
+            if (known) {
+                if (link.url !== known.url && !known.aliases.includes(link.url)) {
+                    known.aliases.push(link.url);
+                }
+                return;
+            }
+
+            const node = { url: link.url, depth: depth, parent: parentUrl, type: link.type, status: 'queued', rank: [...parentRank, index], aliases: [...(link.aliases || [])] };
+            this.nodes.set(key, node);
+            this.queue.push({ link: { ...link, depth: depth, parent_url: parentUrl }, priority: this.priorityOf(link), rank: node.rank });
+            queued++;
+        });
+        return queued;
+    }
+
+    /**
+     * Next link to fetch: highest priority first, then shallowest, then rank.
+     * Returns null when the queue is empty or the budget is spent.
+     */
+    next() {
+        if (this.queue.length === 0) return null;
+
+        const reason = this.budgetExceeded();
+        if (reason) {
+            this.exhausted = reason;
+            console.log(`⏹️ Crawl budget reached (${reason}), ${this.queue.length} queued links skipped`);
+            this.queue.forEach(entry => {
+                const node = this.nodes.get(CrawlFrontier.key(entry.link.url));
+                node.status = 'skipped';
+                node.reason = reason;
+            });
+            this.queue = [];
+            return null;
+        }
+
+        this.queue.sort(CrawlFrontier.compareEntries);
+        this.pagesUsed++;
+        return this.queue.shift().link;
+    }
+
+    budgetExceeded() {
+        if (this.config.maxPages > 0 && this.pagesUsed >= this.config.maxPages) return 'max_pages';
+        if (this.config.maxBytes > 0 && this.bytesUsed >= this.config.maxBytes) return 'max_bytes';
+        if (this.config.maxTime > 0 && Date.now() - this.startedAt >= this.config.maxTime) return 'max_time';
+        return null;
+    }
+
+    /**
+     * Record the outcome of a fetched link; a reused link (taken from the run's document
+     * store) costs no page or bytes of the budget
+     */
+    complete(url, { status, bytes = 0, reused = false, reason = null }) {
+        if (reused) {
+            this.pagesUsed--;
+        } else {
+            this.bytesUsed += bytes;
+        }
+        const node = this.nodes.get(CrawlFrontier.key(url));
+        if (node) {
+            node.status = status;
+            if (bytes) node.bytes = bytes;
+            if (reused) node.reused = true;
+            if (reason) node.reason = reason;
+        }
+    }
+
+    /**
+     * Mark a fetched link whose content turned out to be another document's
+     */
+    markDuplicate(url, duplicateOf) {
+        const node = this.nodes.get(CrawlFrontier.key(url));
+        if (node) {
+            node.status = 'duplicate';
+            node.duplicate_of = duplicateOf;
+        }
+    }
+
+    /**
+     * Other URLs that led to the same node
+     */
+    aliasesOf(url) {
+        return this.nodes.get(CrawlFrontier.key(url))?.aliases || [];
+    }
+
+    get pending() {
+        return this.queue.length;
+    }
+
+    /**
+     * Sort comparator putting fetched links in frontier order, whatever order they finished in
+     */
+    compareUrls(urlA, urlB) {
+        const entry = url => {
+            const node = this.nodes.get(CrawlFrontier.key(url));
+            return { priority: this.priorityOf(node), link: node, rank: node.rank };
+        };
+        return CrawlFrontier.compareEntries(entry(urlA), entry(urlB));
+    }
+
+    static compareEntries(a, b) {
+        if (a.priority !== b.priority) return b.priority - a.priority;
+        if (a.link.depth !== b.link.depth) return a.link.depth - b.link.depth;
+        for (let i = 0; i < Math.min(a.rank.length, b.rank.length); i++) {
+            if (a.rank[i] !== b.rank[i]) return a.rank[i] - b.rank[i];
+        }
+        return a.rank.length - b.rank.length;
+    }
+
+    /**
+     * URLs from the card page down to a node
+     */
+    pathTo(url) {
+        const path = [];
+        let node = this.nodes.get(CrawlFrontier.key(url));
+        while (node) {
+            path.unshift(node.url);
+            node = node.parent ? this.nodes.get(CrawlFrontier.key(node.parent)) : null;
+        }
+        return path;
+    }
+
+    /**
+     * Link graph and budget use, for result metadata
+     */
+    toGraph() {
+        return {
+            root: this.rootUrl,
+            max_depth: this.config.maxDepth,
+            budget: {
+                pages: { used: this.pagesUsed, limit: this.config.maxPages || null },
+                bytes: { used: this.bytesUsed, limit: this.config.maxBytes || null },
+                time_ms: { used: Date.now() - this.startedAt, limit: this.config.maxTime || null },
+                exhausted: this.exhausted
+            },
+            nodes: [...this.nodes.values()].filter(node => node.depth > 0).map(({ rank, aliases, ...node }) => ({
+                ...node,
+                ...(aliases.length > 0 && { aliases }),
+                ...(node.status === 'processed' && { path: this.pathTo(node.url) })
+            })),
+            edges: this.edges
+        };
+    }
+
+    /**
+     * Identity of a URL for cycle detection, see UrlCanonicalizer
+     */
+    static key(url) {
+        return UrlCanonicalizer.canonicalize(url);
+    }
+}
+
+module.exports = CrawlFrontier;
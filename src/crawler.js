@@ -3,16 +3,38 @@ const path = require('path');
 const ContentExtractor = require('./contentExtractor');
 const LinkProcessor = require('./linkProcessor');
 const AIProcessor = require('./aiProcessor');
+const HttpCache = require('./httpCache');
+const PolitenessScheduler = require('./politenessScheduler');
+const RetryPolicy = require('./retryPolicy');
+const ArchiveWriter = require('./archiveWriter');
+const PdfExtractor = require('./pdfExtractor');
+const NetworkCapture = require('./networkCapture');
+const StructuredDataExtractor = require('./structuredDataExtractor');
+const CitationVerifier = require('./citationVerifier');
+const SiteAdapters = require('./adapters');
 const Utils = require('./utils');
 
 class CardholderBenefitsCrawler {
     constructor(openaiApiKey, options = {}) {
-        this.contentExtractor = new ContentExtractor();
+        this.httpCache = options.httpCache ||
+                         (options.offline ? new HttpCache({ offline: true }) : HttpCache.shared());
+        this.scheduler = options.scheduler || CardholderBenefitsCrawler.createScheduler(this.httpCache, options);
+        this.archive = ArchiveWriter.fromOptions(options);
+        this.contentExtractor = new ContentExtractor({
+            browserPool: options.browserPool,
+            httpCache: this.httpCache,
+            scheduler: this.scheduler,
+            archive: this.archive
+        });
         this.linkProcessor = new LinkProcessor({
             maxLinks: options.maxLinks || 0,
-            delayBetweenRequests: options.delayBetweenRequests || 2000
+            browserPool: options.browserPool,
+            httpCache: this.httpCache,
+            scheduler: this.scheduler,
+            archive: this.archive,
+            documentStore: options.documentStore
         });
-        this.aiProcessor = new AIProcessor(openaiApiKey);
+        this.aiProcessor = new AIProcessor(openaiApiKey, options.llm);
         this.options = options;
         
         this.outputDir = path.join(process.cwd(), 'json_results');
@@ -22,6 +44,27 @@ class CardholderBenefitsCrawler {
 
         console.log('🚀 CardholderBenefitsCrawler initialized');
         console.log(`📁 Output directory: ${this.outputDir}`);
+        if (this.httpCache.offline) {
+            console.log('📦 Offline mode: serving every fetch from the HTTP cache');
+        }
+    }
+
+    /**
+     * Use the shared scheduler unless this run needs its own delay or an offline cache
+     */
+    static createScheduler(httpCache, options = {}) {
+        // delayBetweenCards predates the scheduler; the per-host delay now spaces every request
+        const delayPerHost = options.delayBetweenRequests || options.delayBetweenCards;
+        if (!delayPerHost && httpCache === HttpCache.shared()) {
+            return PolitenessScheduler.shared();
+        }
+
+        return new PolitenessScheduler({
+            httpCache,
+            ...(delayPerHost && { delayPerHost }),
+            // Replaying from disk needs no politeness
+            ...(httpCache.offline && { delayPerHost: 0, maxConcurrentPerHost: Infinity })
+        });
     }
 
     /**
@@ -39,7 +82,9 @@ class CardholderBenefitsCrawler {
             const mainContent = await this.contentExtractor.extractFromUrl(url);
             
             if (!mainContent.success) {
-                throw new Error(`Failed to extract main content: ${mainContent.error}`);
+                const error = new Error(`Failed to extract main content: ${mainContent.error}`);
+                error.errorClass = mainContent.errorClass;
+                throw error;
             }
 
             console.log(`✅ Main content extracted: ${mainContent.contentType} format`);
@@ -55,32 +100,53 @@ class CardholderBenefitsCrawler {
             const links = this.linkProcessor.extractLinks(mainContent, url);
             console.log(`📊 Found ${links.length} potential links to process`);
             
-            const { processedLinks, failedLinks } = await this.linkProcessor.processLinks(links);
+            const { processedLinks, failedLinks, skippedLinks, duplicateLinks, linkGraph, linkDecisions } = await this.linkProcessor.processLinks(links, url);
             console.log(`✅ Successfully processed ${processedLinks.length} links`);
             console.log(`❌ Failed to process ${failedLinks.length} links`);
 
             // STEP-3: AI Processing
             console.log('🤖 STEP 3: AI processing...');
-            const { standardJson, structuredJson } = 
+            const { standardJson, structuredJson, validation, chunking } = 
                 await this.aiProcessor.processContent(mainContent, processedLinks, url);
+            const citations = CitationVerifier.verify(standardJson, this.aiProcessor.contentSources(mainContent, processedLinks, url));
 
             // STEP-4: Assemble standard result
             console.log('📋 STEP 4: Assembling results...');
+            const structuredData = mainContent.content?.structuredData;
+            const filledFields = StructuredDataExtractor.applyHints(standardJson, structuredJson, structuredData);
             const standardResult = {
                 id: Utils.generateId(url),
                 url,
                 scraped_at: new Date().toISOString(),
                 processing_time_seconds: Math.round((Date.now() - startTime) / 1000),
-                ...standardJson
+                ...standardJson,
+                source_tables: this.collectSourceTables([mainContent, ...processedLinks])
             };
 
             // Add metadata
             standardResult.metadata = standardResult.metadata || {};
             standardResult.metadata.failed_links = failedLinks.length;
             standardResult.metadata.failed_link_details = failedLinks;
+            standardResult.metadata.skipped_links = skippedLinks;
             standardResult.metadata.content_type = 'web';
+            standardResult.metadata.site_adapter = SiteAdapters.forUrl(url).id;
+            standardResult.metadata.detected_content_type = mainContent.metadata?.detectedType || null;
+            standardResult.metadata.fetch_mode = mainContent.metadata?.fetchMode || null;
+            standardResult.metadata.expanded_panels = mainContent.metadata?.expandedPanels || [];
+            standardResult.metadata.api_responses = NetworkCapture.summarize(mainContent.content?.apiResponses);
+            standardResult.metadata.structured_data = StructuredDataExtractor.summarize(structuredData, filledFields);
             standardResult.metadata.total_links_found = links.length;
             standardResult.metadata.links_processed = processedLinks.length;
+            standardResult.metadata.duplicate_links = duplicateLinks;
+            standardResult.metadata.link_graph = linkGraph;
+            standardResult.metadata.link_decisions = linkDecisions;
+            standardResult.metadata.schema_validation = validation;
+            standardResult.metadata.content_chunking = chunking;
+            standardResult.metadata.citations = citations;
+            standardResult.metadata.archive = this.archiveReference([
+                { url, records: mainContent.metadata?.archiveRecords },
+                ...processedLinks.map(link => ({ url: link.url, records: link.archive_records }))
+            ]);
 
             // STEP-5: Check data completeness
             console.log('🔍 STEP 5: Validating data completeness...');
@@ -102,7 +168,7 @@ class CardholderBenefitsCrawler {
         } catch (err) {
             console.error('❌ Crawling failed:', err.message);
             console.error('Stack trace:', err.stack);
-            return this.createErrorResult(url, err.message, 'web', startTime);
+            return this.createErrorResult(url, err.message, 'web', startTime, RetryPolicy.classify(err).errorClass);
         }
     }
 
@@ -114,15 +180,17 @@ class CardholderBenefitsCrawler {
             console.log('📄 Processing PDF document with AI...');
             
             // For PDFs, we don't have linked content, so pass empty array
-            const { standardJson, structuredJson } = 
+            const { standardJson, structuredJson, validation, chunking } = 
                 await this.aiProcessor.processContent(pdfContent, [], url);
+            const citations = CitationVerifier.verify(standardJson, this.aiProcessor.contentSources(pdfContent, [], url));
 
             const standardResult = {
                 id: Utils.generateId(url),
                 url,
                 scraped_at: new Date().toISOString(),
                 processing_time_seconds: Math.round((Date.now() - startTime) / 1000),
-                ...standardJson
+                ...standardJson,
+                source_tables: this.collectSourceTables([pdfContent])
             };
 
             // Add PDF-specific metadata
@@ -135,8 +203,16 @@ class CardholderBenefitsCrawler {
                 title: pdfContent.title,
                 text_length: pdfContent.content?.text?.length || 0,
                 pages: pdfContent.metadata?.pages || 0,
-                actual_url: pdfContent.metadata?.actualUrl || url
+                actual_url: pdfContent.metadata?.actualUrl || url,
+                sections: PdfExtractor.outline(pdfContent.content?.sections)
             };
+            standardResult.metadata.detected_content_type = pdfContent.metadata?.detectedType || null;
+            standardResult.metadata.schema_validation = validation;
+            standardResult.metadata.content_chunking = chunking;
+            standardResult.metadata.citations = citations;
+            standardResult.metadata.archive = this.archiveReference([
+                { url, records: pdfContent.metadata?.archiveRecords }
+            ]);
 
             // For PDFs, we're more lenient with data completeness
             const isComplete = this.isPdfDataComplete(standardResult);
@@ -153,10 +229,31 @@ class CardholderBenefitsCrawler {
 
         } catch (error) {
             console.error('❌ PDF processing failed:', error.message);
-            return this.createErrorResult(url, error.message, 'pdf', startTime);
+            return this.createErrorResult(url, error.message, 'pdf', startTime, RetryPolicy.classify(error).errorClass);
         }
     }
 
+    /**
+     * Archive records this result was built from, or null when archiving is off
+     */
+    archiveReference(sources) {
+        if (!this.archive) return null;
+        return {
+            run_id: this.archive.runId,
+            dir: this.archive.runDir,
+            records: sources
+                .filter(source => source.records?.length)
+                .map(source => ({ url: source.url, record_ids: source.records }))
+        };
+    }
+
+    /**
+     * Tables extracted deterministically from the main page and its linked documents
+     */
+    collectSourceTables(sources) {
+        return sources.flatMap(source => source.content?.tables || []);
+    }
+
     /**
      * Check if data is complete for web pages
      */
@@ -276,7 +373,7 @@ class CardholderBenefitsCrawler {
     /**
      * Create error result
      */
-    createErrorResult(url, errorMessage, contentType = 'web', startTime = Date.now()) {
+    createErrorResult(url, errorMessage, contentType = 'web', startTime = Date.now(), errorClass = 'unknown') {
         try {
             const ts = new Date().toISOString().replace(/[:.]/g, '-');
             const result = {
@@ -312,6 +409,7 @@ class CardholderBenefitsCrawler {
                     content_type: contentType,
                     data_quality: 'error',
                     error: errorMessage,
+                    error_class: errorClass,
                     extraction_completed_at: new Date().toISOString()
                 }
             };
@@ -335,7 +433,8 @@ class CardholderBenefitsCrawler {
                     standard: path.join(this.outputDir, errorFilename) 
                 },
                 processing_time_seconds: Math.round((Date.now() - startTime) / 1000),
-                error: errorMessage
+                error: errorMessage,
+                error_class: errorClass
             };
         } catch (saveError) {
             console.error('❌ Error creating error result:', saveError.message);
@@ -343,6 +442,7 @@ class CardholderBenefitsCrawler {
                 valid: false,
                 reason: 'critical_error',
                 error: `${errorMessage} | Save error: ${saveError.message}`,
+                error_class: errorClass,
                 processing_time_seconds: Math.round((Date.now() - startTime) / 1000)
             };
         }
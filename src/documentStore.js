@@ -0,0 +1,79 @@
+const UrlCanonicalizer = require('./urlCanonicalizer');
+
+/**
+ * Linked pages and documents fetched during one run, shared by every card of a listing.
+ * Bank-wide documents (MITC, reward-programme terms, fee schedules) are fetched and parsed
+ * for the first card that links to them and reused by the others.
+ *
+ * Documents are keyed by canonical URL; a document fetched under a new URL whose content
+ * hash is already known joins the existing entry. Each entry remembers which cards used it.
+ */
+class DocumentStore {
+    constructor() {
+        this.documents = new Map(); // canonical URL -> entry
+        this.byHash = new Map();    // content hash -> entry
+    }
+
+    /**
+     * Stored entry for a URL, or null
+     */
+    get(url) {
+        return this.documents.get(UrlCanonicalizer.canonicalize(url)) || null;
+    }
+
+    /**
+     * Store a processed link for the card it was fetched for; returns the entry, which is an
+     * earlier one when the content was already stored under another URL
+     */
+    put(processed, { links = [], bytes = 0 } = {}, cardUrl) {
+        const { content_type, content, summary, content_hash, archive_records } = processed;
+        const canonicalUrl = UrlCanonicalizer.canonicalize(processed.url);
+
+        let entry = content_hash ? this.byHash.get(content_hash) : null;
+        if (!entry) {
+            entry = {
+                url: processed.url,
+                fetched_for: cardUrl,
+                document: { content_type, content, summary, content_hash, archive_records },
+                links: links,
+                bytes: bytes,
+                urls: new Set(),
+                cards: new Set()
+            };
+            if (content_hash) this.byHash.set(content_hash, entry);
+        }
+        this.documents.set(canonicalUrl, entry);
+        this.use(entry, processed.url, cardUrl);
+        return entry;
+    }
+
+    /**
+     * Record that a card reached an entry through a URL
+     */
+    use(entry, url, cardUrl) {
+        entry.urls.add(url);
+        entry.cards.add(cardUrl);
+    }
+
+    /**
+     * Documents used by more than one card, for the listing summary
+     */
+    sharedDocuments() {
+        return [...new Set(this.documents.values())]
+            .filter(entry => entry.cards.size > 1)
+            .map(entry => ({
+                url: entry.url,
+                content_type: entry.document.content_type,
+                content_hash: entry.document.content_hash || null,
+                fetched_for: entry.fetched_for,
+                cards: [...entry.cards],
+                urls: [...entry.urls]
+            }));
+    }
+
+    get size() {
+        return new Set(this.documents.values()).size;
+    }
+}
+
+module.exports = DocumentStore;
@@ -0,0 +1,172 @@
+// Fields that identify the same entry in lists extracted from different chunks
+const ITEM_KEYS = {
+    '/standard_format/rewards/earning/categories': ['name'],
+    '/standard_format/rewards/earning/bonus_rates': ['condition'],
+    '/standard_format/rewards/redemption': ['option'],
+    '/standard_format/benefits': ['name'],
+    '/standard_format/current_offers': ['title'],
+    '/standard_format/perks': ['name'],
+    '/standard_format/partnerships': ['partner', 'benefit'],
+    '/standard_format/fees_and_charges': ['type'],
+    '/structured_format/rewards/cashback_program': ['category'],
+    '/structured_format/rewards/earning_structure': ['type', 'category'],
+    '/structured_format/rewards/redemption/options': ['method'],
+    '/structured_format/related_docs/pdfs': ['url']
+};
+
+const FALLBACK_KEYS = ['name', 'title', 'type', 'option', 'partner', 'url'];
+
+/**
+ * Deterministic merge of the partial extractions of a chunked crawl, in chunk order (main page
+ * first, then linked pages in link order).
+ *
+ * - Lists are combined and entries describing the same thing (same benefit name, offer title,
+ *   fee type...) merged into one, compared case- and punctuation-insensitively
+ * - Empty values (null, "", [], {}) never replace a value
+ * - Flags are true when any chunk found them true
+ * - Of two texts where one contains the other, the longer is kept
+ * - Other differing values (a fee amount given two ways) keep the earlier chunk's value; the
+ *   dropped one is reported in conflicts as { path, kept, dropped, part }
+ */
+class ExtractionMerger {
+    constructor() {
+        this.conflicts = [];
+    }
+
+    /**
+     * partials: [{ part, data }] where data is { standard_format, structured_format }
+     */
+    static merge(partials) {
+        const merger = new ExtractionMerger();
+        const merged = partials.reduce(
+            (result, { part, data }) => merger.mergeValue(result, data, '', '', part),
+            {}
+        );
+        ExtractionMerger.alignPartitionKeys(merged.structured_format);
+        return { merged, conflicts: merger.conflicts };
+    }
+
+    /**
+     * schemaPath has no list indexes and picks the ITEM_KEYS entry; path is the JSON Pointer
+     * into the merged result used in conflicts
+     */
+    mergeValue(current, incoming, schemaPath, path, part) {
+        if (ExtractionMerger.isEmpty(incoming)) return current;
+        if (ExtractionMerger.isEmpty(current)) {
+            // Start lists and objects afresh so placeholder entries are dropped on the way in
+            if (Array.isArray(incoming)) current = [];
+            else if (ExtractionMerger.isObject(incoming)) current = {};
+            else return incoming;
+        }
+
+        if (Array.isArray(current) && Array.isArray(incoming)) {
+            return this.mergeLists(current, incoming, schemaPath, path, part);
+        }
+        if (ExtractionMerger.isObject(current) && ExtractionMerger.isObject(incoming)) {
+            const result = { ...current };
+            Object.entries(incoming).forEach(([key, value]) => {
+                // A citation belongs with the values it came from, so the first one is kept whole
+                if (key === 'source' && !ExtractionMerger.isEmpty(current.source)) return;
+                const merged = this.mergeValue(current[key], value, `${schemaPath}/${key}`, `${path}/${key}`, part);
+                result[key] = merged === undefined ? value : merged;
+            });
+            return result;
+        }
+        if (typeof current === 'boolean' && typeof incoming === 'boolean') {
+            return current || incoming;
+        }
+
+        const kept = ExtractionMerger.normalize(current);
+        const other = ExtractionMerger.normalize(incoming);
+        if (kept === other) return current;
+        // A fuller version of the same text ("Spend 1 lakh" / "Spend 1 lakh in a year") is no conflict;
+        // whole words are compared, so "₹500" is not part of "₹1,500"
+        if (typeof current === 'string' && typeof incoming === 'string') {
+            const currentWords = ExtractionMerger.words(current);
+            const incomingWords = ExtractionMerger.words(incoming);
+            if (currentWords.includes(incomingWords)) return current;
+            if (incomingWords.includes(currentWords)) return incoming;
+        }
+        // Partition keys are realigned after the merge
+        if (!path.endsWith('/PK')) {
+            this.conflicts.push({ path: path || '/', kept: current, dropped: incoming, part });
+        }
+        return current;
+    }
+
+    mergeLists(current, incoming, schemaPath, path, part) {
+        const result = [...current];
+        const indexByKey = new Map(result.map((item, index) => [ExtractionMerger.itemKey(item, schemaPath), index]));
+
+        incoming.filter(item => !ExtractionMerger.isEmpty(item)).forEach(item => {
+            const key = ExtractionMerger.itemKey(item, schemaPath);
+            if (indexByKey.has(key)) {
+                const index = indexByKey.get(key);
+                result[index] = this.mergeValue(result[index], item, schemaPath, `${path}/${index}`, part);
+            } else {
+                indexByKey.set(key, result.length);
+                result.push(item);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Identity of a list entry: its key fields when it has them, otherwise the whole value
+     */
+    static itemKey(item, schemaPath) {
+        if (!ExtractionMerger.isObject(item)) return `value:${ExtractionMerger.normalize(item)}`;
+
+        const fields = ITEM_KEYS[schemaPath] || [FALLBACK_KEYS.find(field => !ExtractionMerger.isEmpty(item[field]))];
+        const key = fields.filter(Boolean)
+            .map(field => ExtractionMerger.isEmpty(item[field]) ? '' : ExtractionMerger.normalize(item[field]))
+            .join('|');
+        return key.replace(/\|/g, '') ? `key:${key}` : `value:${JSON.stringify(item)}`;
+    }
+
+    /**
+     * Chunks may spell the bank differently; every section takes the Metadata partition key
+     */
+    static alignPartitionKeys(structured) {
+        const pk = structured?.Metadata?.PK;
+        if (!pk) return;
+        Object.values(structured).forEach(section => {
+            if (ExtractionMerger.isObject(section) && 'PK' in section) section.PK = pk;
+        });
+    }
+
+    /**
+     * Comparable form of a value: case, spacing, punctuation and currency marks ("Rs. 500",
+     * "₹500", 500) do not make values differ
+     */
+    static normalize(value) {
+        return typeof value === 'string'
+            ? value.toLowerCase().replace(/\b(?:rs|inr)\b\.?/g, '').replace(/[^\p{L}\p{N}.]+/gu, '').replace(/^\.+|\.+$/g, '')
+            : JSON.stringify(value);
+    }
+
+    /**
+     * Words of a text, normalized like normalize() and padded with spaces so containment
+     * checks match whole words only
+     */
+    static words(text) {
+        const words = text.toLowerCase()
+            .replace(/\b(?:rs|inr)\b\.?/g, ' ')
+            .replace(/(\d),(?=\d)/g, '$1')
+            .match(/[\p{L}\p{N}]+(?:\.\p{N}+)?/gu) || [];
+        return ` ${words.join(' ')} `;
+    }
+
+    static isEmpty(value) {
+        if (value === null || value === undefined || value === '') return true;
+        if (Array.isArray(value)) return value.every(ExtractionMerger.isEmpty);
+        if (ExtractionMerger.isObject(value)) return Object.values(value).every(ExtractionMerger.isEmpty);
+        return false;
+    }
+
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+module.exports = ExtractionMerger;
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+const STRICT_SCHEMA = JSON.parse(fs.readFileSync(path.join(__dirname, 'schemas', 'extraction.strict.schema.json'), 'utf8'));
+const SCHEMA_NAME = 'card_extraction';
+
+/**
+ * The strict extraction schema (src/schemas/extraction.strict.schema.json) as the model API wants
+ * it, and the conversion of a strict reply back to the output formats.
+ *
+ * Strict schemas allow no free-form objects, so maps (other_charges, eligibility, customization
+ * options) are lists of named entries, and fields the schema does not list go to
+ * standard_format.extensions as { section, name, value }.
+ */
+class ExtractionSchema {
+    /**
+     * response_format for structured outputs
+     */
+    static responseFormat() {
+        return {
+            type: 'json_schema',
+            json_schema: { name: SCHEMA_NAME, strict: true, schema: ExtractionSchema.apiSchema() }
+        };
+    }
+
+    /**
+     * tools and tool_choice forcing a single strict function call
+     */
+    static toolParams() {
+        return {
+            tools: [{
+                type: 'function',
+                function: {
+                    name: SCHEMA_NAME,
+                    description: 'Record the credit card data extracted from the provided content',
+                    strict: true,
+                    parameters: ExtractionSchema.apiSchema()
+                }
+            }],
+            tool_choice: { type: 'function', function: { name: SCHEMA_NAME } }
+        };
+    }
+
+    /**
+     * The schema without the keywords model APIs reject at the root
+     */
+    static apiSchema() {
+        const { $schema, $id, title, ...schema } = STRICT_SCHEMA;
+        return schema;
+    }
+
+    /**
+     * Turn a reply in the strict layout into standard_format and structured_format: named entry
+     * lists become objects again and extensions are merged into their sections. Replies that
+     * are already in the output layout pass through unchanged.
+     */
+    static toOutput(reply) {
+        const standard = reply?.standard_format;
+        const structured = reply?.structured_format;
+
+        if (standard && Array.isArray(standard.extensions)) {
+            const { extensions, ...rest } = standard;
+            reply.standard_format = ExtractionSchema.mergeExtensions(rest, extensions);
+        }
+
+        if (structured) {
+            const named = list => Array.isArray(list)
+                ? Object.fromEntries(list.filter(entry => entry?.name).map(entry => [entry.name, entry.value]))
+                : list;
+
+            if (structured.features) {
+                structured.features.customization_options = named(structured.features.customization_options);
+            }
+            if (structured.eligibility) {
+                structured.eligibility.salaried = named(structured.eligibility.salaried);
+                structured.eligibility.self_employed = named(structured.eligibility.self_employed);
+            }
+            if (structured.fees && Array.isArray(structured.fees.other_charges)) {
+                structured.fees.other_charges = Object.fromEntries(structured.fees.other_charges
+                    .filter(charge => charge?.name)
+                    .map(({ name, ...charge }) => [name.toLowerCase().replace(/\s+/g, '_'), charge]));
+            }
+        }
+        return reply;
+    }
+
+    /**
+     * Put each extension at standard_format[section][name]. Fields that would overwrite a value
+     * or land in a list section are kept in additional_information instead.
+     */
+    static mergeExtensions(standard, extensions) {
+        const leftover = [];
+        extensions.forEach(({ section, name, value }) => {
+            if (!section || !name) return;
+            const target = standard[section];
+            if (target === undefined || target === null) {
+                standard[section] = { [name]: value };
+            } else if (typeof target === 'object' && !Array.isArray(target) && target[name] === undefined) {
+                target[name] = value;
+            } else {
+                leftover.push({ section, name, value });
+            }
+        });
+        if (leftover.length > 0) {
+            standard.additional_information = [...(standard.additional_information || []), ...leftover];
+        }
+        return standard;
+    }
+}
+
+module.exports = ExtractionSchema;
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config/config');
+
+let sharedCache = null;
+
+class HttpCache {
+    constructor(options = {}) {
+        const cacheConfig = { ...config.httpCache, ...options };
+
+        this.enabled = cacheConfig.enabled;
+        this.offline = cacheConfig.offline;
+        this.maxAge = cacheConfig.maxAge;
+        this.dir = path.resolve(process.cwd(), cacheConfig.dir);
+        this.stats = { hits: 0, revalidated: 0, misses: 0, stored: 0 };
+
+        if ((this.enabled || this.offline) && !fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    /**
+     * Process-wide cache used when a crawler is not given its own
+     */
+    static shared() {
+        if (!sharedCache) {
+            sharedCache = new HttpCache();
+        }
+        return sharedCache;
+    }
+
+    /**
+     * Normalize a URL into a cache key: lowercase host, no default port,
+     * no fragment and sorted query parameters
+     */
+    static normalizeUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            urlObj.hash = '';
+            urlObj.hostname = urlObj.hostname.toLowerCase();
+            if ((urlObj.protocol === 'http:' && urlObj.port === '80') ||
+                (urlObj.protocol === 'https:' && urlObj.port === '443')) {
+                urlObj.port = '';
+            }
+            urlObj.searchParams.sort();
+            return urlObj.href;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    /**
+     * GET a URL through the cache. Accepts axios options and returns an axios-like response.
+     * Cached entries are revalidated with ETag / Last-Modified; offline mode never touches the network.
+     */
+    async fetch(url, options = {}) {
+        const { responseType = 'json', validateStatus, headers = {}, ...axiosOptions } = options;
+        const key = HttpCache.normalizeUrl(url);
+        const cached = this.enabled || this.offline ? this.read(key) : null;
+
+        if (this.offline) {
+            if (!cached) {
+                this.stats.misses++;
+                throw HttpCache.missError(url);
+            }
+            this.stats.hits++;
+            console.log(`📦 Offline replay from cache: ${url}`);
+            return this.toResponse(cached, responseType);
+        }
+
+        if (cached && this.isFresh(cached.meta)) {
+            this.stats.hits++;
+            console.log(`📦 Serving fresh cache entry: ${url}`);
+            return this.toResponse(cached, responseType);
+        }
+
+        const requestHeaders = { ...headers };
+        if (cached?.meta.headers.etag) {
+            requestHeaders['If-None-Match'] = cached.meta.headers.etag;
+        }
+        if (cached?.meta.headers['last-modified']) {
+            requestHeaders['If-Modified-Since'] = cached.meta.headers['last-modified'];
+        }
+
+        const accept = validateStatus || (status => status >= 200 && status < 300);
+        const response = await axios.get(url, {
+            ...axiosOptions,
+            headers: requestHeaders,
+            responseType: 'arraybuffer',
+            validateStatus: status => (!!cached && status === 304) || accept(status)
+        });
+
+        if (response.status === 304) {
+            this.stats.revalidated++;
+            console.log(`📦 Not modified, serving cached copy: ${url}`);
+            cached.meta.validatedAt = new Date().toISOString();
+            this.writeMeta(key, cached.meta);
+            return this.toResponse(cached, responseType);
+        }
+
+        this.stats.misses++;
+        const body = Buffer.from(response.data);
+        const meta = {
+            url: url,
+            key: key,
+            finalUrl: response.request?.res?.responseUrl || url,
+            status: response.status,
+            headers: HttpCache.plainHeaders(response.headers),
+            storedAt: new Date().toISOString(),
+            validatedAt: new Date().toISOString()
+        };
+
+        if (this.enabled && response.status >= 200 && response.status < 300) {
+            this.write(key, meta, body);
+        }
+
+        return this.toResponse({ meta, body }, responseType);
+    }
+
+    /**
+     * Look up a cached entry without any network access
+     */
+    peek(url) {
+        if (!this.enabled && !this.offline) return null;
+        return this.read(HttpCache.normalizeUrl(url));
+    }
+
+    /**
+     * Cached result of a browser-rendered extraction, for offline replay of JS pages
+     */
+    readRendered(url) {
+        if (!this.enabled && !this.offline) return null;
+        const entry = this.read(`rendered:${HttpCache.normalizeUrl(url)}`);
+        return entry ? JSON.parse(entry.body.toString('utf8')) : null;
+    }
+
+    writeRendered(url, result) {
+        if (!this.enabled) return;
+        const key = `rendered:${HttpCache.normalizeUrl(url)}`;
+        this.write(key, {
+            url: url,
+            key: key,
+            finalUrl: url,
+            status: 200,
+            headers: { 'content-type': 'application/json' },
+            storedAt: new Date().toISOString(),
+            validatedAt: new Date().toISOString()
+        }, Buffer.from(JSON.stringify(result)));
+    }
+
+    isFresh(meta) {
+        if (!this.maxAge) return false;
+        return Date.now() - new Date(meta.validatedAt).getTime() < this.maxAge;
+    }
+
+    toResponse(entry, responseType) {
+        let data = entry.body;
+        if (responseType === 'text') {
+            data = entry.body.toString('utf8');
+        } else if (responseType === 'json') {
+            const text = entry.body.toString('utf8');
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                data = text;
+            }
+        }
+
+        return {
+            status: entry.meta.status,
+            headers: entry.meta.headers,
+            data: data,
+            fromCache: entry.fromCache || false,
+            request: { res: { responseUrl: entry.meta.finalUrl } }
+        };
+    }
+
+    filePaths(key) {
+        const hash = crypto.createHash('sha256').update(key).digest('hex');
+        return {
+            meta: path.join(this.dir, `${hash}.json`),
+            body: path.join(this.dir, `${hash}.body`)
+        };
+    }
+
+    read(key) {
+        const files = this.filePaths(key);
+        try {
+            if (!fs.existsSync(files.meta) || !fs.existsSync(files.body)) return null;
+            return {
+                meta: JSON.parse(fs.readFileSync(files.meta, 'utf8')),
+                body: fs.readFileSync(files.body),
+                fromCache: true
+            };
+        } catch (error) {
+            console.log(`⚠️ Ignoring unreadable cache entry for ${key}: ${error.message}`);
+            return null;
+        }
+    }
+
+    write(key, meta, body) {
+        const files = this.filePaths(key);
+        try {
+            fs.writeFileSync(files.body, body);
+            fs.writeFileSync(files.meta, JSON.stringify(meta, null, 2));
+            this.stats.stored++;
+        } catch (error) {
+            console.log(`⚠️ Could not write cache entry for ${key}: ${error.message}`);
+        }
+    }
+
+    writeMeta(key, meta) {
+        try {
+            fs.writeFileSync(this.filePaths(key).meta, JSON.stringify(meta, null, 2));
+        } catch (error) {
+            console.log(`⚠️ Could not update cache entry for ${key}: ${error.message}`);
+        }
+    }
+
+    getStats() {
+        return { ...this.stats, offline: this.offline };
+    }
+
+    static plainHeaders(headers) {
+        const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...headers };
+        return Object.fromEntries(
+            Object.entries(plain).map(([name, value]) => [name.toLowerCase(), value])
+        );
+    }
+
+    static missError(url) {
+        const error = new Error(`Not available in offline cache: ${url}`);
+        error.code = 'ECACHEMISS';
+        return error;
+    }
+}
+
+module.exports = HttpCache;
@@ -1,204 +1,114 @@
-const axios = require('axios');
-const puppeteer = require('puppeteer');
-const pdfParse = require('pdf-parse');
 const Utils = require('./utils');
-const { URL } = require('url');
+const BrowserPool = require('./browserPool');
+const StaticFetcher = require('./staticFetcher');
+const ContentTypeResolver = require('./contentTypeResolver');
+const HttpCache = require('./httpCache');
+const PolitenessScheduler = require('./politenessScheduler');
+const RetryPolicy = require('./retryPolicy');
+const PageExpander = require('./pageExpander');
+const MarkdownConverter = require('./markdownConverter');
+const TableExtractor = require('./tableExtractor');
+const PdfExtractor = require('./pdfExtractor');
+const SiteAdapters = require('./adapters');
+const NetworkCapture = require('./networkCapture');
+const StructuredDataExtractor = require('./structuredDataExtractor');
+const CrawlFrontier = require('./crawlFrontier');
+const LinkScorer = require('./linkScorer');
+const UrlCanonicalizer = require('./urlCanonicalizer');
+const DocumentStore = require('./documentStore');
+const appConfig = require('../config/config');
+
+// Fetch order by link type: documents with terms first, generic pages last
+const LINK_PRIORITY = {
+  'pdf': 10,
+  'terms': 9,
+  'benefits': 8,
+  'offers': 8,
+  'rewards': 7,
+  'card_features': 6,
+  'partnerships': 5,
+  'general': 3
+};
 
 class LinkProcessor {
   constructor(config = {}) {
     this.maxLinks = config.maxLinks || 0; // 0 = no limit
-    this.delayBetweenRequests = config.delayBetweenRequests || 2000;
-    this.processedUrls = new Set();
+    this.documentStore = config.documentStore || new DocumentStore();
+    this.browserPool = config.browserPool || BrowserPool.shared();
+    this.httpCache = config.httpCache || HttpCache.shared();
+    this.archive = config.archive || null;
+    this.contentTypeResolver = config.contentTypeResolver || new ContentTypeResolver({ httpCache: this.httpCache });
+    this.scheduler = config.scheduler || PolitenessScheduler.shared();
+    this.retryPolicy = config.retryPolicy || RetryPolicy.shared();
+    this.staticFetcher = new StaticFetcher({ httpCache: this.httpCache, archive: this.archive, retryPolicy: this.retryPolicy });
+    this.pageExpander = new PageExpander();
+    this.markdownConverter = new MarkdownConverter();
+    this.networkCapture = new NetworkCapture({ archive: this.archive });
+    this.linkScorer = new LinkScorer();
+    this.linkDecisions = [];
   }
 
   /**
-   * Extract links from Puppeteer result
+   * Extract the relevant links from a page's links, scoring each one and
+   * logging the decision for the link_decisions report
    */
   extractLinks(puppeteerContent, baseUrl) {
     const links = [];
-    const seenUrls = new Set();
+    const seenUrls = new Map(); // canonical URL -> link
+    const decided = new Set();
+    let rejected = 0;
     
     console.log(`🔍 Processing ${puppeteerContent.links.length} links from Puppeteer extraction...`);
     
     puppeteerContent.links.forEach(link => {
       const { href, text, title, fullUrl } = link;
+      const finalUrl = fullUrl || href;
+      const decision = this.linkScorer.score(text, href, baseUrl);
+      
+      // Menus repeat the same link many times; one decision per URL and text is enough
+      const decisionKey = `${finalUrl}\n${text}`;
+      if (!decided.has(decisionKey)) {
+        decided.add(decisionKey);
+        this.linkDecisions.push({
+          url: finalUrl,
+          text: text.substring(0, 150),
+          found_on: baseUrl,
+          score: decision.score,
+          accepted: decision.accepted,
+          matched: decision.matched
+        });
+        if (!decision.accepted) rejected++;
+      }
       
-      if (this.isRelevantLink(text, href, baseUrl)) {
-        const finalUrl = fullUrl || href;
-        
-        if (!seenUrls.has(finalUrl)) {
-          seenUrls.add(finalUrl);
-          links.push({
+      if (decision.accepted) {
+        const canonicalUrl = UrlCanonicalizer.canonicalize(finalUrl);
+        const seen = seenUrls.get(canonicalUrl);
+        if (!seen) {
+          const newLink = {
             url: finalUrl,
             text: text.substring(0, 150),
             title: title,
             originalHref: href,
-            type: this.classifyLink(href, text)
-          });
+            type: this.classifyLink(href, text, baseUrl),
+            canonical_url: canonicalUrl,
+            aliases: []
+          };
+          seenUrls.set(canonicalUrl, newLink);
+          links.push(newLink);
+        } else if (finalUrl !== seen.url && !seen.aliases.includes(finalUrl)) {
+          seen.aliases.push(finalUrl);
         }
       }
     });
     
-    console.log(`📊 Found ${links.length} relevant links to process`);
+    console.log(`📊 Found ${links.length} relevant links to process (${rejected} rejected)`);
     return this.prioritizeLinks(links);
   }
 
-  /**
-   * Helper method to get domain from URL
-   */
-  getDomain(url) {
-    try {
-      return new URL(url).hostname;
-    } catch (e) {
-      return null;
-    }
-  }
-
-  /**
-   * Much more restrictive link relevance check with PDF priority
-   */
-  isRelevantLink(text, href, baseUrl) {
-    const textLower = text.toLowerCase();
-    const hrefLower = href.toLowerCase();
-    
-    // PRIORITY 1: Always include PDFs - check multiple indicators
-    const pdfIndicators = [
-      hrefLower.includes('.pdf'),
-      hrefLower.includes('/repositories/'),
-      hrefLower.includes('?path='),
-      textLower.includes('pdf'),
-      textLower.includes('terms') && textLower.includes('condition'),
-      textLower.includes('click here') && (textLower.includes('terms') || textLower.includes('condition') || textLower.includes('faq')),
-      textLower.includes('detailed terms'),
-      textLower.includes('t&c'),
-      textLower.includes('tnc')
-    ];
-    
-    if (pdfIndicators.some(indicator => indicator)) {
-      console.log(`📄 PDF link found: "${text}" -> ${href}`);
-      return true;
-    }
-    
-    // STRICT irrelevant patterns - expanded to catch more noise
-    const irrelevantPatterns = [
-      // Navigation & Generic Pages
-      /^home$/i, /^contact$/i, /^about$/i, /^privacy/i, /^sitemap$/i,
-      /^help$/i, /^support$/i, /^customer/i, /^faq$/i,
-      
-      // Banking Generic Services (not card-specific)
-      /netbanking/i, /net.?banking/i, /online.?banking/i, /digital.?banking/i,
-      /business.?banking/i, /sme/i, /corporate/i, /wealth/i,
-      /loan(?!.*card)/i, /deposit/i, /investment/i, /mutual.?fund/i,
-      /insurance(?!.*card)/i, /life.?insurance/i, /health.?insurance/i,
-      /vehicle.?insurance/i, /travel.?insurance/i, /cyber.?insurance/i,
-      /personal.?accident/i, /mediclaim/i, /critical.?illness/i,
-      
-      // Generic Bill Payments & Services
-      /bill.?payment/i, /premium.?payment/i, /utility/i, /electricity/i,
-      /gas.?bill/i, /water.?bill/i, /mobile.?recharge/i, /dth/i,
-      /broadband/i, /landline/i, /donation/i, /religious/i,
-      
-      // Login & Account Management
-      /login/i, /sign.?in/i, /sign.?up/i, /register/i, /forgot.?password/i,
-      /reset.?password/i, /otp/i, /verify/i, /activate/i, /enroll/i,
-      
-      // Security & Generic Banking Features  
-      /netsafe/i, /verified.?by.?visa/i, /mastercard.?securecode/i,
-      /3d.?secure/i, /fraud/i, /security(?!.*card)/i, /alert/i,
-      /statement(?!.*card)/i, /passbook/i, /cheque/i, /dd/i,
-      
-      // Generic Learning & Resources
-      /learning.?centre/i, /education/i, /tutorial/i, /guide(?!.*card)/i,
-      /calculator/i, /emi.?calculator/i, /loan.?calculator/i,
-      /blog(?!.*card)/i, /news/i, /press/i, /media/i,
-      
-      // Social Media & External
-      /facebook\.com/i, /twitter\.com/i, /instagram\.com/i, 
-      /linkedin\.com/i, /youtube\.com/i, /whatsapp/i, /telegram/i,
-      
-      // Career & Corporate
-      /career/i, /job/i, /investor/i, /csr/i, /sustainability/i,
-      
-      // Prepaid cards (not credit cards)
-      /prepaid(?!.*credit)/i, /gift.?card/i, /forex.?card/i,
-      
-      // Generic financial planning
-      /financial.?planning/i, /retirement/i, /pension/i, /tax/i,
-      /goal.?planning/i, /save.?money/i, /emergency.?fund/i,
-      
-      // Mobile apps (not card-specific)
-      /mobile.?app(?!.*card)/i, /download.?app/i, /app.?store/i, /play.?store/i
-    ];
-    
-    // Quick rejection for clearly irrelevant content (but PDFs were already allowed above)
-    if (irrelevantPatterns.some(pattern => pattern.test(textLower) || pattern.test(hrefLower))) {
-      return false;
-    }
-    
-    // STRICT relevant patterns - only highly relevant card content
-    const strictRelevantPatterns = [
-      // Card-specific content
-      /credit.?card/i, /pixel/i, /card.?benefit/i, /card.?offer/i, /card.?reward/i,
-      /card.?perk/i, /card.?feature/i, /card.?advantage/i, /cardholder/i,
-      
-      // Rewards & Benefits
-      /cashback/i, /cash.?back/i, /reward.?point/i, /redeem/i, /earn.?point/i,
-      /loyalty/i, /milestone/i, /accelerated/i, /bonus.?point/i,
-      
-      // Offers & Deals
-      /offer/i, /deal/i, /discount/i, /saving/i, /promo/i, /campaign/i,
-      /flat.*%/i, /\d+%.*off/i, /\d+%.*cashback/i, /\d+x.*point/i,
-      
-      // Partnerships & Merchants
-      /partner/i, /merchant/i, /smartbuy/i, /smart.?buy/i,
-      /dining/i, /restaurant/i, /food/i, /travel/i, /hotel/i, /flight/i,
-      /shopping/i, /fashion/i, /grocery/i, /fuel/i, /petrol/i, /gas.?station/i,
-      /entertainment/i, /movie/i, /bookmyshow/i, /zomato/i, /swiggy/i,
-      /makemytrip/i, /uber/i, /ola/i, /amazon/i, /flipkart/i,
-      /myntra/i, /nykaa/i, /croma/i, /reliance/i,
-      
-      // Card Management & Digital Features
-      /payzapp/i, /pay.?zapp/i, /my.?card/i, /card.?control/i,
-      /emi/i, /installment/i, /pay.?in.?part/i, /convert.?to.?emi/i,
-      /contactless/i, /tap.?pay/i, /scan.?pay/i, /upi.*card/i,
-      
-      // Terms & Documentation (card-specific)
-      /terms.*card/i, /condition.*card/i, /fee.*card/i, /charge.*card/i,
-      /eligibility.*card/i, /apply.*card/i,
-      
-      // PDFs and Documents
-      /\.pdf/i, /document.*card/i, /brochure.*card/i, /guide.*card/i,
-      
-      // Specific offer text patterns
-      /click.*here.*card/i, /know.*more.*card/i, /learn.*more.*card/i,
-      /detail.*card/i, /feature.*card/i, /benefit.*card/i
-    ];
-    
-    const isStrictlyRelevant = strictRelevantPatterns.some(pattern => 
-      pattern.test(textLower) || pattern.test(hrefLower)
-    );
-    
-    // Only allow if strictly relevant
-    if (!isStrictlyRelevant) {
-      return false;
-    }
-    
-    // Domain filtering - only same domain, known financial domains, or PDFs
-    const sameDomain = this.getDomain(href) === this.getDomain(baseUrl);
-    const isPdf = hrefLower.includes('.pdf') || hrefLower.includes('repositories');
-    const knownCardDomains = [
-      'hdfcbank.com', 'smartbuy.hdfcbank.com', 'offers.hdfcbank.com',
-      'mycards.hdfcbank.com', 'pixel.hdfcbank.com'
-    ];
-    const isCardDomain = knownCardDomains.some(domain => hrefLower.includes(domain));
-    
-    return sameDomain || isPdf || isCardDomain;
-  }
-
   /**
    * Enhanced classification with better PDF detection
    */
-  classifyLink(href, text) {
+  classifyLink(href, text, baseUrl = href) {
     const hrefLower = href.toLowerCase();
     const textLower = text.toLowerCase();
     
@@ -220,6 +130,12 @@ class LinkProcessor {
       return 'pdf';
     }
     
+    // Issuer hints, e.g. its offer portal
+    const issuerType = SiteAdapters.forUrl(baseUrl).classifyLink(href, text);
+    if (issuerType) {
+      return issuerType;
+    }
+    
     // Terms and conditions
     if ((textLower.includes('term') || textLower.includes('condition') || textLower.includes('faq')) 
         && (textLower.includes('card') || hrefLower.includes('card'))) {
@@ -228,7 +144,7 @@ class LinkProcessor {
     
     // Card-specific offers
     if ((textLower.includes('offer') || textLower.includes('deal') || textLower.includes('promo'))
-        && (textLower.includes('card') || hrefLower.includes('card') || hrefLower.includes('smartbuy'))) {
+        && (textLower.includes('card') || hrefLower.includes('card'))) {
       return 'offers';
     }
     
@@ -240,23 +156,18 @@ class LinkProcessor {
     }
     
     // Partnerships and merchants
-    if (textLower.includes('partner') || textLower.includes('merchant') || hrefLower.includes('smartbuy')
+    if (textLower.includes('partner') || textLower.includes('merchant')
         || textLower.includes('dining') || textLower.includes('travel') || textLower.includes('shopping')) {
       return 'partnerships';
     }
     
     // Card-specific features
     if ((textLower.includes('card') && (textLower.includes('feature') || textLower.includes('control') 
-         || textLower.includes('manage') || textLower.includes('payzapp') || textLower.includes('emi')))) {
+         || textLower.includes('manage') || textLower.includes('emi')))) {
       return 'card_features';
     }
     
-    // Only allow very specific general links
-    if (textLower.includes('pixel') && textLower.includes('card')) {
-      return 'general';
-    }
-    
-    // If it passed isRelevantLink but doesn't fit above categories, 
+    // If it scored as relevant but doesn't fit above categories, 
     // it's probably still card-related
     return 'general';
   }
@@ -265,18 +176,7 @@ class LinkProcessor {
    * Prioritize links based on type
    */
   prioritizeLinks(links) {
-    const priority = {
-      'pdf': 10,
-      'terms': 9,
-      'benefits': 8,
-      'offers': 8,
-      'rewards': 7,
-      'card_features': 6,
-      'partnerships': 5,
-      'general': 3
-    };
-    
-    const sortedLinks = links.sort((a, b) => (priority[b.type] || 0) - (priority[a.type] || 0));
+    const sortedLinks = links.sort((a, b) => LinkProcessor.priorityOf(b) - LinkProcessor.priorityOf(a));
     
     console.log(`📋 Link breakdown by type:`);
     const typeCounts = {};
@@ -290,86 +190,281 @@ class LinkProcessor {
     return sortedLinks;
   }
 
+  static priorityOf(link) {
+    return LINK_PRIORITY[link.type] || 0;
+  }
+
   /**
-   * Process all links with PDF extraction
+   * Crawl outward from the card page: the given links are depth 1, relevant links on the
+   * pages they lead to are queued one level deeper, up to the frontier's depth and budget.
+   * Up to frontier.concurrency links are fetched at once (the scheduler still applies per-host
+   * limits); results come back in frontier order however the fetches interleave.
+   * Returns the link graph along with the processed, failed and skipped links.
    */
-  async processLinks(links) {
-    const processedLinks = [];
-    const failedLinks = [];
-    let successCount = 0;
+  async processLinks(links, baseUrl = null) {
+    const rootUrl = baseUrl || links[0]?.parent_url || links[0]?.url || '';
+    const frontier = new CrawlFrontier(rootUrl, {
+      priorityOf: LinkProcessor.priorityOf,
+      ...(this.maxLinks > 0 && { maxPages: Math.min(this.maxLinks, appConfig.frontier.maxPages || this.maxLinks) })
+    });
+    frontier.add(links, rootUrl, 1);
     
-    console.log(`🔗 Processing ALL ${links.length} relevant links...`);
+    const concurrency = Math.max(1, frontier.config.concurrency || 1);
+    console.log(`🔗 Processing ${links.length} relevant links (max depth ${frontier.config.maxDepth}, ${concurrency} at a time)...`);
     
-    for (let i = 0; i < links.length; i++) {
-      const link = links[i];
-      
-      if (this.processedUrls.has(link.url)) {
-        continue;
-      }
-      
-      this.processedUrls.add(link.url);
-      
-      try {
-        console.log(`📄 [${i + 1}/${links.length}] Processing: ${link.type} - ${link.url}`);
-        
-        if (link.type === 'pdf') {
-          const pdfContent = await this.extractPDFContent(link.url);
-          processedLinks.push({
-            ...link,
-            content: pdfContent.content,
-            summary: pdfContent.summary
-          });
-          successCount++;
-        } else {
-          const webContent = await this.extractWebContent(link.url);
-          if (webContent.success) {
-            processedLinks.push({
-              ...link,
-              content: webContent.content,
-              summary: this.createSummary(webContent)
-            });
-            successCount++;
-          } else {
-            failedLinks.push({
-              url: link.url,
-              type: link.type,
-              error: webContent.error,
-              text: link.text
-            });
-          }
-        }
-        
-        // Progress update
-        if ((i + 1) % 5 === 0) {
-          console.log(`📊 Progress: ${i + 1}/${links.length} processed (${successCount} success, ${failedLinks.length} failed)`);
-        }
-        
-        // Delay between requests
-        await Utils.sleep(this.delayBetweenRequests);
+    const results = [];
+    const running = new Set();
+    const counts = { started: 0, finished: 0, success: 0, failed: 0 };
+    
+    for (;;) {
+      let link;
+      while (running.size < concurrency && (link = frontier.next())) {
+        counts.started++;
+        console.log(`📄 [${counts.started}/${counts.started + frontier.pending}] Processing: ${link.type} (depth ${link.depth}) - ${link.url}`);
         
-      } catch (error) {
-        failedLinks.push({
-          url: link.url,
-          type: link.type,
-          error: error.message,
-          text: link.text
-        });
-        console.log(`⚠️ Failed to process link: ${link.url} - ${error.message}`);
+        const task = this.runLink(link, frontier)
+          .then(result => {
+            results.push(result);
+            counts.finished++;
+            counts[result.processed ? 'success' : 'failed']++;
+            
+            // Progress update
+            if (counts.finished % 5 === 0) {
+              console.log(`📊 Progress: ${counts.finished} processed, ${running.size - 1} in flight, ${frontier.pending} queued (${counts.success} success, ${counts.failed} failed)`);
+            }
+          })
+          .finally(() => running.delete(task));
+        running.add(task);
       }
+      
+      if (running.size === 0) break;
+      // A finished link frees a slot and may have queued new links
+      await Promise.race(running);
     }
     
-    console.log(`✅ Completed processing: ${successCount} successful, ${failedLinks.length} failed`);
+    results.sort((a, b) => frontier.compareUrls(a.url, b.url));
+    const { processedLinks, duplicateLinks } = this.dropDuplicates(
+      results.filter(result => result.processed).map(result => result.processed), frontier);
+    const failedLinks = results.filter(result => result.failed).map(result => result.failed);
+    const skippedLinks = results.filter(result => result.skipped).map(result => result.skipped);
+    const successCount = processedLinks.length;
+    
+    console.log(`✅ Completed processing: ${successCount} successful, ${duplicateLinks.length} duplicates, ${skippedLinks.length} unsupported, ${failedLinks.length} failed`);
     
     // Display failed links
     if (failedLinks.length > 0) {
       console.log(`\n🚨 FAILED LINKS SUMMARY:`);
       failedLinks.forEach((failed, index) => {
         console.log(`   ${index + 1}. [${failed.type}] ${failed.url}`);
-        console.log(`      Error: ${failed.error}`);
+        console.log(`      Error [${failed.error_class}]: ${failed.error}`);
+      });
+    }
+    
+    return {
+      processedLinks,
+      failedLinks,
+      skippedLinks,
+      duplicateLinks,
+      linkGraph: frontier.toGraph(),
+      linkDecisions: this.takeLinkDecisions()
+    };
+  }
+
+  /**
+   * Keep the first link (in frontier order) with each content hash.
+   * Every URL that led to a kept document is listed in its aliases: other spellings of the
+   * URL from the frontier and links whose fetched content was identical.
+   */
+  dropDuplicates(links, frontier) {
+    const processedLinks = [];
+    const duplicateLinks = [];
+    const keptByUrl = new Map();
+    const urlByHash = new Map();
+    
+    links.forEach(link => {
+      const aliases = frontier.aliasesOf(link.url);
+      const original = link.content_hash ? urlByHash.get(link.content_hash) : null;
+      
+      if (!original) {
+        if (link.content_hash) urlByHash.set(link.content_hash, link.url);
+        const kept = { ...link, aliases: [...aliases] };
+        keptByUrl.set(link.url, kept);
+        processedLinks.push(kept);
+        return;
+      }
+      
+      console.log(`♻️ Same content as ${original}, not processing again: ${link.url}`);
+      frontier.markDuplicate(link.url, original);
+      keptByUrl.get(original).aliases.push(link.url, ...aliases);
+      duplicateLinks.push({
+        url: link.url,
+        type: link.type,
+        depth: link.depth,
+        parent_url: link.parent_url,
+        duplicate_of: original,
+        content_hash: link.content_hash,
+        ...(aliases.length > 0 && { aliases })
       });
+    });
+    
+    return { processedLinks, duplicateLinks };
+  }
+
+  /**
+   * The link_decisions report for links scored since the last call
+   */
+  takeLinkDecisions() {
+    return this.linkScorer.report(this.linkDecisions.splice(0));
+  }
+
+  /**
+   * Fetch one frontier link, or take it from the run's document store when an earlier card
+   * already fetched it, and queue the relevant links found on it; never throws
+   */
+  async runLink(link, frontier) {
+    try {
+      const stored = this.documentStore.get(link.url);
+      const outcome = stored
+        ? this.reuseDocument(stored, link, frontier.rootUrl)
+        : await this.scheduler.schedule(link.url, () => this.processLink(link));
+      if (outcome.processed && !stored) {
+        this.documentStore.put(outcome.processed, outcome, frontier.rootUrl);
+      }
+      frontier.complete(link.url, {
+        status: outcome.processed ? 'processed' : outcome.skipped ? 'skipped' : 'failed',
+        bytes: outcome.bytes,
+        reused: !!stored,
+        ...(outcome.skipped && { reason: outcome.skipped.error_class })
+      });
+      
+      if (outcome.processed && outcome.links && link.depth < frontier.config.maxDepth) {
+        const queued = frontier.add(this.extractLinks({ links: outcome.links }, link.url), link.url, link.depth + 1);
+        if (queued > 0) {
+          console.log(`🧭 Queued ${queued} new links found on ${link.url} at depth ${link.depth + 1}`);
+        }
+      }
+      return { url: link.url, processed: outcome.processed, failed: outcome.failed, skipped: outcome.skipped };
+      
+    } catch (error) {
+      frontier.complete(link.url, { status: 'failed' });
+      console.log(`⚠️ Failed to process link: ${link.url} - ${error.message}`);
+      return {
+        url: link.url,
+        failed: {
+          url: link.url,
+          type: link.type,
+          depth: link.depth,
+          parent_url: link.parent_url,
+          error: error.message,
+          error_class: RetryPolicy.classify(error).errorClass,
+          text: link.text,
+          ...(error.code === 'EROBOTS' && { blocked_by_robots: true })
+        }
+      };
+    }
+  }
+
+  /**
+   * A stored document as this link's outcome, recording the card that used it
+   */
+  reuseDocument(entry, link, cardUrl) {
+    this.documentStore.use(entry, link.url, cardUrl);
+    console.log(`♻️ Reusing ${entry.document.content_type} fetched for ${entry.fetched_for}: ${link.url}`);
+    return {
+      processed: { ...link, ...entry.document, reused_from: entry.fetched_for },
+      bytes: entry.bytes,
+      links: entry.links
+    };
+  }
+
+  /**
+   * Fetch and extract a single link, returning { processed }, { failed } or, for document
+   * types there is no extractor for (Word, Excel), { skipped },
+   * plus the bytes fetched and, for web pages, the links found on the page
+   */
+  async processLink(link) {
+    // Route by what the server actually returns; the link text is only a fallback
+    const detected = await this.contentTypeResolver.resolve(link.url);
+    const contentType = detected.type === 'unknown'
+      ? (link.type === 'pdf' ? 'pdf' : 'html')
+      : detected.type;
+    
+    if (contentType === 'pdf') {
+      const pdfContent = await this.extractPDFContent(link.url);
+      if (pdfContent.success) {
+        return {
+          processed: {
+            ...link,
+            content_type: contentType,
+            content: pdfContent.content,
+            summary: pdfContent.summary,
+            content_hash: pdfContent.contentHash,
+            archive_records: pdfContent.archiveRecords || []
+          },
+          bytes: pdfContent.bytes || 0
+        };
+      }
+      return {
+        failed: {
+          url: link.url,
+          type: link.type,
+          depth: link.depth,
+          parent_url: link.parent_url,
+          content_type: contentType,
+          error: pdfContent.error,
+          error_class: pdfContent.errorClass,
+          text: link.text
+        }
+      };
+    }
+    
+    if (contentType === 'html' || contentType === 'text') {
+      const webContent = contentType === 'text'
+        ? await this.extractTextContent(link.url)
+        : await this.extractWebContent(link.url);
+      if (webContent.success) {
+        return {
+          processed: {
+            ...link,
+            content_type: contentType,
+            content: webContent.content,
+            summary: this.createSummary(webContent),
+            content_hash: this.textHash(webContent.content.text),
+            expanded_panels: webContent.expandedPanels || [],
+            archive_records: webContent.archiveRecords || []
+          },
+          bytes: Buffer.byteLength(webContent.content.html || webContent.content.text || ''),
+          links: webContent.links || []
+        };
+      }
+      return {
+        failed: {
+          url: link.url,
+          type: link.type,
+          depth: link.depth,
+          parent_url: link.parent_url,
+          content_type: contentType,
+          error: webContent.error,
+          error_class: webContent.errorClass,
+          text: link.text
+        }
+      };
     }
     
-    return { processedLinks, failedLinks };
+    console.log(`⏭️ Skipping unsupported content type ${detected.mimeType || detected.type}: ${link.url}`);
+    return {
+      skipped: {
+        url: link.url,
+        type: link.type,
+        depth: link.depth,
+        parent_url: link.parent_url,
+        content_type: contentType,
+        mime_type: detected.mimeType || null,
+        error: `Unsupported content type: ${detected.mimeType || detected.type}`,
+        error_class: 'unsupported',
+        text: link.text
+      }
+    };
   }
 
   /**
@@ -379,118 +474,231 @@ class LinkProcessor {
     console.log(`📄 Extracting PDF from: ${url}`);
     
     try {
-      let finalUrl = url;
-      
-      // Handle repository URLs
-      if (url.includes('/content/bbp/repositories/') && url.includes('path=')) {
-        try {
-          const urlObj = new URL(url);
-          const pathParam = urlObj.searchParams.get('path');
-          if (pathParam) {
-            const decodedPath = decodeURIComponent(pathParam);
-            finalUrl = 'https://www.hdfcbank.com' + decodedPath;
-            console.log(`🔧 Repository URL converted: ${finalUrl}`);
-          }
-        } catch (e) {
-          console.log(`⚠️ Could not parse repository URL: ${e.message}`);
+      return await this.retryPolicy.run(url, () => this.downloadPDF(url), { label: 'PDF download' });
+    } catch (error) {
+      console.log(`❌ PDF extraction failed: ${error.message}`);
+      return {
+        success: false,
+        content: null,
+        summary: `PDF extraction failed: ${error.message}`,
+        error: error.message,
+        errorClass: RetryPolicy.classify(error).errorClass
+      };
+    }
+  }
+
+  /**
+   * Download and parse a PDF, trying the issuer's rewritten URL as well; throws the last failure
+   */
+  async downloadPDF(url) {
+    // Issuer-specific rewrites, e.g. document repository links
+    const finalUrl = SiteAdapters.forUrl(url).rewriteUrl(url);
+    
+    // Try both URLs
+    const urlsToTry = [url, finalUrl].filter((u, i, arr) => arr.indexOf(u) === i);
+    let lastError = null;
+    
+    for (const tryUrl of urlsToTry) {
+      try {
+        console.log(`🔄 Trying PDF URL: ${tryUrl}`);
+        
+        const response = await this.httpCache.fetch(tryUrl, {
+          responseType: 'arraybuffer',
+          timeout: 30000,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+            'Accept': 'application/pdf,*/*',
+            'Cache-Control': 'no-cache'
+          },
+          maxRedirects: 10
+        });
+        
+        console.log(`✅ PDF downloaded: ${response.data.length} bytes`);
+        
+        if (!ContentTypeResolver.isPdfBuffer(response.data)) {
+          const error = new Error(`Response is not a PDF: ${response.headers['content-type']}`);
+          error.code = 'EPARSE';
+          throw error;
         }
+        
+        const archiveId = this.archive ? this.archive.recordResponse(tryUrl, response) : null;
+        const data = await PdfExtractor.parse(response.data, tryUrl);
+        
+        console.log(`📄 Extracted ${data.numPages} pages, ${data.sections.length} sections from PDF`);
+        
+        return {
+          success: true,
+          content: {
+            text: data.text,
+            html: null,
+            markdown: data.markdown,
+            tables: data.tables,
+            pages: data.pages,
+            sections: data.sections
+          },
+          summary: `PDF: ${data.text.replace(/\s+/g, ' ').substring(0, 200)}...`,
+          archiveRecords: archiveId ? [archiveId] : [],
+          bytes: response.data.length,
+          contentHash: Utils.contentHash(Buffer.from(response.data))
+        };
+        
+      } catch (urlError) {
+        console.log(`❌ Failed with ${tryUrl}: ${urlError.message}`);
+        lastError = urlError;
       }
-      
-      // Try both URLs
-      const urlsToTry = [url, finalUrl].filter((u, i, arr) => arr.indexOf(u) === i);
-      
-      for (const tryUrl of urlsToTry) {
+    }
+    
+    throw lastError || new Error('All PDF extraction attempts failed');
+  }
+
+  /**
+   * Extract web content, using the browser only when a static fetch is not enough
+   */
+  async extractWebContent(url) {
+    if (appConfig.staticFetch.enabled) {
+      try {
+        const { result, needsBrowser, reason } = await this.staticFetcher.fetch(url);
+        if (!needsBrowser) {
+          return {
+            success: true,
+            content: result.content,
+            links: result.links,
+            expandedPanels: result.expandedPanels,
+            archiveRecords: result.archiveRecords
+          };
+        }
+        console.log(`🔁 Escalating to browser: ${reason}`);
+      } catch (error) {
+        // Failures the browser would only repeat (404, 5xx, timeouts) end here
+        if (!StaticFetcher.shouldEscalate(error)) {
+          return { success: false, error: error.message, errorClass: RetryPolicy.classify(error).errorClass };
+        }
+        console.log(`⚠️ Static fetch failed, escalating to browser: ${error.message}`);
+      }
+    }
+    
+    if (this.httpCache.offline) {
+      const cached = this.httpCache.readRendered(url);
+      return cached
+        ? { success: true, content: cached.content, links: cached.links || [] }
+        : { success: false, error: HttpCache.missError(url).message, errorClass: 'cache_miss' };
+    }
+
+    try {
+      const rendered = await this.retryPolicy.run(url, () => this.browserPool.withPage(async page => {
+        const capture = this.networkCapture.attach(page, url);
         try {
-          console.log(`🔄 Trying PDF URL: ${tryUrl}`);
-          
-          const response = await axios.get(tryUrl, {
-            responseType: 'arraybuffer',
-            timeout: 30000,
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-              'Accept': 'application/pdf,*/*',
-              'Cache-Control': 'no-cache'
-            },
-            maxRedirects: 10
+          const response = await page.goto(url, {
+            waitUntil: 'networkidle2',
+            timeout: 60000
           });
+          if (response && response.status() >= 400) {
+            throw RetryPolicy.httpError(response.status(), response.statusText());
+          }
+          const adapter = SiteAdapters.forUrl(url);
+          const expandedPanels = await this.pageExpander.expand(page, { extraSelectors: adapter.expandSelectors });
+        
+          // Snapshot and read JSON-LD before the cleanup below strips the page
+          const archiveRecords = this.archive ? await this.archive.snapshotPage(page, url) : [];
+          const structuredData = StructuredDataExtractor.fromHtml(await page.content(), url);
+        
+          const evaluated = await page.evaluate((issuerSelectors) => {
+            // Remove unwanted elements
+            const unwanted = document.querySelectorAll(['script', 'style', 'nav', 'header', 'footer', ...issuerSelectors].join(', '));
+            unwanted.forEach(el => el.remove());
           
-          console.log(`✅ PDF downloaded: ${response.data.length} bytes`);
-          
-          const data = await pdfParse(response.data);
-          const cleanText = data.text.replace(/\n\s*\n/g, '\n').replace(/\s+/g, ' ').trim();
-          const paragraphs = cleanText.split(/\n+/).map(p => p.trim()).filter(p => p.length > 20).slice(0, 50);
-          
-          console.log(`📄 Extracted ${paragraphs.length} paragraphs from PDF`);
+            // Links in the remaining content, for the next level of the crawl
+            const links = Array.from(document.querySelectorAll('a[href]')).map((link, index) => ({
+              href: link.getAttribute('href'),
+              text: (link.textContent || '').trim(),
+              title: link.getAttribute('title') || '',
+              ariaLabel: link.getAttribute('aria-label') || '',
+              fullUrl: link.href,
+              index: index
+            })).filter(link => link.href && link.text.length > 2 && link.text.length < 500 &&
+                               !/^(javascript|mailto|tel):/i.test(link.href));
           
+            return {
+              text: document.body.textContent.replace(/\s+/g, ' ').trim(),
+              html: document.body.innerHTML,
+              title: document.title,
+              links: links
+            };
+          }, adapter.removeSelectors);
+        
+          if (RetryPolicy.isBotBlockPage(evaluated.title, evaluated.text)) {
+            throw RetryPolicy.botBlockError(url, evaluated.title);
+          }
+          const apiResponses = await capture.stop();
           return {
-            content: { text: paragraphs.join('\n'), html: null },
-            summary: `PDF: ${paragraphs[0]?.substring(0, 200)}...`
+            content: { text: evaluated.text, html: evaluated.html, apiResponses, structuredData },
+            links: evaluated.links,
+            expandedPanels,
+            archiveRecords: [...archiveRecords, ...apiResponses.map(payload => payload.archive_record).filter(Boolean)]
           };
-          
-        } catch (urlError) {
-          console.log(`❌ Failed with ${tryUrl}: ${urlError.message}`);
-          continue;
+        } finally {
+          await capture.stop();
         }
-      }
+      }), { label: 'Page render' });
+      
+      const { content, links, expandedPanels, archiveRecords } = rendered;
+      content.markdown = this.markdownConverter.convert(content.html);
+      content.tables = TableExtractor.fromHtml(content.html, url);
       
-      throw new Error('All PDF extraction attempts failed');
+      this.httpCache.writeRendered(url, { url, title: null, content, links });
+      
+      return {
+        success: true,
+        content: content,
+        links: links,
+        expandedPanels: expandedPanels,
+        archiveRecords: archiveRecords
+      };
       
     } catch (error) {
-      console.log(`❌ PDF extraction failed: ${error.message}`);
       return {
-        content: null,
-        summary: `PDF extraction failed: ${error.message}`
+        success: false,
+        error: error.message,
+        errorClass: RetryPolicy.classify(error).errorClass
       };
     }
   }
 
   /**
-   * Extract web content using Puppeteer
+   * Fetch a plain-text document (txt, csv, json, xml)
    */
-  async extractWebContent(url) {
-    let browser;
+  async extractTextContent(url) {
     try {
-      browser = await puppeteer.launch({
-        headless: true, // Use headless for linked pages
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
-      
-      const page = await browser.newPage();
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-      await page.setDefaultNavigationTimeout(60000);
-      
-      await page.goto(url, {
-        waitUntil: 'networkidle2',
-        timeout: 60000
-      });
-      
-      const content = await page.evaluate(() => {
-        // Remove unwanted elements
-        const unwanted = document.querySelectorAll('script, style, nav, header, footer');
-        unwanted.forEach(el => el.remove());
-        
-        return {
-          text: document.body.textContent.replace(/\s+/g, ' ').trim(),
-          html: document.body.innerHTML
-        };
-      });
-      
-      await browser.close();
+      const response = await this.retryPolicy.run(url, () => this.httpCache.fetch(url, {
+        responseType: 'text',
+        timeout: 30000,
+        headers: { 'User-Agent': appConfig.crawler.userAgent }
+      }), { label: 'Text download' });
+      const archiveId = this.archive ? this.archive.recordResponse(url, response) : null;
       
       return {
         success: true,
-        content: content
+        content: { text: String(response.data).trim(), html: null },
+        archiveRecords: archiveId ? [archiveId] : []
       };
-      
     } catch (error) {
-      if (browser) await browser.close();
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        errorClass: RetryPolicy.classify(error).errorClass
       };
     }
   }
 
+  /**
+   * Hash of a page's visible text; rendered HTML differs between fetches (tokens, ids) even
+   * when the content does not. Empty pages get no hash so they are never merged.
+   */
+  textHash(text) {
+    const normalized = Utils.cleanText(text || '');
+    return normalized ? Utils.contentHash(normalized) : null;
+  }
+
   /**
    * Create content summary
    */
@@ -0,0 +1,201 @@
+const config = require('../config/config');
+const SiteAdapters = require('./adapters');
+
+/**
+ * Default link rules. A rule matches when any of its patterns matches the link text or href
+ * (or only the one named by `on`); a link's score is the sum of the weights of the rules it matches.
+ * Weights can be overridden by id from config.linkScoring.weights or an issuer's linkWeights.
+ */
+const DEFAULT_RULES = [
+    // Documents: terms, MITC and offer PDFs carry most of the fine print
+    { id: 'document_link', weight: 10, on: 'href', patterns: [/\.pdf/i, /\/repositories\//i, /\?path=/i] },
+    { id: 'document_text', weight: 10, on: 'text', patterns: [
+        /pdf/i, /(?=.*terms)(?=.*condition)/i, /click here.*(terms|condition|faq)|(terms|condition|faq).*click here/i,
+        /detailed terms/i, /t&c/i, /tnc/i
+    ] },
+
+    // Card content
+    { id: 'card_content', weight: 4, patterns: [
+        /credit.?card/i, /card.?benefit/i, /card.?offer/i, /card.?reward/i,
+        /card.?perk/i, /card.?feature/i, /card.?advantage/i, /cardholder/i
+    ] },
+    { id: 'rewards', weight: 3, patterns: [
+        /cashback/i, /cash.?back/i, /reward.?point/i, /redeem/i, /earn.?point/i,
+        /loyalty/i, /milestone/i, /accelerated/i, /bonus.?point/i
+    ] },
+    { id: 'offers', weight: 3, patterns: [
+        /offer/i, /deal/i, /discount/i, /saving/i, /promo/i, /campaign/i,
+        /flat.*%/i, /\d+%.*off/i, /\d+%.*cashback/i, /\d+x.*point/i
+    ] },
+    { id: 'card_terms', weight: 3, patterns: [
+        /terms.*card/i, /condition.*card/i, /fee.*card/i, /charge.*card/i,
+        /eligibility.*card/i, /apply.*card/i
+    ] },
+    { id: 'card_documents', weight: 3, patterns: [/document.*card/i, /brochure.*card/i, /guide.*card/i] },
+    { id: 'merchants', weight: 2, patterns: [
+        /partner/i, /merchant/i,
+        /dining/i, /restaurant/i, /food/i, /travel/i, /hotel/i, /flight/i,
+        /shopping/i, /fashion/i, /grocery/i, /fuel/i, /petrol/i, /gas.?station/i,
+        /entertainment/i, /movie/i, /bookmyshow/i, /zomato/i, /swiggy/i,
+        /makemytrip/i, /uber/i, /\bola\b/i, /amazon/i, /flipkart/i,
+        /myntra/i, /nykaa/i, /croma/i, /reliance/i
+    ] },
+    { id: 'card_management', weight: 2, patterns: [
+        /my.?card/i, /card.?control/i,
+        /\bemi\b/i, /installment/i, /pay.?in.?part/i, /convert.?to.?emi/i,
+        /contactless/i, /tap.?pay/i, /scan.?pay/i, /upi.*card/i
+    ] },
+    { id: 'card_call_to_action', weight: 2, patterns: [
+        /click.*here.*card/i, /know.*more.*card/i, /learn.*more.*card/i,
+        /detail.*card/i, /feature.*card/i, /benefit.*card/i
+    ] },
+
+    // Noise
+    { id: 'site_navigation', weight: -3, patterns: [
+        /^home$/i, /^contact$/i, /^about$/i, /^privacy/i, /^sitemap$/i,
+        /^help$/i, /^support$/i, /^customer/i, /^faq$/i
+    ] },
+    { id: 'other_banking', weight: -3, patterns: [
+        /net.?banking/i, /online.?banking/i, /digital.?banking/i,
+        /business.?banking/i, /\bsme\b/i, /corporate/i, /wealth/i,
+        /loan(?!.*card)/i, /deposit/i, /investment/i, /mutual.?fund/i
+    ] },
+    { id: 'insurance', weight: -3, patterns: [
+        /insurance(?!.*card)/i, /personal.?accident/i, /mediclaim/i, /critical.?illness/i
+    ] },
+    { id: 'bill_payments', weight: -3, patterns: [
+        /bill.?payment/i, /premium.?payment/i, /utility/i, /electricity/i,
+        /gas.?bill/i, /water.?bill/i, /mobile.?recharge/i, /\bdth\b/i,
+        /broadband/i, /landline/i, /donation/i, /religious/i
+    ] },
+    { id: 'account_access', weight: -3, patterns: [
+        /login/i, /sign.?in/i, /sign.?up/i, /register/i, /forgot.?password/i,
+        /reset.?password/i, /\botp\b/i
+    ] },
+    // Weak on purpose: "activate the offer" and "enroll for rewards" are card content
+    { id: 'account_activation', weight: -1, patterns: [/verify/i, /activate/i, /enroll/i] },
+    { id: 'security_and_statements', weight: -3, patterns: [
+        /netsafe/i, /verified.?by.?visa/i, /mastercard.?securecode/i,
+        /3d.?secure/i, /fraud/i, /security(?!.*card)/i, /\balerts?\b/i,
+        /statement(?!.*card)/i, /passbook/i, /cheque/i, /\bdd\b/i
+    ] },
+    { id: 'learning_and_news', weight: -3, patterns: [
+        /learning.?centre/i, /education/i, /tutorial/i, /guide(?!.*card)/i,
+        /calculator/i, /blog(?!.*card)/i, /\bnews\b/i, /\bpress\b/i, /\bmedia\b/i
+    ] },
+    { id: 'social_media', weight: -10, patterns: [
+        /facebook\.com/i, /twitter\.com/i, /instagram\.com/i,
+        /linkedin\.com/i, /youtube\.com/i, /whatsapp/i, /telegram/i
+    ] },
+    { id: 'corporate_pages', weight: -3, patterns: [/career/i, /\bjobs?\b/i, /investor/i, /\bcsr\b/i, /sustainability/i] },
+    { id: 'other_card_products', weight: -5, patterns: [/prepaid(?!.*credit)/i, /gift.?card/i, /forex.?card/i] },
+    { id: 'financial_planning', weight: -3, patterns: [
+        /financial.?planning/i, /retirement/i, /pension/i, /\btax\b/i,
+        /goal.?planning/i, /save.?money/i, /emergency.?fund/i
+    ] },
+    { id: 'app_downloads', weight: -3, patterns: [
+        /mobile.?app(?!.*card)/i, /download.?app/i, /app.?store/i, /play.?store/i
+    ] }
+];
+
+// Default weights of rules that are not pattern lists
+const BUILT_IN_WEIGHTS = {
+    issuer_relevant: 4,     // the adapter's relevantPatterns
+    issuer_irrelevant: -5,  // the adapter's irrelevantPatterns
+    off_domain: -20         // not the page's domain or an issuer domain, and not a document
+};
+
+/**
+ * Scores links for relevance to a credit card: every decision carries the rules that
+ * produced it so rejected links can be audited and the weights tuned.
+ */
+class LinkScorer {
+    constructor(options = {}) {
+        this.config = { ...config.linkScoring, ...options };
+        this.ruleSets = new Map();
+    }
+
+    /**
+     * Score a link found on baseUrl: { score, accepted, matched: [{ rule, weight, pattern }] }
+     */
+    score(text, href, baseUrl) {
+        const adapter = SiteAdapters.forUrl(baseUrl);
+        const { rules, weights } = this.rulesFor(adapter);
+        const matched = [];
+
+        rules.forEach(rule => {
+            const pattern = rule.patterns.find(candidate =>
+                (rule.on !== 'href' && candidate.test(text)) || (rule.on !== 'text' && candidate.test(href)));
+            if (pattern) {
+                matched.push({ rule: rule.id, weight: rule.weight, pattern: pattern.source });
+            }
+        });
+
+        // Documents may live on CDNs and partner hosts; pages must stay on the issuer's sites
+        const isDocument = matched.some(match => match.rule === 'document_link' || match.rule === 'document_text');
+        if (!isDocument && !LinkScorer.isOnSite(href, baseUrl, adapter)) {
+            matched.push({ rule: 'off_domain', weight: weights.off_domain, pattern: null });
+        }
+
+        const score = matched.reduce((sum, match) => sum + match.weight, 0);
+        return { score, accepted: score >= this.config.threshold, matched };
+    }
+
+    /**
+     * Default, config and issuer rules with weights resolved, cached per issuer
+     */
+    rulesFor(adapter) {
+        if (!this.ruleSets.has(adapter.id)) {
+            const weights = { ...BUILT_IN_WEIGHTS, ...this.config.weights, ...adapter.linkWeights };
+            const rules = [
+                ...DEFAULT_RULES,
+                ...this.config.rules,
+                { id: 'issuer_relevant', weight: BUILT_IN_WEIGHTS.issuer_relevant, patterns: adapter.relevantPatterns },
+                { id: 'issuer_irrelevant', weight: BUILT_IN_WEIGHTS.issuer_irrelevant, patterns: adapter.irrelevantPatterns },
+                ...adapter.linkRules
+            ]
+                .filter(rule => rule.patterns.length > 0)
+                .map(rule => ({ ...rule, weight: weights[rule.id] !== undefined ? weights[rule.id] : rule.weight }));
+            this.ruleSets.set(adapter.id, { rules, weights });
+        }
+        return this.ruleSets.get(adapter.id);
+    }
+
+    static isOnSite(href, baseUrl, adapter) {
+        let resolved;
+        try {
+            resolved = new URL(href, baseUrl);
+        } catch (e) {
+            return false;
+        }
+        let baseHost = null;
+        try {
+            baseHost = new URL(baseUrl).hostname;
+        } catch (e) {
+            // Keep null
+        }
+        return resolved.hostname === baseHost || adapter.isIssuerDomain(resolved.href);
+    }
+
+    /**
+     * link_decisions report: counts, how often each rule fired on accepted and rejected
+     * links, and every decision with its reasons
+     */
+    report(decisions) {
+        const ruleHits = {};
+        decisions.forEach(decision => decision.matched.forEach(match => {
+            ruleHits[match.rule] = ruleHits[match.rule] || { weight: match.weight, accepted: 0, rejected: 0 };
+            ruleHits[match.rule][decision.accepted ? 'accepted' : 'rejected']++;
+        }));
+
+        return {
+            threshold: this.config.threshold,
+            accepted: decisions.filter(decision => decision.accepted).length,
+            rejected: decisions.filter(decision => !decision.accepted).length,
+            rule_hits: ruleHits,
+            decisions: decisions
+        };
+    }
+}
+
+module.exports = LinkScorer;
@@ -4,15 +4,34 @@ const { URL }           = require('url');
 const ContentExtractor  = require('./contentExtractor');
 const AIProcessor       = require('./aiProcessor');
 const CardCrawler       = require('./crawler');
+const HttpCache         = require('./httpCache');
+const RetryPolicy       = require('./retryPolicy');
+const ArchiveWriter     = require('./archiveWriter');
+const DocumentStore     = require('./documentStore');
 const Utils             = require('./utils');
 
 class ListingCrawler {
   constructor (openaiKey, options = {}) {
-    this.contentExtractor = new ContentExtractor();
-    this.aiProcessor      = new AIProcessor(openaiKey);
-    this.cardCrawler      = new CardCrawler(openaiKey, options);
+    this.httpCache        = options.httpCache ||
+                            (options.offline ? new HttpCache({ offline: true }) : HttpCache.shared());
+    this.scheduler        = options.scheduler || CardCrawler.createScheduler(this.httpCache, options);
+    this.archive          = ArchiveWriter.fromOptions(options);
+    this.documentStore    = options.documentStore || new DocumentStore(); // linked documents shared by the run's cards
+    this.contentExtractor = new ContentExtractor({
+      browserPool: options.browserPool,
+      httpCache  : this.httpCache,
+      scheduler  : this.scheduler,
+      archive    : this.archive
+    });
+    this.aiProcessor      = new AIProcessor(openaiKey, options.llm);
+    this.cardCrawler      = new CardCrawler(openaiKey, {
+      ...options,
+      httpCache    : this.httpCache,
+      scheduler    : this.scheduler,
+      archive      : this.archive,
+      documentStore: this.documentStore
+    });
     this.options = {
-      delayBetweenCards     : options.delayBetweenCards     || 5_000,
       delayBetweenValidation: options.delayBetweenValidation||   500,
       ...options
     };
@@ -54,8 +73,13 @@ class ListingCrawler {
 
           /* skip in-complete results */
           if (!cardRes.valid) {
-            console.warn(`⏩  Skipping – incomplete data for ${cardMeta.url}`);
-            failedCards.push({ ...cardMeta, reason: 'incomplete_data' });
+            console.warn(`⏩  Skipping – ${cardRes.reason || 'incomplete data'} for ${cardMeta.url}`);
+            failedCards.push({
+              ...cardMeta,
+              reason: cardRes.reason || 'incomplete_data',
+              ...(cardRes.error && { error: cardRes.error }),
+              ...(cardRes.error_class && { error_class: cardRes.error_class })
+            });
           } else {
             /* attach origin-meta & push */
             cardRes.standard.listing_info = {
@@ -70,12 +94,7 @@ class ListingCrawler {
 
         } catch (err) {
           console.error('❌  Card processing failed:', err.message);
-          failedCards.push({ ...cardMeta, error: err.message });
-        }
-
-        /* polite delay between cards  */
-        if (i < listingData.cards.length - 1) {
-          await Utils.sleep(this.options.delayBetweenCards);
+          failedCards.push({ ...cardMeta, error: err.message, error_class: RetryPolicy.classify(err).errorClass });
         }
       }
 
@@ -112,10 +131,12 @@ class ListingCrawler {
         valid_urls_after_validation: gptListingData.total_cards_found,
         cards_processed        : okCards.length,
         cards_failed           : failed.length,
-        processing_success_rate: attempted ? +(okCards.length / attempted).toFixed(2) : 0
+        processing_success_rate: attempted ? +(okCards.length / attempted).toFixed(2) : 0,
+        documents_fetched      : this.documentStore.size
       },
       cards        : okCards,
       failed_cards : failed,
+      shared_documents: this.documentStore.sharedDocuments(),
       metadata     : { last_updated: new Date().toISOString() }
     };
   }
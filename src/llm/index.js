@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+const OpenAIProvider = require('./openaiProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+    openai: OpenAIProvider,
+    azure: OpenAIProvider,
+    mock: MockProvider
+};
+
+/**
+ * Provider for a run: config.llm with the run's overrides on top. Every provider exposes
+ * name, model and chatCompletion(params). With recordDir set, completions are also saved
+ * there for the mock provider to replay.
+ */
+function create(options = {}) {
+    const settings = {
+        ...config.llm,
+        ...options,
+        azure: { ...config.llm.azure, ...options.azure },
+        headers: { ...config.llm.headers, ...options.headers }
+    };
+    // Azure addresses models by deployment name
+    settings.model = settings.model || (settings.provider === 'azure' && settings.azure.deployment) || config.openai.model;
+
+    const Provider = PROVIDERS[settings.provider];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${settings.provider}" (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    const provider = new Provider(settings);
+    return settings.recordDir && settings.provider !== 'mock' ? record(provider, settings.recordDir) : provider;
+}
+
+/**
+ * Wrap a provider so every completion is written where the mock provider looks for it
+ */
+function record(provider, recordDir) {
+    const dir = path.resolve(process.cwd(), recordDir);
+    fs.mkdirSync(dir, { recursive: true });
+
+    return {
+        name: provider.name,
+        model: provider.model,
+        chatCompletion: async params => {
+            const response = await provider.chatCompletion(params);
+            try {
+                fs.writeFileSync(MockProvider.fileFor(dir, params), JSON.stringify({
+                    provider: provider.name,
+                    recorded_at: new Date().toISOString(),
+                    request: params,
+                    response: response
+                }, null, 2));
+            } catch (error) {
+                console.log(`⚠️ Could not record completion: ${error.message}`);
+            }
+            return response;
+        }
+    };
+}
+
+module.exports = {
+    create
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Replays completions recorded by an earlier run (see llm.recordDir) instead of calling a model,
+ * so the whole pipeline can run without network access. Requests are matched on their exact
+ * parameters; options.respond(params) may answer requests that have no recording.
+ */
+class MockProvider {
+    constructor(options) {
+        this.name = 'mock';
+        this.model = options.model;
+        this.dir = path.resolve(process.cwd(), options.replayDir);
+        this.respond = options.respond || null;
+    }
+
+    async chatCompletion(params) {
+        const file = MockProvider.fileFor(this.dir, params);
+        if (fs.existsSync(file)) {
+            return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+        }
+
+        const answer = this.respond ? await this.respond(params) : null;
+        if (answer !== null && answer !== undefined) {
+            return typeof answer === 'string' ? MockProvider.completion(answer, params.model) : answer;
+        }
+
+        const error = new Error(`No recorded completion for this request in ${this.dir} (${path.basename(file)})`);
+        error.code = 'ECACHEMISS';
+        throw error;
+    }
+
+    /**
+     * Recording file of a request: a hash of its parameters
+     */
+    static fileFor(dir, params) {
+        const hash = crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex');
+        return path.join(dir, `${hash}.json`);
+    }
+
+    /**
+     * Minimal chat completion carrying the given message content
+     */
+    static completion(content, model = 'mock') {
+        return {
+            id: 'chatcmpl-mock',
+            object: 'chat.completion',
+            model: model,
+            choices: [{ index: 0, message: { role: 'assistant', content: content }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+        };
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,36 @@
+const OpenAI = require('openai');
+
+/**
+ * Chat completions through the OpenAI SDK: api.openai.com, Azure OpenAI, or any
+ * OpenAI-compatible server (llama.cpp, vLLM, Ollama) reached through baseURL.
+ */
+class OpenAIProvider {
+    constructor(options) {
+        this.name = options.provider;
+        this.model = options.model;
+
+        const clientOptions = {
+            // Local servers usually ignore the key, but the SDK insists on one
+            apiKey: options.apiKey || (options.baseURL ? 'not-needed' : undefined),
+            timeout: options.timeout,
+            maxRetries: options.maxRetries,
+            defaultHeaders: options.headers
+        };
+
+        if (options.provider === 'azure') {
+            const { endpoint, apiVersion, deployment } = options.azure;
+            this.client = new OpenAI.AzureOpenAI({ ...clientOptions, endpoint, apiVersion, deployment });
+        } else {
+            this.client = new OpenAI({ ...clientOptions, ...(options.baseURL && { baseURL: options.baseURL }) });
+        }
+    }
+
+    /**
+     * Create a chat completion; params and result follow the OpenAI chat completions API
+     */
+    async chatCompletion(params) {
+        return this.client.chat.completions.create(params);
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,235 @@
+const cheerio = require('cheerio');
+
+// Elements that never carry card information. Forms and buttons are kept: ASP.NET pages wrap
+// the whole body in a <form>, and accordion headings are often <button>s.
+const DROP_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'nav', 'header', 'footer', 'aside',
+    'input', 'select', 'textarea', 'option',
+    'svg', 'canvas', 'iframe', 'object', 'embed', 'img', 'picture', 'video', 'audio', 'map'
+]);
+
+// Boilerplate that survives the extractor's own cleanup. Deliberately narrower than
+// config.content.unwantedSelectors, whose [class*="header"] would drop section headings.
+const BOILERPLATE_SELECTORS = [
+    '.advertisement', '.ads', '.social-media', '.social-share', '.navigation', '.menu',
+    '.sidebar', '.cookie-banner', '.popup', '.modal', '.breadcrumb', '.newsletter', '.related-links'
+];
+
+const BOILERPLATE_ROLES = ['navigation', 'banner', 'contentinfo', 'search', 'dialog', 'alertdialog'];
+const BOILERPLATE_CLASS = /(^|[\s_-])(cookie|breadcrumb|social|share|newsletter|skip-link|back-to-top)([\s_-]|$)/i;
+
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'body', 'html', 'blockquote', 'pre',
+    'figure', 'figcaption', 'address', 'details', 'summary', 'dl', 'dt', 'dd',
+    'fieldset', 'center', 'caption', 'form'
+]);
+
+class MarkdownConverter {
+    constructor(options = {}) {
+        this.dropSelectors = options.dropSelectors || BOILERPLATE_SELECTORS;
+    }
+
+    /**
+     * Convert an HTML fragment or document into Markdown that keeps headings,
+     * list items, link text and tables.
+     */
+    convert(html) {
+        if (!html) return '';
+
+        const $ = cheerio.load(html);
+        this.dropBoilerplate($);
+
+        const root = $('body').length ? $('body')[0] : $.root()[0];
+        const markdown = this.renderChildren($, root);
+        return MarkdownConverter.tidy(markdown);
+    }
+
+    dropBoilerplate($) {
+        this.dropSelectors.forEach(selector => {
+            try {
+                $(selector).remove();
+            } catch (e) {
+                // Ignore selectors cheerio cannot handle
+            }
+        });
+
+        BOILERPLATE_ROLES.forEach(role => $(`[role="${role}"]`).remove());
+        $('[class]').each((i, element) => {
+            if (BOILERPLATE_CLASS.test($(element).attr('class'))) {
+                $(element).remove();
+            }
+        });
+    }
+
+    renderChildren($, node) {
+        return (node.children || []).map(child => this.renderNode($, child)).join('');
+    }
+
+    renderNode($, node) {
+        if (node.type === 'text') {
+            return node.data.replace(/\s+/g, ' ');
+        }
+        if (node.type !== 'tag' && node.type !== 'root') {
+            return '';
+        }
+
+        const tag = (node.name || '').toLowerCase();
+        if (DROP_TAGS.has(tag)) {
+            return '';
+        }
+
+        const heading = tag.match(/^h([1-6])$/);
+        if (heading) {
+            const text = this.inlineText($, node);
+            return text ? `\n\n${'#'.repeat(Number(heading[1]))} ${text}\n\n` : '';
+        }
+
+        switch (tag) {
+            case 'br':
+                return '\n';
+            case 'hr':
+                return '\n\n---\n\n';
+            case 'ul':
+            case 'ol':
+                return `\n\n${this.renderList($, node, tag === 'ol')}\n\n`;
+            case 'table':
+                return `\n\n${this.renderTable($, node)}\n\n`;
+            case 'strong':
+            case 'b': {
+                const text = this.renderChildren($, node).trim();
+                return text ? `**${text}**` : '';
+            }
+            case 'li':
+                return `\n\n- ${this.renderChildren($, node).trim()}\n\n`;
+            default:
+                break;
+        }
+
+        const inner = this.renderChildren($, node);
+        return BLOCK_TAGS.has(tag) ? `\n\n${inner.trim()}\n\n` : inner;
+    }
+
+    renderList($, node, ordered) {
+        const items = (node.children || []).filter(child => child.type === 'tag' && child.name === 'li');
+
+        return items.map((item, index) => {
+            const marker = ordered ? `${index + 1}.` : '-';
+            const body = MarkdownConverter.tidy(this.renderChildren($, item));
+            if (!body) return null;
+
+            // Continuation lines and nested lists are indented under the marker
+            const [first, ...rest] = body.split('\n');
+            return [`${marker} ${first}`, ...rest.filter(line => line.trim()).map(line => `   ${line}`)].join('\n');
+        }).filter(Boolean).join('\n');
+    }
+
+    renderTable($, node) {
+        const grid = MarkdownConverter.tableToGrid($, node, cell => this.cellText($, cell));
+        if (grid.rows.length === 0) return '';
+
+        const width = Math.max(...grid.rows.map(row => row.length));
+        const pad = row => Array.from({ length: width }, (v, i) => row[i] || '');
+        const line = row => `| ${pad(row).map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+
+        const [header, ...body] = grid.rows;
+        const output = [line(header), `| ${Array(width).fill('---').join(' | ')} |`, ...body.map(line)];
+        if (grid.caption) {
+            output.unshift(`**${grid.caption}**`, '');
+        }
+        return output.join('\n');
+    }
+
+    cellText($, cell) {
+        return MarkdownConverter.tidy(this.renderChildren($, cell))
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .join('<br>');
+    }
+
+    inlineText($, node) {
+        return this.renderChildren($, node).replace(/\s+/g, ' ').replace(/\*\*/g, '').trim();
+    }
+
+    /**
+     * Lay a <table> out as a rectangular grid of cell strings, expanding colspan and rowspan.
+     * The header row comes first: <thead> rows, else a leading all-<th> row, else the first row.
+     */
+    static tableToGrid($, tableNode, cellText = cell => $(cell).text().replace(/\s+/g, ' ').trim()) {
+        const table = $(tableNode);
+        const ownRows = table.find('tr').filter((i, tr) => $(tr).closest('table')[0] === tableNode);
+
+        const rows = [];
+        const spans = [];
+        let headerRows = 0;
+
+        ownRows.each((index, tr) => {
+            const row = [];
+            let col = 0;
+            const fillSpans = () => {
+                while (spans[col] && spans[col].remaining > 0) {
+                    row[col] = spans[col].text;
+                    spans[col].remaining--;
+                    col++;
+                }
+            };
+
+            $(tr).children('th, td').each((i, cell) => {
+                fillSpans();
+                const text = cellText(cell);
+                const colspan = Math.max(1, Math.min(parseInt($(cell).attr('colspan'), 10) || 1, 50));
+                const rowspan = Math.max(1, Math.min(parseInt($(cell).attr('rowspan'), 10) || 1, 100));
+                for (let c = 0; c < colspan; c++) {
+                    row[col] = text;
+                    spans[col] = rowspan > 1 ? { text, remaining: rowspan - 1 } : null;
+                    col++;
+                }
+            });
+            fillSpans();
+
+            // Empty rows are skipped, so header rows are counted among the kept ones
+            if (!row.some(cell => cell)) return;
+
+            const isHeader = $(tr).parent().is('thead') ||
+                             ($(tr).children('td').length === 0 && $(tr).children('th').length > 0);
+            if (isHeader && rows.length === headerRows) {
+                headerRows++;
+            }
+            rows.push(Array.from(row, cell => cell || ''));
+        });
+
+        // Several header rows collapse into one, joined per column
+        if (headerRows > 1) {
+            const headers = rows.slice(0, headerRows);
+            const width = Math.max(...headers.map(row => row.length));
+            const merged = Array.from({ length: width }, (v, i) =>
+                [...new Set(headers.map(row => row[i]).filter(Boolean))].join(' / '));
+            rows.splice(0, headerRows, merged);
+            headerRows = 1;
+        }
+
+        return {
+            rows: rows,
+            hasHeader: headerRows > 0,
+            caption: table.children('caption').text().replace(/\s+/g, ' ').trim() || null
+        };
+    }
+
+    /**
+     * Normalise whitespace: trim lines, keep list indentation, at most one blank line in a row
+     */
+    static tidy(markdown) {
+        return markdown
+            .split('\n')
+            .map(line => {
+                const trimmed = line.replace(/[ \t]+/g, ' ').trim();
+                const indent = line.match(/^ +/);
+                return indent && /^([-*]|\d+\.) /.test(trimmed) ? indent[0] + trimmed : trimmed;
+            })
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+}
+
+module.exports = MarkdownConverter;
@@ -0,0 +1,136 @@
+const config = require('../config/config');
+const SiteAdapters = require('./adapters');
+
+// Analytics and tag-manager traffic is JSON too, but never card data
+const IGNORED_URLS = /google-analytics|googletagmanager|doubleclick|facebook\.(com|net)|adobedtm|omtrdc|demdex|hotjar|clarity\.ms|newrelic|nr-data|sentry|segment\.(io|com)|\/collect\b|\/beacon\b|\/track(ing)?\b/i;
+
+// Words that make an unmatched JSON payload worth keeping
+const CARD_KEYWORDS = [
+    'offer', 'cashback', 'reward', 'discount', 'benefit', 'merchant', 'validity',
+    'valid till', 'terms', 'fee', 'lounge', 'points', 'voucher', 'coupon', 'emi', 'card'
+];
+
+/**
+ * Listens to a Puppeteer page's network traffic and keeps the XHR/fetch JSON responses that
+ * carry card or offer data: URLs matching config or issuer patterns, or payloads that mention
+ * enough card keywords.
+ */
+class NetworkCapture {
+    constructor(options = {}) {
+        const { archive, ...overrides } = options;
+        this.config = { ...config.networkCapture, ...overrides };
+        this.archive = archive || null;
+    }
+
+    /**
+     * Start listening on a page. Call stop() on the returned session to detach the
+     * listener and collect the payloads; later calls return the same payloads.
+     */
+    attach(page, pageUrl) {
+        if (!this.config.enabled) {
+            return { stop: async () => [] };
+        }
+
+        const urlPatterns = [...this.config.urlPatterns, ...SiteAdapters.forUrl(pageUrl).captureUrlPatterns];
+        const pending = [];
+
+        const onResponse = response => {
+            pending.push(this.inspect(response, urlPatterns).catch(() => null));
+        };
+        page.on('response', onResponse);
+
+        const collect = async () => {
+            page.off('response', onResponse);
+            const payloads = (await Promise.all(pending)).filter(Boolean);
+
+            // Later responses for the same URL (e.g. after a tab click) replace earlier ones
+            const byUrl = new Map(payloads.map(payload => [payload.url, payload]));
+            const kept = [...byUrl.values()].slice(0, this.config.maxPayloads).map(({ body, ...payload }) => {
+                const archiveRecord = this.archive && this.archive.record('response', payload.url, body, {
+                    contentType: payload.content_type,
+                    status: payload.status,
+                    fetchMode: 'xhr'
+                });
+                return archiveRecord ? { ...payload, archive_record: archiveRecord } : payload;
+            });
+            if (kept.length > 0) {
+                console.log(`🛰️ Captured ${kept.length} JSON API responses from ${pageUrl}`);
+            }
+            return kept;
+        };
+
+        let stopped = null;
+        return { stop: () => stopped || (stopped = collect()) };
+    }
+
+    /**
+     * Keep a response when it is a successful XHR/fetch JSON body that matches
+     */
+    async inspect(response, urlPatterns) {
+        const request = response.request();
+        const url = response.url();
+
+        if (!['xhr', 'fetch'].includes(request.resourceType())) return null;
+        if (response.status() < 200 || response.status() >= 300) return null;
+        if (IGNORED_URLS.test(url)) return null;
+
+        const contentType = response.headers()['content-type'] || '';
+        if (contentType && !/json|javascript|text\/plain/i.test(contentType)) return null;
+
+        const body = await response.text();
+        if (body.length < this.config.minPayloadBytes || body.length > this.config.maxPayloadBytes) return null;
+
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (e) {
+            return null;
+        }
+
+        const matchedPattern = urlPatterns.find(pattern => pattern.test(url));
+        const keywords = matchedPattern ? [] : NetworkCapture.keywordHits(body);
+        if (!matchedPattern && keywords.length < this.config.minKeywordHits) return null;
+
+        return {
+            url: url,
+            method: request.method(),
+            status: response.status(),
+            content_type: contentType || null,
+            matched_by: matchedPattern ? `pattern:${matchedPattern.source}` : `keywords:${keywords.join(',')}`,
+            size: body.length,
+            body: body,
+            data: data
+        };
+    }
+
+    static keywordHits(body) {
+        const sample = body.substring(0, 100000).toLowerCase();
+        return CARD_KEYWORDS.filter(keyword => sample.includes(keyword));
+    }
+
+    /**
+     * Captured payloads as prompt text, compact JSON capped at maxPromptChars overall
+     */
+    static toPromptText(payloads, maxPromptChars = config.networkCapture.maxPromptChars) {
+        let remaining = maxPromptChars;
+        const sections = [];
+        for (const payload of payloads || []) {
+            if (remaining <= 0) break;
+            const json = JSON.stringify(payload.data);
+            const text = json.length > remaining ? `${json.substring(0, remaining)}…` : json;
+            remaining -= text.length;
+            sections.push(`API RESPONSE: ${payload.url}\n${text}`);
+        }
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Payload list without bodies, for result metadata
+     */
+    static summarize(payloads) {
+        return (payloads || []).map(({ url, method, status, matched_by, size, archive_record }) =>
+            ({ url, method, status, matched_by, size, ...(archive_record && { archive_record }) }));
+    }
+}
+
+module.exports = NetworkCapture;
@@ -0,0 +1,206 @@
+const config = require('../config/config');
+const Utils = require('./utils');
+
+// Containers that hold collapsed or inactive content; revealed rather than deleted
+const PANEL_SELECTORS = [
+    '[role="tabpanel"]', '.tab-pane', '.tab-content > *', '.tabcontent',
+    '.accordion-collapse', '.accordion-content', '.accordion-body', '.accordion-panel',
+    '.collapse', '.panel-collapse', '.expandable-content', '.show-more-content',
+    '[aria-hidden="true"][id]', 'details'
+];
+
+// Clickable controls that reveal more content without leaving the page
+const TOGGLE_SELECTORS = [
+    '[aria-expanded="false"]',
+    '[data-toggle="collapse"]', '[data-bs-toggle="collapse"]',
+    '.accordion-button.collapsed', '.accordion-header', '.accordion-title'
+];
+
+const TAB_SELECTORS = ['[role="tab"]', '[data-toggle="tab"]', '[data-bs-toggle="tab"]', '.nav-tabs a', '.tabs a'];
+
+const MORE_BUTTON_TEXT = /^(know|view|read|show|see|load)\s+(more|all|details)\b|^expand(\s+all)?$|^\+?\s*more$/i;
+
+class PageExpander {
+    constructor(options = {}) {
+        this.config = { ...config.pageExpansion, ...options };
+    }
+
+    /**
+     * Open details, accordions, tabs and "view more" sections, wait for the page to settle,
+     * then un-hide every collapsed panel so its text survives extraction.
+     * Returns the list of panels that were expanded.
+     */
+    async expand(page, { extraSelectors = [] } = {}) {
+        if (!this.config.enabled) return [];
+
+        const expanded = [];
+        try {
+            expanded.push(...await this.clickToggles(page, {
+                toggles: [...TOGGLE_SELECTORS, ...extraSelectors],
+                tabs: TAB_SELECTORS,
+                moreButtonSource: MORE_BUTTON_TEXT.source,
+                maxClicks: this.config.maxClicks
+            }));
+
+            await this.waitForSettle(page);
+
+            expanded.push(...await page.evaluate(PageExpander.revealPanelsInPage, PANEL_SELECTORS));
+        } catch (error) {
+            console.log(`⚠️ Page expansion incomplete: ${error.message}`);
+        }
+
+        if (expanded.length > 0) {
+            console.log(`📂 Expanded ${expanded.length} collapsible sections`);
+        }
+        return expanded;
+    }
+
+    /**
+     * Click every safe toggle in the page, one at a time so lazy panels get a chance to load
+     */
+    async clickToggles(page, options) {
+        return await page.evaluate(async ({ toggles, tabs, moreButtonSource, maxClicks }) => {
+            const expanded = [];
+            const clicked = new Set();
+            const moreButton = new RegExp(moreButtonSource, 'i');
+            const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+            const labelOf = el => (el.getAttribute('aria-label') || el.textContent || '')
+                .replace(/\s+/g, ' ').trim().substring(0, 80);
+
+            // Never follow real links or submit forms: only in-page anchors and non-link controls
+            const isSafe = el => {
+                if (el.type === 'submit' && el.form) return false;
+                if (el.matches('[type="submit"], [type="image"]')) return false;
+                if (el.tagName !== 'A') return true;
+                const href = (el.getAttribute('href') || '').trim();
+                return href === '' || href.startsWith('#') || href.startsWith('javascript:');
+            };
+
+            const clickAll = async (elements, type) => {
+                for (const el of elements) {
+                    if (clicked.size >= maxClicks) return;
+                    if (clicked.has(el) || !isSafe(el)) continue;
+                    clicked.add(el);
+                    try {
+                        el.click();
+                        expanded.push({ type, label: labelOf(el) });
+                        await wait(150);
+                    } catch (e) {
+                        // Ignore controls that throw on click
+                    }
+                }
+            };
+
+            document.querySelectorAll('details:not([open])').forEach(el => {
+                el.open = true;
+                expanded.push({ type: 'details', label: labelOf(el.querySelector('summary') || el) });
+            });
+
+            for (const selector of tabs) {
+                try {
+                    await clickAll(Array.from(document.querySelectorAll(selector)), 'tab');
+                } catch (e) {
+                    // Skip selectors the page does not support
+                }
+            }
+
+            for (const selector of toggles) {
+                try {
+                    await clickAll(Array.from(document.querySelectorAll(selector)), 'toggle');
+                } catch (e) {
+                    // Skip selectors the page does not support
+                }
+            }
+
+            const buttons = Array.from(document.querySelectorAll('button, [role="button"], a'))
+                .filter(el => moreButton.test((el.textContent || '').replace(/\s+/g, ' ').trim()));
+            await clickAll(buttons, 'more_button');
+
+            return expanded;
+        }, options);
+    }
+
+    /**
+     * Wait for requests triggered by the clicks to finish
+     */
+    async waitForSettle(page) {
+        try {
+            if (typeof page.waitForNetworkIdle === 'function') {
+                await page.waitForNetworkIdle({ idleTime: 500, timeout: this.config.settleTimeout });
+            }
+        } catch (error) {
+            // Busy pages never go fully idle; carry on
+        }
+        await Utils.sleep(500);
+    }
+
+    /**
+     * Runs in the page: make collapsed panels visible and tag them
+     */
+    static revealPanelsInPage(panelSelectors) {
+        const revealed = [];
+        panelSelectors.forEach(selector => {
+            let elements = [];
+            try {
+                elements = document.querySelectorAll(selector);
+            } catch (e) {
+                return;
+            }
+
+            elements.forEach(el => {
+                const style = window.getComputedStyle(el);
+                const hidden = el.hidden ||
+                               el.getAttribute('aria-hidden') === 'true' ||
+                               style.display === 'none' ||
+                               style.visibility === 'hidden';
+                if (!hidden || el.dataset.flipExpanded) return;
+
+                el.hidden = false;
+                el.removeAttribute('aria-hidden');
+                el.style.setProperty('display', 'block', 'important');
+                el.style.setProperty('visibility', 'visible', 'important');
+                el.dataset.flipExpanded = 'true';
+
+                const heading = el.getAttribute('aria-labelledby') &&
+                                document.getElementById(el.getAttribute('aria-labelledby'));
+                const label = (heading?.textContent || el.id || el.className || selector)
+                    .toString().replace(/\s+/g, ' ').trim().substring(0, 80);
+                revealed.push({ type: 'hidden_panel', label });
+            });
+        });
+        return revealed;
+    }
+
+    /**
+     * Un-hide collapsed panels in a cheerio document, for the static fetch path
+     */
+    static revealPanelsInCheerio($) {
+        const revealed = [];
+        PANEL_SELECTORS.forEach(selector => {
+            let elements;
+            try {
+                elements = $(selector);
+            } catch (e) {
+                return;
+            }
+
+            elements.each((i, element) => {
+                const el = $(element);
+                const style = (el.attr('style') || '').replace(/\s+/g, '');
+                const hidden = el.attr('hidden') !== undefined ||
+                               el.attr('aria-hidden') === 'true' ||
+                               /display:none|visibility:hidden/i.test(style);
+                if (!hidden) return;
+
+                el.removeAttr('hidden');
+                el.removeAttr('aria-hidden');
+                el.attr('style', style.replace(/display:none;?|visibility:hidden;?/gi, ''));
+                revealed.push({ type: 'hidden_panel', label: (el.attr('id') || el.attr('class') || selector).substring(0, 80) });
+            });
+        });
+        return revealed;
+    }
+}
+
+module.exports = PageExpander;
@@ -0,0 +1,199 @@
+const pdfParse = require('pdf-parse');
+const TableExtractor = require('./tableExtractor');
+
+const CLAUSE_LINE = /^(\d{1,2}(?:\.\d{1,2}){0,3})([.)]?)\s+(\S.*)$/;
+const HEADING_KEYWORD = /^(section|chapter|part|schedule|annexure|appendix|article)\b/i;
+const TOC_ENTRY = /(\.{4,}|…{2,})\s*\d+$/;
+
+class PdfExtractor {
+    /**
+     * Parse a PDF keeping page boundaries. Returns the full text plus
+     * pages [{number, text}], sections [{heading, clause, page, end_page, citation, text}]
+     * and tables tagged with the page they were found on.
+     */
+    static async parse(buffer, sourceUrl) {
+        const rendered = [];
+        const data = await pdfParse(buffer, {
+            max: 0, // Parse all pages
+            version: 'v1.10.100',
+            pagerender: async pageData => {
+                const text = await TableExtractor.renderPdfPage(pageData);
+                rendered[Number.isInteger(pageData.pageIndex) ? pageData.pageIndex : rendered.length] = text;
+                return text;
+            }
+        });
+
+        const pages = Array.from(rendered, (raw, index) => ({
+            number: index + 1,
+            lines: (raw || '').replace(/\u0000/g, '').split('\n').map(line => line.trim()).filter(Boolean)
+        }));
+
+        const tables = pages.flatMap(page =>
+            TableExtractor.fromPdfText(page.lines.join('\n'), sourceUrl).map(table => ({ ...table, page: page.number }))
+        ).map((table, index) => ({ ...table, index: index + 1 }));
+
+        const sections = PdfExtractor.detectSections(pages);
+
+        return {
+            text: pages.map(page => page.lines.map(PdfExtractor.plainLine).join('\n')).join('\n\n').trim(),
+            pages: pages.map(page => ({ number: page.number, text: page.lines.map(PdfExtractor.plainLine).join(' ') })),
+            sections: sections,
+            markdown: PdfExtractor.toMarkdown(sections),
+            tables: tables,
+            numPages: data.numpages,
+            info: data.info
+        };
+    }
+
+    /**
+     * Split the document at headings and numbered clauses, remembering the page each starts on
+     */
+    static detectSections(pages) {
+        const sections = [];
+        let current = null;
+        let lastClause = null;
+
+        const open = (heading, clause, page) => {
+            current = { heading, clause, page, end_page: page, lines: [] };
+            sections.push(current);
+        };
+
+        pages.forEach(page => {
+            page.lines.forEach(rawLine => {
+                const line = PdfExtractor.plainLine(rawLine);
+                // Table rows and table-of-contents entries are text, not structure
+                const structural = !rawLine.includes('\t') && !TOC_ENTRY.test(line);
+                const clause = structural ? PdfExtractor.matchClause(line, lastClause) : null;
+
+                if (clause) {
+                    lastClause = clause.number;
+                    const isTitle = clause.rest.length <= 80 && !/[.;,]$/.test(clause.rest);
+                    open(isTitle ? clause.rest : null, clause.number, page.number);
+                    if (!isTitle) current.lines.push(clause.rest);
+                } else if (structural && PdfExtractor.isHeading(rawLine)) {
+                    // Headings wrapped over two lines stay one heading
+                    if (current && current.lines.length === 0 && current.heading && !current.clause &&
+                        current.heading.length + line.length <= 120) {
+                        current.heading += ` ${line}`;
+                    } else if (current && current.lines.length === 0 && current.clause && !current.heading) {
+                        current.heading = line;
+                    } else {
+                        open(line, null, page.number);
+                    }
+                } else {
+                    if (!current) open(null, null, page.number);
+                    current.lines.push(line);
+                    current.end_page = page.number;
+                }
+            });
+        });
+
+        return sections
+            .filter(section => section.lines.length > 0 || section.clause)
+            .map((section, index) => ({
+                index: index + 1,
+                heading: section.heading,
+                clause: section.clause,
+                page: section.page,
+                end_page: Math.max(section.page, section.end_page),
+                citation: PdfExtractor.citation(section),
+                text: section.lines.join(' ')
+            }));
+    }
+
+    /**
+     * "4.2 Late payment charges" -> { number: '4.2', rest }, only when the number follows
+     * on from the previous clause so amounts and counts at the start of a line are ignored
+     */
+    static matchClause(line, previous) {
+        const match = line.match(CLAUSE_LINE);
+        if (!match) return null;
+
+        // "2 lounge visits per quarter" is a count, "2. Rewards" and "2 Rewards" are clauses
+        const [, number, delimiter, rest] = match;
+        if (!delimiter && !number.includes('.') && !/^[A-Z(]/.test(rest)) return null;
+
+        // Annexures often restart at "1." with a capitalised title
+        const restart = delimiter && /^[A-Z]/.test(rest) && PdfExtractor.isNextClause(number, null);
+        if (!restart && !PdfExtractor.isNextClause(number, previous)) return null;
+        return { number, rest: rest.trim() };
+    }
+
+    static isNextClause(number, previous) {
+        const parts = number.split('.').map(Number);
+        if (!previous) {
+            return parts.every(part => part <= 1);
+        }
+
+        const prev = previous.split('.').map(Number);
+
+        // First child: 4.2 -> 4.2.1
+        if (parts.length === prev.length + 1 &&
+            prev.every((part, i) => parts[i] === part) && parts[parts.length - 1] === 1) {
+            return true;
+        }
+
+        // Sibling or ancestor's sibling, optionally opening its first child: 4.2 -> 4.3, 5, 5.1
+        for (let level = 0; level < Math.min(parts.length, prev.length); level++) {
+            const samePrefix = parts.slice(0, level).every((part, i) => part === prev[i]);
+            const step = parts[level] - prev[level];
+            if (samePrefix && (step === 1 || step === 2) && parts.slice(level + 1).every(part => part === 1)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    static isHeading(rawLine) {
+        if (rawLine.includes('\t')) return false;
+
+        const line = rawLine.trim();
+        const words = line.split(/\s+/);
+        if (line.length < 3 || line.length > 80 || words.length > 10) return false;
+        if (/[.;,]$/.test(line)) return false;
+
+        const letters = line.replace(/[^A-Za-z]/g, '');
+        if (letters.length < 3) return false;
+
+        if (HEADING_KEYWORD.test(line)) return true;
+        if (letters.replace(/[^A-Z]/g, '').length / letters.length >= 0.8) return true;
+
+        // Title Case: every significant word capitalised
+        const significant = words.filter(word => /^[A-Za-z]/.test(word) && word.length > 3);
+        return words.length >= 2 && significant.length >= 2 && significant.every(word => /^[A-Z]/.test(word));
+    }
+
+    static plainLine(line) {
+        return line.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Human-readable reference such as "page 3, clause 4.2"
+     */
+    static citation(section) {
+        const pages = section.end_page > section.page ? `pages ${section.page}-${section.end_page}` : `page ${section.page}`;
+        if (section.clause) return `${pages}, clause ${section.clause}`;
+        if (section.heading) return `${pages}, "${section.heading}"`;
+        return pages;
+    }
+
+    /**
+     * Sections as Markdown, each heading labelled with its citation for the prompt
+     */
+    static toMarkdown(sections) {
+        return sections.map(section => {
+            const title = [section.clause, section.heading].filter(Boolean).join(' ') || 'Text';
+            return `## ${title} [${section.citation}]\n\n${section.text}`.trim();
+        }).join('\n\n');
+    }
+
+    /**
+     * Section outline without the text, for result metadata
+     */
+    static outline(sections) {
+        return (sections || []).map(({ index, heading, clause, page, end_page, citation }) =>
+            ({ index, heading, clause, page, end_page, citation }));
+    }
+}
+
+module.exports = PdfExtractor;
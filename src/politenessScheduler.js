@@ -0,0 +1,199 @@
+const config = require('../config/config');
+const RobotsTxt = require('./robotsTxt');
+const HttpCache = require('./httpCache');
+const Utils = require('./utils');
+
+let sharedScheduler = null;
+
+class PolitenessScheduler {
+    constructor(options = {}) {
+        const { httpCache, ...overrides } = options;
+        const politeness = { ...config.politeness, ...overrides };
+
+        this.respectRobotsTxt = politeness.respectRobotsTxt;
+        this.userAgentToken = politeness.userAgentToken;
+        this.maxConcurrentPerHost = politeness.maxConcurrentPerHost;
+        this.delayPerHost = politeness.delayPerHost;
+        this.maxCrawlDelay = politeness.maxCrawlDelay;
+        this.robotsRetryAfter = politeness.robotsRetryAfter;
+        this.httpCache = httpCache || HttpCache.shared();
+
+        this.hosts = new Map();
+    }
+
+    /**
+     * Process-wide scheduler so every crawler shares per-host state
+     */
+    static shared() {
+        if (!sharedScheduler) {
+            sharedScheduler = new PolitenessScheduler();
+        }
+        return sharedScheduler;
+    }
+
+    /**
+     * Run a fetch task for a URL once robots.txt allows it and the host has a free slot.
+     * Tasks for different hosts never wait on each other.
+     */
+    async schedule(url, task) {
+        const host = this.hostState(url);
+        if (!host) {
+            return await task();
+        }
+
+        const verdict = await this.checkRobots(url);
+        if (!verdict.allowed) {
+            throw PolitenessScheduler.blockedError(url, verdict.rule);
+        }
+
+        await this.acquire(host);
+        try {
+            return await task();
+        } finally {
+            this.release(host);
+        }
+    }
+
+    /**
+     * Check a URL against its host's robots.txt
+     */
+    async checkRobots(url) {
+        if (!this.respectRobotsTxt) {
+            return { allowed: true, rule: null };
+        }
+
+        const host = this.hostState(url);
+        if (!host) {
+            return { allowed: true, rule: null };
+        }
+
+        const robots = await this.loadRobots(host);
+        if (robots.unavailable) {
+            return { allowed: false, rule: 'robots.txt unavailable' };
+        }
+        const urlObj = new URL(url);
+        return robots.check(urlObj.pathname + urlObj.search, this.userAgentToken);
+    }
+
+    /**
+     * Fetch and parse robots.txt once per origin. An unreachable robots.txt blocks the host
+     * only until robotsRetryAfter has passed, then it is fetched again.
+     */
+    loadRobots(host) {
+        if (!host.robots || (host.robotsExpires && Date.now() >= host.robotsExpires)) {
+            host.robotsExpires = null;
+            host.robots = this.fetchRobots(host.origin).then(robots => {
+                if (robots.unavailable) {
+                    host.robotsExpires = Date.now() + this.robotsRetryAfter;
+                    return robots;
+                }
+                const crawlDelay = robots.crawlDelay(this.userAgentToken);
+                if (crawlDelay !== null) {
+                    host.delay = Math.min(Math.max(this.delayPerHost, crawlDelay * 1000), this.maxCrawlDelay);
+                    console.log(`🤖 ${host.origin} asks for Crawl-delay ${crawlDelay}s, using ${host.delay}ms`);
+                }
+                return robots;
+            });
+        }
+        return host.robots;
+    }
+
+    /**
+     * RFC 9309: a 4xx robots.txt places no restrictions, a 5xx or unreachable one
+     * means the whole site is disallowed
+     */
+    async fetchRobots(origin) {
+        const robotsUrl = `${origin}/robots.txt`;
+        try {
+            const response = await this.httpCache.fetch(robotsUrl, {
+                responseType: 'text',
+                timeout: 15000,
+                maxRedirects: 5,
+                headers: { 'User-Agent': config.crawler.userAgent },
+                validateStatus: status => status >= 200 && status < 500
+            });
+
+            if (response.status >= 400) {
+                console.log(`🤖 No robots.txt at ${origin} (HTTP ${response.status}), crawling unrestricted`);
+                return RobotsTxt.allowAll();
+            }
+
+            console.log(`🤖 Loaded robots.txt for ${origin}`);
+            return RobotsTxt.parse(String(response.data));
+        } catch (error) {
+            // Offline replay only serves pages fetched while robots.txt was checked
+            if (error.code === 'ECACHEMISS') {
+                return RobotsTxt.allowAll();
+            }
+            console.log(`⚠️ Could not read robots.txt for ${origin}: ${error.message}; ` +
+                `treating the site as disallowed for ${Math.round(this.robotsRetryAfter / 1000)}s`);
+            return RobotsTxt.disallowAll();
+        }
+    }
+
+    /**
+     * Sitemap URLs advertised by a site's robots.txt
+     */
+    async getSitemaps(url) {
+        const host = this.hostState(url);
+        if (!host) return [];
+        const robots = await this.loadRobots(host);
+        return robots.sitemaps;
+    }
+
+    hostState(url) {
+        let urlObj;
+        try {
+            urlObj = new URL(url);
+        } catch (e) {
+            return null;
+        }
+        if (!/^https?:$/.test(urlObj.protocol)) return null;
+
+        const origin = urlObj.origin;
+        if (!this.hosts.has(origin)) {
+            this.hosts.set(origin, {
+                origin: origin,
+                active: 0,
+                nextStart: 0,
+                delay: this.delayPerHost,
+                waiters: [],
+                robots: null
+            });
+        }
+        return this.hosts.get(origin);
+    }
+
+    /**
+     * Wait for a concurrency slot on the host, spacing request starts by the host delay
+     */
+    async acquire(host) {
+        for (;;) {
+            if (host.active < this.maxConcurrentPerHost) {
+                const wait = host.nextStart - Date.now();
+                if (wait <= 0) {
+                    host.active++;
+                    host.nextStart = Date.now() + host.delay;
+                    return;
+                }
+                await Utils.sleep(wait);
+            } else {
+                await new Promise(resolve => host.waiters.push(resolve));
+            }
+        }
+    }
+
+    release(host) {
+        host.active--;
+        const next = host.waiters.shift();
+        if (next) next();
+    }
+
+    static blockedError(url, rule) {
+        const error = new Error(`Blocked by robots.txt (${rule}): ${url}`);
+        error.code = 'EROBOTS';
+        return error;
+    }
+}
+
+module.exports = PolitenessScheduler;
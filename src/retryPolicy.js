@@ -0,0 +1,239 @@
+const config = require('../config/config');
+const Utils = require('./utils');
+
+let sharedPolicy = null;
+
+const DNS_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ENODATA'];
+const TLS_CODES = /^(CERT_|ERR_TLS_|ERR_SSL_|UNABLE_TO_|DEPTH_ZERO_SELF_SIGNED_CERT|SELF_SIGNED_CERT_IN_CHAIN|EPROTO$|HOSTNAME_MISMATCH)/;
+const CONNECTION_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ENETDOWN'];
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT', 'ERR_CANCELED'];
+
+// Interstitials served instead of the page by WAFs and bot managers
+const BOT_BLOCK_PATTERNS = [
+    /access denied/i, /attention required/i, /request unsuccessful\. incapsula/i,
+    /verify you are (a )?human/i, /are you a robot/i, /captcha/i, /unusual traffic/i,
+    /pardon our interruption/i, /just a moment\.\.\./i, /bot (protection|detection)/i,
+    /the requested url was rejected/i, /reference #\d+\.[0-9a-f]+/i
+];
+
+/**
+ * Error classes. Only the retryable ones are retried; host-level ones count towards the circuit breaker.
+ */
+const ERROR_CLASSES = {
+    dns:          { retryable: false, hostLevel: true },
+    tls:          { retryable: false, hostLevel: true },
+    timeout:      { retryable: true,  hostLevel: true },
+    connection:   { retryable: true,  hostLevel: true },
+    http_4xx:     { retryable: false, hostLevel: false },
+    rate_limited: { retryable: true,  hostLevel: true },
+    http_5xx:     { retryable: true,  hostLevel: true },
+    bot_block:    { retryable: false, hostLevel: true },
+    parse:        { retryable: false, hostLevel: false },
+    unsupported:  { retryable: false, hostLevel: false },
+    browser:      { retryable: true,  hostLevel: false },
+    robots:       { retryable: false, hostLevel: false },
+    cache_miss:   { retryable: false, hostLevel: false },
+    circuit_open: { retryable: false, hostLevel: false },
+    unknown:      { retryable: true,  hostLevel: false }
+};
+
+class RetryPolicy {
+    constructor(options = {}) {
+        this.config = { ...config.retry, ...options };
+        this.hosts = new Map();
+    }
+
+    /**
+     * Process-wide policy so every crawler shares circuit breaker state
+     */
+    static shared() {
+        if (!sharedPolicy) {
+            sharedPolicy = new RetryPolicy();
+        }
+        return sharedPolicy;
+    }
+
+    /**
+     * Run a task for a URL, retrying retryable failures with exponential backoff and jitter.
+     * Rejects straight away while the host's circuit is open. Errors leave with `errorClass` set.
+     */
+    async run(url, task, { label = 'Request' } = {}) {
+        const host = RetryPolicy.hostOf(url);
+        const maxAttempts = Math.max(1, this.config.maxAttempts);
+
+        for (let attempt = 1; ; attempt++) {
+            this.checkCircuit(host, url);
+
+            try {
+                const result = await task(attempt);
+                this.recordSuccess(host);
+                return result;
+            } catch (error) {
+                const { errorClass, retryable } = RetryPolicy.classify(error);
+                error.errorClass = errorClass;
+                this.recordFailure(host, errorClass);
+
+                if (!retryable || attempt >= maxAttempts) {
+                    console.error(`❌ ${label} failed for ${url} [${errorClass}] after ${attempt} attempt(s): ${error.message}`);
+                    throw error;
+                }
+
+                const delay = this.backoffDelay(attempt);
+                console.log(`🔄 ${label} attempt ${attempt}/${maxAttempts} failed [${errorClass}], retrying in ${(delay / 1000).toFixed(1)}s...`);
+                await Utils.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Exponential backoff capped at maxDelay, with jitter so parallel retries spread out
+     */
+    backoffDelay(attempt) {
+        const exponential = Math.min(this.config.maxDelay, this.config.baseDelay * 2 ** (attempt - 1));
+        const jitter = exponential * this.config.jitter * Math.random();
+        return Math.round(exponential - jitter);
+    }
+
+    /**
+     * Sort an error into one of ERROR_CLASSES
+     */
+    static classify(error) {
+        const errorClass = RetryPolicy.errorClassOf(error || {});
+        return { errorClass, ...ERROR_CLASSES[errorClass] };
+    }
+
+    static errorClassOf(error) {
+        if (error.errorClass && ERROR_CLASSES[error.errorClass]) return error.errorClass;
+
+        const code = String(error.code || error.cause?.code || '');
+        const message = String(error.message || '');
+
+        if (code === 'EROBOTS') return 'robots';
+        if (code === 'ECACHEMISS') return 'cache_miss';
+        if (code === 'ECIRCUITOPEN') return 'circuit_open';
+        if (code === 'EBOTBLOCK') return 'bot_block';
+        if (code === 'EPARSE') return 'parse';
+
+        if (DNS_CODES.includes(code) || /ERR_NAME_NOT_RESOLVED|getaddrinfo/i.test(message)) return 'dns';
+        if (TLS_CODES.test(code) || /ERR_CERT_|ERR_SSL_|certificate|SSL routines/i.test(message)) return 'tls';
+        if (TIMEOUT_CODES.includes(code) || error.name === 'TimeoutError' || /timeout|timed out/i.test(message)) return 'timeout';
+        if (CONNECTION_CODES.includes(code) || /socket hang up|ERR_CONNECTION_|ERR_EMPTY_RESPONSE/i.test(message)) return 'connection';
+
+        const status = RetryPolicy.statusOf(error);
+        if (status === 429) return 'rate_limited';
+        if (status >= 500) return 'http_5xx';
+        if (status >= 400) return 'http_4xx';
+
+        if (/Target closed|Session closed|Protocol error|browser has disconnected|Navigating frame was detached/i.test(message)) {
+            return 'browser';
+        }
+        if (error instanceof SyntaxError ||
+            /InvalidPDF|FormatError|bad XRef|Invalid PDF|not a PDF|Unexpected token|JSON/i.test(`${error.name} ${message}`)) {
+            return 'parse';
+        }
+        return 'unknown';
+    }
+
+    static statusOf(error) {
+        const status = error.status || error.response?.status;
+        if (status) return Number(status);
+        const match = String(error.message || '').match(/\b(?:HTTP|status code)\s*(\d{3})\b/i);
+        return match ? Number(match[1]) : null;
+    }
+
+    /**
+     * True when a fetched page is a WAF / bot-manager interstitial rather than content
+     */
+    static isBotBlockPage(title, text) {
+        const sample = `${title || ''} ${(text || '').substring(0, 2000)}`;
+        // Real card pages are long; block pages are short and say little else
+        return (text || '').length < 3000 && BOT_BLOCK_PATTERNS.some(pattern => pattern.test(sample));
+    }
+
+    static botBlockError(url, detail) {
+        const error = new Error(`Bot protection page served for ${url}${detail ? ` (${detail})` : ''}`);
+        error.code = 'EBOTBLOCK';
+        return error;
+    }
+
+    static httpError(status, statusText) {
+        const error = new Error(`HTTP ${status}: ${statusText || ''}`.trim());
+        error.status = status;
+        return error;
+    }
+
+    static hostOf(url) {
+        try {
+            return new URL(url).host;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Circuit breaker: after failureThreshold consecutive host-level failures the host is
+     * skipped for cooldown ms, then a single trial request decides whether it closes again.
+     */
+    checkCircuit(host, url) {
+        const state = host && this.hosts.get(host);
+        if (!state || state.openedAt === null) return;
+
+        // While cooling down, or while the single trial request is still out
+        if (Date.now() - state.openedAt < this.config.circuitCooldown || state.halfOpen) {
+            const error = new Error(`Circuit open for ${host} after ${state.failures} consecutive failures (last: ${state.lastErrorClass}), skipping ${url}`);
+            error.code = 'ECIRCUITOPEN';
+            error.errorClass = 'circuit_open';
+            throw error;
+        }
+
+        console.log(`🔌 Circuit half-open for ${host}, sending a trial request`);
+        state.halfOpen = true;
+    }
+
+    recordSuccess(host) {
+        const state = host && this.hosts.get(host);
+        if (!state) return;
+        if (state.openedAt !== null) {
+            console.log(`🔌 Circuit closed for ${host}`);
+        }
+        this.hosts.delete(host);
+    }
+
+    recordFailure(host, errorClass) {
+        if (!host) return;
+
+        if (!ERROR_CLASSES[errorClass].hostLevel) {
+            // A 4xx, an unparseable body or a document type we cannot read still means the host is up
+            if (errorClass === 'http_4xx' || errorClass === 'parse' || errorClass === 'unsupported') {
+                this.recordSuccess(host);
+            } else if (this.hosts.get(host)?.halfOpen) {
+                this.hosts.get(host).halfOpen = false;
+            }
+            return;
+        }
+
+        const state = this.hosts.get(host) || { failures: 0, openedAt: null, halfOpen: false, lastErrorClass: null };
+        state.failures++;
+        state.lastErrorClass = errorClass;
+
+        if (state.halfOpen || (state.openedAt === null && state.failures >= this.config.circuitFailureThreshold)) {
+            console.log(`🔌 Circuit opened for ${host}: ${state.failures} consecutive failures (${errorClass})`);
+            state.openedAt = Date.now();
+            state.halfOpen = false;
+        }
+        this.hosts.set(host, state);
+    }
+
+    /**
+     * Breaker state per host, for diagnostics
+     */
+    getStats() {
+        return Object.fromEntries([...this.hosts.entries()].map(([host, state]) => [host, {
+            failures: state.failures,
+            open: state.openedAt !== null && Date.now() - state.openedAt < this.config.circuitCooldown,
+            last_error_class: state.lastErrorClass
+        }]));
+    }
+}
+
+module.exports = RetryPolicy;
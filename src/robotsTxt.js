@@ -0,0 +1,146 @@
+/**
+ * Minimal robots.txt parser following RFC 9309: user-agent groups,
+ * Allow/Disallow with * and $ wildcards (longest match wins, Allow wins ties),
+ * plus the non-standard Crawl-delay and Sitemap lines.
+ */
+class RobotsTxt {
+    constructor(groups = [], sitemaps = []) {
+        this.groups = groups;
+        this.sitemaps = sitemaps;
+    }
+
+    /**
+     * Parse robots.txt text
+     */
+    static parse(text) {
+        const groups = [];
+        const sitemaps = [];
+        let current = null;
+        let lastWasAgent = false;
+
+        (text || '').split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+
+            const field = line.substring(0, separator).trim().toLowerCase();
+            const value = line.substring(separator + 1).trim();
+
+            if (field === 'sitemap') {
+                if (value) sitemaps.push(value);
+                return;
+            }
+
+            if (field === 'user-agent') {
+                // Consecutive user-agent lines share one group
+                if (!current || !lastWasAgent) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                return;
+            }
+
+            lastWasAgent = false;
+            if (!current) return;
+
+            if (field === 'allow' || field === 'disallow') {
+                // An empty Disallow means "allow everything" and adds no rule
+                if (value) {
+                    current.rules.push({ allow: field === 'allow', path: value, pattern: RobotsTxt.toRegex(value) });
+                }
+            } else if (field === 'crawl-delay') {
+                const delay = parseFloat(value);
+                if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+            }
+        });
+
+        return new RobotsTxt(groups, sitemaps);
+    }
+
+    /**
+     * Robots.txt that allows everything (missing or unreadable file)
+     */
+    static allowAll() {
+        return new RobotsTxt();
+    }
+
+    /**
+     * Robots.txt that disallows everything (robots.txt unreachable or failing with 5xx)
+     */
+    static disallowAll() {
+        const robots = RobotsTxt.parse('User-agent: *\nDisallow: /');
+        robots.unavailable = true;
+        return robots;
+    }
+
+    static toRegex(path) {
+        const endAnchored = path.endsWith('$');
+        const body = (endAnchored ? path.slice(0, -1) : path)
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${body}${endAnchored ? '$' : ''}`);
+    }
+
+    /**
+     * Pick the group for our user agent, falling back to "*"
+     */
+    groupFor(userAgent) {
+        const agent = (userAgent || '').toLowerCase();
+        const specific = this.groups.filter(group =>
+            group.agents.some(name => name !== '*' && agent.includes(name))
+        );
+        if (specific.length) return RobotsTxt.mergeGroups(specific);
+
+        const wildcard = this.groups.filter(group => group.agents.includes('*'));
+        return wildcard.length ? RobotsTxt.mergeGroups(wildcard) : null;
+    }
+
+    static mergeGroups(groups) {
+        return {
+            rules: groups.flatMap(group => group.rules),
+            crawlDelay: groups.map(group => group.crawlDelay).find(delay => delay !== null) ?? null
+        };
+    }
+
+    /**
+     * Check a URL path (with query) against the rules.
+     * Returns { allowed, rule } where rule is the deciding line, if any.
+     */
+    check(pathWithQuery, userAgent) {
+        const group = this.groupFor(userAgent);
+        if (!group) return { allowed: true, rule: null };
+
+        let path = pathWithQuery || '/';
+        try {
+            path = decodeURI(path);
+        } catch (e) {
+            // Keep the raw path if it is not valid percent-encoding
+        }
+
+        let best = null;
+        for (const rule of group.rules) {
+            if (!rule.pattern.test(path)) continue;
+            if (!best ||
+                rule.path.length > best.path.length ||
+                (rule.path.length === best.path.length && rule.allow && !best.allow)) {
+                best = rule;
+            }
+        }
+
+        // robots.txt itself is always allowed
+        if (!best || path === '/robots.txt') return { allowed: true, rule: null };
+        return { allowed: best.allow, rule: `${best.allow ? 'Allow' : 'Disallow'}: ${best.path}` };
+    }
+
+    /**
+     * Crawl-delay for our user agent, in seconds (null if unset)
+     */
+    crawlDelay(userAgent) {
+        return this.groupFor(userAgent)?.crawlDelay ?? null;
+    }
+}
+
+module.exports = RobotsTxt;
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMAS_DIR = path.join(__dirname, 'schemas');
+
+/**
+ * Validates data against a JSON Schema (draft 2020-12), supporting the keywords the output
+ * schemas in src/schemas use: type, properties, required, additionalProperties, items, enum,
+ * const, pattern, minItems, anyOf and local $ref into $defs.
+ *
+ * validate() returns a list of violations { path, message }, empty when the data is valid;
+ * path is a JSON Pointer such as /structured_format/Metadata/SK.
+ */
+class SchemaValidator {
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    /**
+     * Validator for a schema file in src/schemas, e.g. 'standard_format'
+     */
+    static load(name) {
+        return new SchemaValidator(JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `${name}.schema.json`), 'utf8')));
+    }
+
+    /**
+     * Validator for a whole AI response: { standard_format, structured_format }
+     */
+    static forAIResponse() {
+        const standard = SchemaValidator.load('standard_format').schema;
+        const structured = SchemaValidator.load('structured_format').schema;
+        return new SchemaValidator({
+            type: 'object',
+            required: ['standard_format', 'structured_format'],
+            properties: {
+                standard_format: { $ref: '#/$defs/standard_format' },
+                structured_format: { $ref: '#/$defs/structured_format' }
+            },
+            $defs: {
+                ...standard.$defs,
+                ...structured.$defs,
+                standard_format: standard,
+                structured_format: structured
+            }
+        });
+    }
+
+    validate(data) {
+        const errors = [];
+        this.check(this.schema, data, '', errors);
+        return errors;
+    }
+
+    check(schema, value, pointer, errors) {
+        if (schema === true || schema === undefined) return;
+        const at = pointer || '/';
+
+        if (schema === false) {
+            errors.push({ path: at, message: 'is not allowed' });
+            return;
+        }
+
+        if (schema.$ref) {
+            this.check(this.resolve(schema.$ref), value, pointer, errors);
+            return;
+        }
+
+        if (schema.anyOf) {
+            const matches = schema.anyOf.some(option => {
+                const optionErrors = [];
+                this.check(option, value, pointer, optionErrors);
+                return optionErrors.length === 0;
+            });
+            if (!matches) {
+                errors.push({ path: at, message: `must be ${schema.anyOf.map(SchemaValidator.describe).join(', or ')}, got ${SchemaValidator.typeOf(value)}` });
+            }
+            return;
+        }
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => SchemaValidator.isType(value, type))) {
+                errors.push({ path: at, message: `must be ${types.join(' or ')}, got ${SchemaValidator.typeOf(value)}` });
+                return;
+            }
+        }
+
+        if (schema.const !== undefined && value !== schema.const) {
+            errors.push({ path: at, message: `must be ${JSON.stringify(schema.const)}` });
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path: at, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+        }
+        if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: at, message: `must match ${schema.pattern}` });
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.check(schema.items, item, `${pointer}/${index}`, errors));
+            }
+        } else if (value && typeof value === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) errors.push({ path: at, message: `is missing required property "${key}"` });
+            });
+            Object.entries(value).forEach(([key, child]) => {
+                const childPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+                if (schema.properties && key in schema.properties) {
+                    this.check(schema.properties[key], child, childPointer, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: childPointer, message: 'is not an allowed property' });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    this.check(schema.additionalProperties, child, childPointer, errors);
+                }
+            });
+        }
+    }
+
+    resolve(ref) {
+        const match = /^#\/\$defs\/(.+)$/.exec(ref);
+        const target = match && this.schema.$defs?.[match[1]];
+        if (!target) throw new Error(`Unresolvable schema reference ${ref}`);
+        return target;
+    }
+
+    static isType(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === type;
+        }
+    }
+
+    /**
+     * Short description of a schema for messages, e.g. "string or null" or "array of string"
+     */
+    static describe(schema) {
+        if (!schema.type) return 'the allowed form';
+        const types = [].concat(schema.type).join(' or ');
+        return schema.items?.type ? `${types} of ${[].concat(schema.items.type).join(' or ')}` : types;
+    }
+
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+}
+
+module.exports = SchemaValidator;
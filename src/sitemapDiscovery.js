@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const config = require('../config/config');
+const HttpCache = require('./httpCache');
+const PolitenessScheduler = require('./politenessScheduler');
+const SiteAdapters = require('./adapters');
+
+/**
+ * Finds credit-card product pages of an issuer domain through its sitemaps: the ones robots.txt
+ * advertises (or the usual /sitemap.xml paths), following sitemap indexes and gzipped files.
+ *
+ * Seeds are { url, lastmod, sitemap }. Comparing lastmod with a date or with a previous seed list
+ * marks each seed new, modified, unchanged or unknown, so recrawls can skip unchanged pages.
+ */
+class SitemapDiscovery {
+    constructor(options = {}) {
+        const { httpCache, scheduler, ...overrides } = options;
+        this.config = { ...config.sitemapDiscovery, ...overrides };
+        this.httpCache = httpCache || HttpCache.shared();
+        this.scheduler = scheduler || PolitenessScheduler.shared();
+    }
+
+    /**
+     * Discover card pages for a domain or any URL on it.
+     * options.since (date) or options.previousSeeds ([seed]) enable change detection;
+     * options.changedOnly then drops unchanged seeds.
+     */
+    async discover(domainOrUrl, { since = null, previousSeeds = null, changedOnly = false } = {}) {
+        const origin = SitemapDiscovery.originOf(domainOrUrl);
+        const adapter = SiteAdapters.forUrl(origin);
+        console.log(`🗺️ Discovering card pages for ${origin} (${adapter.name} rules)`);
+
+        const advertised = await this.scheduler.getSitemaps(origin);
+        const roots = advertised.length > 0
+            ? advertised
+            : this.config.fallbackPaths.map(sitemapPath => new URL(sitemapPath, origin).href);
+        console.log(`🗺️ ${advertised.length > 0 ? `robots.txt lists ${advertised.length}` : 'No sitemaps in robots.txt, trying'} sitemap(s): ${roots.join(', ')}`);
+
+        const { entries, sitemaps } = await this.collect(roots);
+
+        const seeds = [];
+        const seen = new Set();
+        let rejected = 0;
+        let disallowed = 0;
+        for (const entry of entries) {
+            if (seen.has(entry.url)) continue;
+            seen.add(entry.url);
+            if (!SitemapDiscovery.isWellFormed(entry.url) || !this.isCardPage(entry.url, origin)) {
+                rejected++;
+            } else if (!(await this.scheduler.checkRobots(entry.url)).allowed) {
+                // Sitemaps sometimes list pages robots.txt forbids; the crawl would refuse them anyway
+                disallowed++;
+            } else {
+                seeds.push(entry);
+            }
+        }
+
+        const compared = SitemapDiscovery.markChanges(seeds, { since, previousSeeds });
+        const kept = changedOnly ? compared.filter(seed => seed.change !== 'unchanged') : compared;
+        kept.sort((a, b) => (b.lastmod || '').localeCompare(a.lastmod || '') || a.url.localeCompare(b.url));
+
+        console.log(`✅ ${seeds.length} card pages among ${entries.length} sitemap URLs${changedOnly ? `, ${kept.length} changed` : ''}`);
+
+        return {
+            domain: origin,
+            site_adapter: adapter.id,
+            discovered_at: new Date().toISOString(),
+            since: since ? new Date(since).toISOString() : null,
+            changed_only: changedOnly,
+            sitemaps: sitemaps,
+            total_urls: entries.length,
+            rejected_urls: rejected,
+            disallowed_by_robots: disallowed,
+            card_pages: seeds.length,
+            change_summary: SitemapDiscovery.countChanges(compared),
+            seeds: kept
+        };
+    }
+
+    /**
+     * Write a discovery result to json_results/ and return the file path
+     */
+    save(result, outputDir = path.join(process.cwd(), 'json_results')) {
+        fs.mkdirSync(outputDir, { recursive: true });
+        const ts = new Date().toISOString().replace(/[:.]/g, '-');
+        const hostSlug = new URL(result.domain).hostname.replace(/\./g, '_');
+        const outPath = path.join(outputDir, `${hostSlug}_sitemap_seeds_${ts}.json`);
+        fs.writeFileSync(outPath, JSON.stringify(result, null, 2));
+        console.log(`💾 Seed list saved → ${path.relative(process.cwd(), outPath)}`);
+        return outPath;
+    }
+
+    /**
+     * Walk sitemaps breadth-first, expanding indexes, up to maxSitemaps files and maxUrls entries
+     */
+    async collect(roots) {
+        const queue = [...roots];
+        const visited = new Set();
+        const sitemaps = [];
+        const entries = [];
+
+        while (queue.length > 0 && visited.size < this.config.maxSitemaps && entries.length < this.config.maxUrls) {
+            const sitemapUrl = queue.shift();
+            if (visited.has(sitemapUrl)) continue;
+            visited.add(sitemapUrl);
+
+            try {
+                const parsed = SitemapDiscovery.parse(await this.fetchSitemap(sitemapUrl));
+                queue.push(...parsed.sitemaps.map(child => child.url));
+                parsed.urls.slice(0, this.config.maxUrls - entries.length)
+                    .forEach(entry => entries.push({ ...entry, sitemap: sitemapUrl }));
+                sitemaps.push({
+                    url: sitemapUrl,
+                    type: parsed.type,
+                    ...(parsed.type === 'index' ? { children: parsed.sitemaps.length } : { urls: parsed.urls.length })
+                });
+            } catch (error) {
+                console.log(`⚠️ Could not read sitemap ${sitemapUrl}: ${error.message}`);
+                sitemaps.push({ url: sitemapUrl, type: null, error: error.message });
+            }
+        }
+
+        if (queue.length > 0) {
+            console.log(`⚠️ Sitemap limit reached, ${queue.length} sitemap(s) not read`);
+        }
+        return { entries, sitemaps };
+    }
+
+    /**
+     * Fetch a sitemap through the scheduler and return its XML, gunzipping .gz files
+     */
+    async fetchSitemap(sitemapUrl) {
+        console.log(`🗺️ Reading sitemap: ${sitemapUrl}`);
+        const response = await this.scheduler.schedule(sitemapUrl, () => this.httpCache.fetch(sitemapUrl, {
+            responseType: 'arraybuffer',
+            timeout: this.config.timeout,
+            maxRedirects: config.crawler.maxRedirects,
+            headers: {
+                'User-Agent': config.crawler.userAgent,
+                'Accept': 'application/xml,text/xml,application/x-gzip,*/*;q=0.8'
+            }
+        }));
+
+        const body = Buffer.from(response.data);
+        // Magic bytes, not the extension: servers often gunzip on the fly or gzip without saying so
+        return body[0] === 0x1f && body[1] === 0x8b ? zlib.gunzipSync(body).toString('utf8') : body.toString('utf8');
+    }
+
+    /**
+     * Parse a sitemap or sitemap index; plain-text sitemaps (one URL per line) are accepted too
+     */
+    static parse(text) {
+        if (!/<(urlset|sitemapindex)\b/i.test(text)) {
+            const urls = text.split(/\r?\n/).map(line => line.trim()).filter(line => /^https?:\/\//i.test(line));
+            if (urls.length === 0) {
+                const error = new Error('Not a sitemap');
+                error.code = 'EPARSE';
+                throw error;
+            }
+            return { type: 'text', sitemaps: [], urls: urls.map(url => ({ url, lastmod: null })) };
+        }
+
+        const $ = cheerio.load(text, { xmlMode: true });
+        const read = selector => $(selector).map((i, element) => ({
+            url: $(element).children('loc').first().text().trim(),
+            lastmod: SitemapDiscovery.normalizeDate($(element).children('lastmod').first().text())
+        })).get().filter(entry => entry.url);
+
+        const sitemaps = read('sitemapindex > sitemap');
+        return {
+            type: sitemaps.length > 0 ? 'index' : 'urlset',
+            sitemaps: sitemaps,
+            urls: read('urlset > url')
+        };
+    }
+
+    /**
+     * Absolute http(s) URL. Sitemaps must escape whitespace, so a space in a <loc> or text line
+     * means a broken entry rather than a page to crawl.
+     */
+    static isWellFormed(url) {
+        if (/\s/.test(url)) return false;
+        try {
+            return /^https?:$/.test(new URL(url).protocol);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Likely credit-card product page on the issuer's domain. The issuer's card and listing
+     * patterns decide first; config cardUrlPatterns cover issuers without any.
+     */
+    isCardPage(url, origin) {
+        const adapter = SiteAdapters.forUrl(url);
+        const sameSite = adapter.id !== 'generic'
+            ? adapter.isIssuerDomain(url)
+            : SitemapDiscovery.originOf(url) === origin;
+        if (!sameSite) return false;
+
+        if ([...this.config.excludePatterns, ...adapter.irrelevantPatterns].some(pattern => pattern.test(url))) {
+            return false;
+        }
+
+        // The generic listing patterns match every card URL, so only an issuer's own verdict counts
+        const verdict = adapter.id !== 'generic' ? adapter.detectListingPage(url) : null;
+        if (verdict !== null) return verdict === false;
+        return this.config.cardUrlPatterns.some(pattern => pattern.test(new URL(url).pathname));
+    }
+
+    /**
+     * Tag each seed with its change since a date or a previous seed list
+     */
+    static markChanges(seeds, { since = null, previousSeeds = null } = {}) {
+        if (previousSeeds) {
+            const previous = new Map(previousSeeds.map(seed => [seed.url, seed.lastmod || null]));
+            return seeds.map(seed => {
+                if (!previous.has(seed.url)) return { ...seed, change: 'new' };
+                const before = previous.get(seed.url);
+                if (!seed.lastmod || !before) return { ...seed, change: 'unknown' };
+                return { ...seed, change: new Date(seed.lastmod) > new Date(before) ? 'modified' : 'unchanged' };
+            });
+        }
+
+        if (since) {
+            const cutoff = new Date(since);
+            return seeds.map(seed => ({
+                ...seed,
+                change: !seed.lastmod ? 'unknown' : new Date(seed.lastmod) >= cutoff ? 'modified' : 'unchanged'
+            }));
+        }
+
+        return seeds;
+    }
+
+    static countChanges(seeds) {
+        if (!seeds.some(seed => seed.change)) return null;
+        return seeds.reduce((counts, seed) => {
+            counts[seed.change] = (counts[seed.change] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    /**
+     * W3C datetime as ISO 8601, or null when missing or unparseable
+     */
+    static normalizeDate(value) {
+        const text = (value || '').trim();
+        if (!text) return null;
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    static originOf(domainOrUrl) {
+        const value = /^https?:\/\//i.test(domainOrUrl) ? domainOrUrl : `https://${domainOrUrl}`;
+        return new URL(value).origin;
+    }
+}
+
+module.exports = SitemapDiscovery;
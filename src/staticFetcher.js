@@ -0,0 +1,208 @@
+const cheerio = require('cheerio');
+const config = require('../config/config');
+const HttpCache = require('./httpCache');
+const PageExpander = require('./pageExpander');
+const MarkdownConverter = require('./markdownConverter');
+const TableExtractor = require('./tableExtractor');
+const StructuredDataExtractor = require('./structuredDataExtractor');
+const RetryPolicy = require('./retryPolicy');
+const SiteAdapters = require('./adapters');
+
+// Elements dropped before reading page text, mirroring the in-browser cleanup
+const UNWANTED_SELECTORS = [
+    'script', 'style', 'noscript', 'template', 'nav', 'header', 'footer',
+    '.advertisement', '.ads', '.social-media', '.navigation',
+    '.menu', '.sidebar', '.cookie-banner', '.popup',
+    'iframe', 'object', 'embed', '.breadcrumb',
+    '.modal', '.overlay', '.loading', '.spinner'
+];
+
+// Failures a real browser can get past: bot walls, TLS chains Chrome completes but Node rejects
+// (missing intermediates), resets by WAFs that fingerprint non-browser clients. Offline, a cache
+// miss goes on too: the page may only have been stored as rendered output.
+const BROWSER_RECOVERABLE = ['bot_block', 'tls', 'cache_miss', 'unknown'];
+const BROWSER_RECOVERABLE_CODES = ['ECONNRESET'];
+
+class StaticFetcher {
+    constructor(options = {}) {
+        const { httpCache, archive, retryPolicy, ...overrides } = options;
+        this.config = { ...config.staticFetch, ...overrides };
+        this.userAgent = config.crawler.userAgent;
+        this.httpCache = httpCache || HttpCache.shared();
+        this.retryPolicy = retryPolicy || RetryPolicy.shared();
+        this.archive = archive || null;
+        this.markdownConverter = new MarkdownConverter();
+    }
+
+    /**
+     * Fetch a page over plain HTTP and parse it with cheerio, retrying transient failures.
+     * Returns the parsed result plus whether it needs a real browser instead.
+     */
+    async fetch(url) {
+        console.log(`⚡ Static fetch: ${url}`);
+
+        const response = await this.retryPolicy.run(url, () => this.httpCache.fetch(url, {
+            timeout: this.config.timeout,
+            responseType: 'text',
+            maxRedirects: config.crawler.maxRedirects,
+            headers: {
+                'User-Agent': this.userAgent,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                'Accept-Language': 'en-US,en;q=0.9'
+            },
+            validateStatus: status => status >= 200 && status < 400
+        }), { label: 'Static fetch' });
+
+        const archiveId = this.archive ? this.archive.recordResponse(url, response) : null;
+
+        const contentType = response.headers['content-type'] || '';
+        if (contentType && !/html|xml/i.test(contentType)) {
+            return { result: null, needsBrowser: true, reason: `unexpected content type ${contentType}` };
+        }
+
+        const finalUrl = response.request?.res?.responseUrl || url;
+        const html = typeof response.data === 'string' ? response.data : String(response.data);
+        const result = this.parse(html, url, finalUrl);
+        result.archiveRecords = archiveId ? [archiveId] : [];
+        const reason = this.jsRenderedReason(html, result);
+
+        if (reason) {
+            console.log(`⚠️ Static result looks JS-rendered (${reason})`);
+        } else {
+            console.log(`✅ Static fetch succeeded: ${result.content.text.length} characters, ${result.links.length} links`);
+        }
+
+        return { result, needsBrowser: !!reason, reason };
+    }
+
+    /**
+     * Whether a failed static fetch is worth retrying in the browser. 401/403 are often WAF
+     * challenges a real browser gets past; other 4xx, 5xx, timeouts and DNS failures have had
+     * their retries and would only hit the host again with the same result.
+     */
+    static shouldEscalate(error) {
+        const { errorClass } = RetryPolicy.classify(error);
+        if (errorClass === 'http_4xx') {
+            return [401, 403].includes(RetryPolicy.statusOf(error));
+        }
+        const code = String(error.code || error.cause?.code || '');
+        return BROWSER_RECOVERABLE.includes(errorClass) || BROWSER_RECOVERABLE_CODES.includes(code);
+    }
+
+    /**
+     * Parse raw HTML into the same {title, content, links} shape as the browser path
+     */
+    parse(html, url, baseUrl = url) {
+        const $ = cheerio.load(html);
+
+        const title = $('title').first().text().trim() ||
+                      $('h1').first().text().trim() ||
+                      $('.title').first().text().trim() ||
+                      $('[data-title]').first().text().trim() ||
+                      'No title found';
+
+        // JSON-LD lives in script tags, so read it before they are removed
+        const structuredData = StructuredDataExtractor.fromCheerio($, baseUrl);
+
+        // Keep server-rendered tab and accordion panels that are merely hidden
+        const expandedPanels = PageExpander.revealPanelsInCheerio($);
+
+        [...UNWANTED_SELECTORS, ...SiteAdapters.forUrl(url).removeSelectors].forEach(selector => {
+            try {
+                $(selector).remove();
+            } catch (e) {
+                // Ignore selectors cheerio cannot handle
+            }
+        });
+
+        const body = $('body').length ? $('body') : $.root();
+        const text = body.text().replace(/\s+/g, ' ').trim();
+        const bodyHtml = body.html() || '';
+
+        const links = [];
+        const seenUrls = new Set();
+        $('a[href]').each((index, element) => {
+            const link = $(element);
+            const href = link.attr('href');
+            const linkText = link.text().trim();
+
+            if (!href ||
+                !linkText ||
+                href.startsWith('javascript:') ||
+                href.startsWith('mailto:') ||
+                href.startsWith('tel:') ||
+                linkText.length <= 2 ||
+                linkText.length >= 500) {
+                return;
+            }
+
+            let fullUrl = href;
+            try {
+                fullUrl = new URL(href, baseUrl).href;
+            } catch (e) {
+                // Keep original href if URL construction fails
+            }
+
+            if (seenUrls.has(fullUrl)) return;
+            seenUrls.add(fullUrl);
+
+            links.push({
+                href: href,
+                text: linkText,
+                title: link.attr('title') || '',
+                ariaLabel: link.attr('aria-label') || '',
+                fullUrl: fullUrl,
+                index: index
+            });
+        });
+
+        return {
+            url: url,
+            title: title,
+            content: {
+                html: bodyHtml,
+                text: text,
+                markdown: this.markdownConverter.convert(bodyHtml),
+                tables: TableExtractor.fromHtml(bodyHtml, baseUrl),
+                structuredData: structuredData
+            },
+            links: links,
+            success: true,
+            extractionError: undefined,
+            expandedPanels: expandedPanels
+        };
+    }
+
+    /**
+     * Explain why a statically fetched page probably needs JavaScript, or null if it looks complete
+     */
+    jsRenderedReason(html, result) {
+        const $ = cheerio.load(html);
+
+        // A real browser often gets past the challenge served to plain HTTP clients
+        if (RetryPolicy.isBotBlockPage(result.title, result.content.text)) {
+            return 'bot protection page';
+        }
+
+        for (const selector of this.config.spaShellSelectors) {
+            const shell = $(selector).first();
+            if (shell.length && shell.text().trim().length === 0) {
+                return `empty SPA shell ${selector}`;
+            }
+        }
+
+        const noscriptText = $('noscript').text().toLowerCase();
+        if (/enable javascript|javascript is (disabled|required)/.test(noscriptText) &&
+            result.content.text.length < this.config.minTextLength * 2) {
+            return 'page asks for JavaScript';
+        }
+
+        if (result.content.text.length < this.config.minTextLength) {
+            return `only ${result.content.text.length} characters of text`;
+        }
+
+        return null;
+    }
+}
+
+module.exports = StaticFetcher;
@@ -0,0 +1,278 @@
+const cheerio = require('cheerio');
+
+// schema.org types that describe the card itself
+const CARD_TYPES = /^(Product|FinancialProduct|CreditCard|PaymentCard|BankAccount|Service)$/i;
+const OFFER_TYPES = /^(Offer|AggregateOffer)$/i;
+const MAX_PROMPT_CHARS = 8000;
+
+/**
+ * Reads the structured metadata a page publishes for machines: schema.org JSON-LD and
+ * microdata, and OpenGraph tags. Must run on the raw HTML, before scripts are stripped.
+ *
+ * Result: { jsonLd: [node], microdata: [item], openGraph: {key: value}, hints }
+ * where hints are the card facts distilled from them: { card_name, bank, description, image, offers, faqs }.
+ */
+class StructuredDataExtractor {
+    static fromHtml(html, pageUrl) {
+        if (!html) return StructuredDataExtractor.empty();
+        return StructuredDataExtractor.fromCheerio(cheerio.load(html), pageUrl);
+    }
+
+    static fromCheerio($, pageUrl) {
+        const data = {
+            jsonLd: StructuredDataExtractor.jsonLd($),
+            microdata: StructuredDataExtractor.microdata($, pageUrl),
+            openGraph: StructuredDataExtractor.openGraph($)
+        };
+        data.hints = StructuredDataExtractor.hints(data, pageUrl);
+        return data;
+    }
+
+    static empty() {
+        return { jsonLd: [], microdata: [], openGraph: {}, hints: {} };
+    }
+
+    static isEmpty(data) {
+        return !data || (data.jsonLd.length === 0 && data.microdata.length === 0 && Object.keys(data.openGraph).length === 0);
+    }
+
+    /**
+     * Every JSON-LD node on the page, with @graph containers and arrays flattened
+     */
+    static jsonLd($) {
+        const nodes = [];
+        $('script[type="application/ld+json"]').each((i, element) => {
+            const raw = $(element).contents().text()
+                .replace(/^\s*<!--|-->\s*$/g, '')
+                .replace(/^\s*\/\/\s*<!\[CDATA\[|\/\/\s*\]\]>\s*$/g, '')
+                .trim();
+            if (!raw) return;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(raw);
+            } catch (e) {
+                // CMS templates often leave a trailing comma behind
+                try {
+                    parsed = JSON.parse(raw.replace(/,\s*([}\]])/g, '$1'));
+                } catch (retryError) {
+                    return;
+                }
+            }
+
+            const queue = Array.isArray(parsed) ? [...parsed] : [parsed];
+            while (queue.length > 0) {
+                const node = queue.shift();
+                if (!node || typeof node !== 'object') continue;
+                if (Array.isArray(node['@graph'])) {
+                    queue.push(...node['@graph']);
+                } else {
+                    nodes.push(node);
+                }
+            }
+        });
+        return nodes;
+    }
+
+    /**
+     * Top-level microdata items as plain objects: { '@type', property: value | [values] }
+     */
+    static microdata($, pageUrl) {
+        const readItem = element => {
+            const node = $(element);
+            const item = {};
+            const itemType = (node.attr('itemtype') || '').split(/\s+/).filter(Boolean)
+                .map(type => type.replace(/^https?:\/\/schema\.org\//i, ''));
+            if (itemType.length > 0) item['@type'] = itemType.length === 1 ? itemType[0] : itemType;
+
+            // Properties of this item, not of items nested inside it
+            node.find('[itemprop]').filter((i, prop) => $(prop).parents('[itemscope]').first().is(node)).each((i, prop) => {
+                const value = $(prop).is('[itemscope]') ? readItem(prop) : StructuredDataExtractor.propertyValue($, prop, pageUrl);
+                $(prop).attr('itemprop').split(/\s+/).filter(Boolean).forEach(name => {
+                    if (item[name] === undefined) {
+                        item[name] = value;
+                    } else {
+                        item[name] = [].concat(item[name], value);
+                    }
+                });
+            });
+            return item;
+        };
+
+        return $('[itemscope]').filter((i, element) => !$(element).is('[itemprop]'))
+            .map((i, element) => readItem(element)).get()
+            .filter(item => Object.keys(item).length > 0);
+    }
+
+    static propertyValue($, element, pageUrl) {
+        const node = $(element);
+        const absolute = value => {
+            try {
+                return new URL(value, pageUrl).href;
+            } catch (e) {
+                return value;
+            }
+        };
+
+        if (node.is('meta')) return node.attr('content') || '';
+        if (node.is('a, link, area')) return absolute(node.attr('href') || '');
+        if (node.is('img, audio, video, source, embed, iframe')) return absolute(node.attr('src') || '');
+        if (node.is('time')) return node.attr('datetime') || node.text().trim();
+        if (node.is('data, meter')) return node.attr('value') || node.text().trim();
+        return node.attr('content') || node.text().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * og:* meta tags keyed without the prefix, e.g. { title, image, description, site_name }
+     */
+    static openGraph($) {
+        const tags = {};
+        $('meta[property^="og:"], meta[name^="og:"]').each((i, element) => {
+            const key = ($(element).attr('property') || $(element).attr('name')).substring(3);
+            const value = ($(element).attr('content') || '').trim();
+            if (key && value && tags[key] === undefined) {
+                tags[key] = value;
+            }
+        });
+        return tags;
+    }
+
+    /**
+     * Card facts distilled from the structured data, most specific source first
+     */
+    static hints(data, pageUrl) {
+        const items = [...data.jsonLd, ...data.microdata];
+        const typesOf = item => [].concat(item['@type'] || []).map(String);
+        const isType = (item, pattern) => typesOf(item).some(type => pattern.test(type));
+        const text = value => {
+            const first = Array.isArray(value) ? value[0] : value;
+            if (first && typeof first === 'object') return text(first.name || first['@value'] || first.text || first.url);
+            // FAQ answers and descriptions often carry HTML markup
+            return typeof first === 'string' || typeof first === 'number'
+                ? String(first).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim() || null
+                : null;
+        };
+        const absolute = value => {
+            if (!value) return null;
+            try {
+                return new URL(value, pageUrl).href;
+            } catch (e) {
+                return value;
+            }
+        };
+
+        const product = items.find(item => isType(item, CARD_TYPES));
+        const hints = {};
+
+        if (product) {
+            hints.card_name = text(product.name);
+            hints.bank = text(product.brand) || text(product.provider) || text(product.manufacturer);
+            hints.description = text(product.description);
+            hints.image = absolute(text(product.image));
+        }
+
+        // Offers nested in the product, plus Offer nodes published on their own
+        const offers = [...[].concat(product?.offers || []), ...items.filter(item => isType(item, OFFER_TYPES))];
+        if (offers.length > 0) {
+            hints.offers = [...new Set(offers)].filter(offer => offer && typeof offer === 'object').map(offer => ({
+                name: text(offer.name),
+                description: text(offer.description),
+                price: text(offer.price),
+                currency: text(offer.priceCurrency),
+                valid_through: text(offer.validThrough) || text(offer.priceValidUntil),
+                url: absolute(text(offer.url))
+            })).map(offer => Object.fromEntries(Object.entries(offer).filter(([, value]) => value !== null)));
+        }
+
+        hints.image = hints.image || absolute(data.openGraph.image) || null;
+        hints.card_name = hints.card_name || null;
+        hints.description = hints.description || data.openGraph.description || null;
+
+        hints.faqs = items.filter(item => isType(item, /^FAQPage$/i)).flatMap(page =>
+            [].concat(page.mainEntity || []).map(question => ({
+                question: text(question.name),
+                answer: text(question.acceptedAnswer?.text || question.acceptedAnswer)
+            }))
+        ).filter(faq => faq.question && faq.answer);
+
+        return Object.fromEntries(Object.entries(hints).filter(([, value]) =>
+            value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)));
+    }
+
+    /**
+     * Structured data as prompt text: the distilled hints, then the raw schema.org items
+     */
+    static toPromptText(data, maxChars = MAX_PROMPT_CHARS) {
+        if (StructuredDataExtractor.isEmpty(data)) return '';
+
+        const sections = [];
+        if (Object.keys(data.hints).length > 0) {
+            sections.push(`Card facts: ${JSON.stringify(data.hints)}`);
+        }
+        const items = [...data.jsonLd, ...data.microdata].filter(item =>
+            !/^(WebSite|WebPage|BreadcrumbList|SiteNavigationElement|ImageObject|Organization)$/i.test(String(item['@type'])));
+        if (items.length > 0) {
+            sections.push(`schema.org items: ${JSON.stringify(items)}`);
+        }
+        if (Object.keys(data.openGraph).length > 0) {
+            sections.push(`OpenGraph: ${JSON.stringify(data.openGraph)}`);
+        }
+
+        const promptText = sections.join('\n');
+        return promptText.length > maxChars ? `${promptText.substring(0, maxChars)}…` : promptText;
+    }
+
+    /**
+     * Write hints straight into the AI output: the card name and description when the model left
+     * them empty, the image and FAQ entries always. Returns the fields that were filled.
+     */
+    static applyHints(standardJson, structuredJson, data) {
+        const hints = data?.hints || {};
+        const filled = [];
+        if (!standardJson || Object.keys(hints).length === 0) return filled;
+
+        standardJson.card = standardJson.card || {};
+        if (hints.card_name && !standardJson.card.name) {
+            standardJson.card.name = hints.card_name;
+            filled.push('card.name');
+        }
+        if (hints.bank && !standardJson.card.bank) {
+            standardJson.card.bank = hints.bank;
+            filled.push('card.bank');
+        }
+        if (hints.description && !standardJson.card.description) {
+            standardJson.card.description = hints.description;
+            filled.push('card.description');
+        }
+        if (hints.image) {
+            standardJson.card.image = hints.image;
+            filled.push('card.image');
+        }
+        if (hints.faqs) {
+            standardJson.faqs = hints.faqs;
+            filled.push('faqs');
+        }
+
+        const metadata = structuredJson?.Metadata;
+        if (metadata && hints.card_name && !metadata.card_name) {
+            metadata.card_name = hints.card_name;
+            filled.push('Metadata.card_name');
+        }
+        return filled;
+    }
+
+    /**
+     * What was found, for result metadata
+     */
+    static summarize(data, filledFields = []) {
+        if (StructuredDataExtractor.isEmpty(data)) return null;
+        return {
+            json_ld_types: [...new Set(data.jsonLd.flatMap(node => [].concat(node['@type'] || [])))],
+            microdata_types: [...new Set(data.microdata.flatMap(item => [].concat(item['@type'] || [])))],
+            open_graph: Object.keys(data.openGraph).length > 0,
+            filled_fields: filledFields
+        };
+    }
+}
+
+module.exports = StructuredDataExtractor;
@@ -0,0 +1,241 @@
+const cheerio = require('cheerio');
+const MarkdownConverter = require('./markdownConverter');
+
+const PDF_CELL_SEPARATOR = '\t';
+
+/**
+ * Pulls fee, reward-rate and eligibility tables out of HTML and PDF text into typed rows:
+ *   { index, source, source_url, caption, header_detected, columns: [{name, type}], rows: [{column: value}] }
+ */
+class TableExtractor {
+    /**
+     * Every data table in an HTML document; layout tables (nested, single row or column) are skipped
+     */
+    static fromHtml(html, sourceUrl) {
+        if (!html) return [];
+
+        const $ = cheerio.load(html);
+        const tables = [];
+        $('table').each((i, tableNode) => {
+            if ($(tableNode).find('table').length > 0) return;
+
+            const grid = MarkdownConverter.tableToGrid($, tableNode);
+            const table = TableExtractor.buildTable(grid.rows, {
+                hasHeader: grid.hasHeader,
+                caption: grid.caption,
+                source: 'html',
+                sourceUrl: sourceUrl,
+                index: tables.length + 1
+            });
+            if (table) tables.push(table);
+        });
+        return tables;
+    }
+
+    /**
+     * Grid-like runs in PDF text rendered by renderPdfPage, where cells on a line are tab-separated
+     */
+    static fromPdfText(text, sourceUrl) {
+        if (!text) return [];
+
+        const tables = [];
+        let run = [];
+
+        const flush = () => {
+            const rows = TableExtractor.gridFromRun(run);
+            run = [];
+            if (!rows) return;
+
+            const table = TableExtractor.buildTable(rows, {
+                hasHeader: false,
+                caption: null,
+                source: 'pdf',
+                sourceUrl: sourceUrl,
+                index: tables.length + 1
+            });
+            if (table) tables.push(table);
+        };
+
+        text.split('\n').forEach(line => {
+            const cells = line.split(PDF_CELL_SEPARATOR).map(cell => cell.replace(/\s+/g, ' ').trim()).filter(Boolean);
+            if (cells.length >= 2) {
+                run.push(cells);
+            } else {
+                flush();
+            }
+        });
+        flush();
+
+        return tables;
+    }
+
+    /**
+     * A run of multi-cell lines is a table when most lines share one column count
+     */
+    static gridFromRun(run) {
+        if (run.length < 3) return null;
+
+        const counts = new Map();
+        run.forEach(cells => counts.set(cells.length, (counts.get(cells.length) || 0) + 1));
+        const [width, frequency] = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+        if (frequency / run.length < 0.6) return null;
+
+        return run.map(cells => {
+            if (cells.length <= width) return cells;
+            // Extra cells usually come from a wide last column split at a large gap
+            return [...cells.slice(0, width - 1), cells.slice(width - 1).join(' ')];
+        });
+    }
+
+    static buildTable(rows, { hasHeader, caption, source, sourceUrl, index }) {
+        const width = Math.max(0, ...rows.map(row => row.length));
+        if (rows.length < 2 || width < 2) return null;
+
+        const padded = rows.map(row => Array.from({ length: width }, (v, i) => row[i] || ''));
+        const headerDetected = hasHeader || TableExtractor.looksLikeHeader(padded);
+        const names = TableExtractor.columnNames(headerDetected ? padded[0] : [], width);
+        const body = headerDetected ? padded.slice(1) : padded;
+        if (body.length === 0) return null;
+
+        const typedRows = body.map(row => row.map(cell => ({ ...TableExtractor.typeValue(cell), text: cell.replace(/<br>/g, ' ').trim() })));
+        const columns = names.map((name, col) => ({
+            name: name,
+            type: TableExtractor.columnType(typedRows.map(row => row[col]))
+        }));
+
+        return {
+            index: index,
+            source: source,
+            source_url: sourceUrl || null,
+            caption: caption || null,
+            header_detected: headerDetected,
+            columns: columns,
+            // Mixed columns keep the cell text so units such as % and ₹ are not lost
+            rows: typedRows.map(row => Object.fromEntries(
+                columns.map((column, col) => [column.name, column.type === 'mixed' ? row[col].text || null : row[col].value])
+            ))
+        };
+    }
+
+    /**
+     * Header heuristic for tables without <th>: a first row of short labels above numeric data
+     */
+    static looksLikeHeader(rows) {
+        const [first, ...rest] = rows;
+        if (first.some(cell => !cell || cell.length > 60)) return false;
+        if (first.some(cell => TableExtractor.typeValue(cell).type !== 'text')) return false;
+
+        return rest.some(row => row.some(cell => ['number', 'currency', 'percentage'].includes(TableExtractor.typeValue(cell).type)));
+    }
+
+    static columnNames(header, width) {
+        const seen = new Map();
+        return Array.from({ length: width }, (v, i) => {
+            const base = (header[i] || '').replace(/<br>/g, ' ').trim() || `column_${i + 1}`;
+            const count = (seen.get(base) || 0) + 1;
+            seen.set(base, count);
+            return count > 1 ? `${base} (${count})` : base;
+        });
+    }
+
+    /**
+     * Parse a cell into {type, value}: currency, percentage and plain numbers become numbers,
+     * yes/no becomes a boolean, empty cells null and anything else stays text
+     */
+    static typeValue(cell) {
+        const text = (cell || '').replace(/<br>/g, ' ').replace(/\s+/g, ' ').trim();
+        const toNumber = digits => Number(digits.replace(/,/g, ''));
+
+        if (!text || /^[-–—]$|^n\/?a$/i.test(text)) {
+            return { type: 'empty', value: null };
+        }
+        if (/^(yes|no)$/i.test(text)) {
+            return { type: 'boolean', value: /^yes$/i.test(text) };
+        }
+
+        let match = text.match(/^([-+]?\d[\d,]*(?:\.\d+)?)\s*%$/);
+        if (match) {
+            return { type: 'percentage', value: toNumber(match[1]) };
+        }
+
+        match = text.match(/^(?:₹|rs\.?|inr|\$|usd)\s*(\d[\d,]*(?:\.\d+)?)(?:\s*\/-)?$/i) ||
+                text.match(/^(\d[\d,]*(?:\.\d+)?)\s*(?:\/-|₹|rs\.?|inr|rupees)$/i);
+        if (match) {
+            return { type: 'currency', value: toNumber(match[1]) };
+        }
+
+        if (/^[-+]?\d{1,3}(,\d{2,3})*(\.\d+)?$|^[-+]?\d+(\.\d+)?$/.test(text)) {
+            return { type: 'number', value: toNumber(text) };
+        }
+
+        return { type: 'text', value: text };
+    }
+
+    static columnType(cells) {
+        const types = new Set(cells.map(cell => cell.type).filter(type => type !== 'empty'));
+        if (types.size === 0) return 'empty';
+        return types.size === 1 ? [...types][0] : 'mixed';
+    }
+
+    /**
+     * Render an extracted table back to Markdown for prompts
+     */
+    static toMarkdown(table) {
+        const names = table.columns.map(column => column.name);
+        const cell = value => (value === null || value === undefined ? '' : String(value)).replace(/\|/g, '\\|');
+        const heading = column => (['currency', 'percentage'].includes(column.type) ? `${column.name} (${column.type})` : column.name);
+        return [
+            table.caption ? `**${table.caption}**` : null,
+            `| ${table.columns.map(column => cell(heading(column))).join(' | ')} |`,
+            `| ${names.map(() => '---').join(' | ')} |`,
+            ...table.rows.map(row => `| ${names.map(name => cell(row[name])).join(' | ')} |`)
+        ].filter(Boolean).join('\n');
+    }
+
+    /**
+     * pdf-parse page renderer that keeps column gaps as tabs so grid layouts survive
+     */
+    static async renderPdfPage(pageData) {
+        const textContent = await pageData.getTextContent({ normalizeWhitespace: true });
+        const items = textContent.items
+            .filter(item => item.str && item.str.trim())
+            .map(item => ({
+                text: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width || 0,
+                size: Math.abs(item.transform[3]) || 10
+            }))
+            .sort((a, b) => b.y - a.y || a.x - b.x);
+
+        const lines = [];
+        items.forEach(item => {
+            const line = lines[lines.length - 1];
+            if (line && Math.abs(line.y - item.y) <= Math.max(line.size, item.size) * 0.4) {
+                line.items.push(item);
+            } else {
+                lines.push({ y: item.y, size: item.size, items: [item] });
+            }
+        });
+
+        return lines.map(line => {
+            let output = '';
+            let previous = null;
+            line.items.sort((a, b) => a.x - b.x).forEach(item => {
+                if (previous) {
+                    const gap = item.x - (previous.x + previous.width);
+                    if (gap > item.size * 1.5) {
+                        output += PDF_CELL_SEPARATOR;
+                    } else if (gap > item.size * 0.15 && !/\s$/.test(output) && !/^\s/.test(item.text)) {
+                        output += ' ';
+                    }
+                }
+                output += item.text;
+                previous = item;
+            });
+            return output;
+        }).join('\n');
+    }
+}
+
+module.exports = TableExtractor;
@@ -0,0 +1,34 @@
+const config = require('../config/config');
+const SiteAdapters = require('./adapters');
+
+/**
+ * Identity of a URL for deduplication: the same page or document reached through tracking
+ * parameters, a fragment, http instead of https, a trailing slash or an issuer's wrapper URL
+ * (e.g. a ?path= repository link) gets the same canonical URL.
+ *
+ * Canonical URLs are keys only; links are still fetched by the URL the page gave.
+ */
+class UrlCanonicalizer {
+    static canonicalize(url, options = config.canonicalization) {
+        let urlObj;
+        try {
+            urlObj = new URL(SiteAdapters.forUrl(url).rewriteUrl(url, { quiet: true }));
+        } catch (e) {
+            return url;
+        }
+
+        if (options.ignoreScheme && urlObj.protocol === 'http:') {
+            urlObj.protocol = 'https:';
+        }
+        urlObj.hash = '';
+
+        const params = [...urlObj.searchParams.entries()]
+            .filter(([name]) => !options.trackingParams.some(pattern => pattern.test(name)))
+            .sort(([a], [b]) => a.localeCompare(b));
+        urlObj.search = new URLSearchParams(params).toString();
+
+        return urlObj.href.replace(/\/(?=$|\?)/, '');
+    }
+}
+
+module.exports = UrlCanonicalizer;
@@ -8,6 +8,13 @@ class Utils {
     return crypto.createHash('md5').update(url).digest('hex').substring(0, 16);
   }
 
+  /**
+   * SHA-256 of a fetched body (Buffer or string), for spotting the same document under different URLs
+   */
+  static contentHash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
   /**
    * Sleep for specified milliseconds
    */
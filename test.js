@@ -26,8 +26,7 @@ async function testCrawler() {
             // Use smart detection function with NO LIMITS and URL validation
             const result = await extractCardBenefits(url, apiKey, {
                 // NO maxCardsToProcess limit - process ALL valid cards
-                delayBetweenCards: 3000, // 3 seconds between cards
-                delayBetweenRequests: 1000,
+                delayBetweenRequests: 1000, // Minimum ms between requests to one host
                 delayBetweenValidation: 500 // Delay between URL validations
             });
 
@@ -143,7 +142,7 @@ async function testListingOnly() {
     
     const result = await extractCardListing(listingUrl, apiKey, {
         // No maxCardsToProcess - will process ALL valid cards
-        delayBetweenCards: 4000,
+        delayBetweenRequests: 4000,
         delayBetweenValidation: 500
     });
     
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ArchiveWriter = require('../src/archiveWriter');
+const { check, assert } = require('./check');
+
+function readIndex(archive) {
+    return fs.readFileSync(archive.indexFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+async function testArchiveWriter() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flip-archive-'));
+
+    try {
+        await check('writes bodies and indexes them with hashes', async () => {
+            const archive = new ArchiveWriter({ dir, runId: 'run_bodies' });
+            const htmlId = archive.recordResponse('https://bank.example/card', {
+                status: 200, headers: { 'content-type': 'text/html; charset=utf-8' }, data: '<html>Card</html>'
+            });
+            const pdfId = archive.recordResponse('https://bank.example/mitc.pdf', {
+                status: 200, headers: { 'content-type': 'application/pdf' }, data: new Uint8Array([37, 80, 68, 70]).buffer
+            });
+
+            const [html, pdf] = readIndex(archive);
+            assert.strictEqual(html.id, htmlId);
+            assert.match(htmlId, /^urn:uuid:/);
+            assert.strictEqual(html.file.endsWith('.html'), true);
+            assert.strictEqual(fs.readFileSync(path.join(archive.runDir, html.file), 'utf8'), '<html>Card</html>');
+            assert.strictEqual(pdf.id, pdfId);
+            assert.strictEqual(fs.readFileSync(path.join(archive.runDir, pdf.file), 'latin1'), '%PDF');
+            assert.strictEqual(archive.getStats().records, 2);
+        });
+
+        await check('re-serialises parsed JSON bodies', async () => {
+            const archive = new ArchiveWriter({ dir, runId: 'run_json' });
+            archive.recordResponse('https://bank.example/api/offers', {
+                status: 200, headers: { 'content-type': 'application/json' }, data: { offers: [1, 2] }
+            });
+            const [record] = readIndex(archive);
+            assert.strictEqual(fs.readFileSync(path.join(archive.runDir, record.file), 'utf8'), '{"offers":[1,2]}');
+        });
+
+        await check('snapshots the rendered DOM and links the screenshot to it', async () => {
+            const archive = new ArchiveWriter({ dir, runId: 'run_snapshot', screenshots: true });
+            const page = {
+                content: async () => '<html><body>Rendered</body></html>',
+                screenshot: async () => Buffer.from([137, 80, 78, 71])
+            };
+            const [domId, shotId] = await archive.snapshotPage(page, 'https://bank.example/card');
+            const [dom, shot] = readIndex(archive);
+            assert.strictEqual(dom.type, 'rendered');
+            assert.strictEqual(shot.type, 'screenshot');
+            assert.strictEqual(shot.refers_to, domId);
+            assert.strictEqual(shot.id, shotId);
+        });
+
+        await check('builds an archive only when asked to', async () => {
+            const archive = new ArchiveWriter({ dir, runId: 'run_options' });
+            assert.strictEqual(ArchiveWriter.fromOptions({ archive }), archive);
+            assert.strictEqual(ArchiveWriter.fromOptions({ archive: false }), null);
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = testArchiveWriter;
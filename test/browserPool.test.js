@@ -0,0 +1,107 @@
+const { EventEmitter } = require('events');
+const puppeteer = require('puppeteer');
+const BrowserPool = require('../src/browserPool');
+const { check, assert } = require('./check');
+
+/**
+ * Stand-in for puppeteer.launch: browsers and pages that only track their own state
+ */
+function fakeLaunch(launched) {
+    return async () => {
+        const browser = new EventEmitter();
+        browser.closed = false;
+        browser.pages = [];
+        browser.newPage = async () => {
+            const page = new EventEmitter();
+            let closed = false;
+            Object.assign(page, {
+                evaluateOnNewDocument: async () => {},
+                setUserAgent: async () => {},
+                setExtraHTTPHeaders: async () => {},
+                setDefaultNavigationTimeout: () => {},
+                setDefaultTimeout: () => {},
+                goto: async () => {},
+                isClosed: () => closed,
+                close: async () => { closed = true; }
+            });
+            browser.pages.push(page);
+            return page;
+        };
+        browser.close = async () => { browser.closed = true; };
+        launched.push(browser);
+        return browser;
+    };
+}
+
+async function testBrowserPool() {
+    const originalLaunch = puppeteer.launch;
+    const launched = [];
+    puppeteer.launch = fakeLaunch(launched);
+
+    try {
+        await check('reuses a released page instead of opening a new one', async () => {
+            const pool = new BrowserPool({ size: 1, maxPagesPerBrowser: 1, recycleAfter: 10, idleTimeout: 0 });
+            const first = await pool.withPage(async page => page);
+            const second = await pool.withPage(async page => page);
+            assert.strictEqual(first, second);
+            assert.strictEqual(pool.getStats().launches, 1);
+            await pool.close();
+        });
+
+        await check('discards a page whose callback threw', async () => {
+            const pool = new BrowserPool({ size: 1, maxPagesPerBrowser: 1, recycleAfter: 10, idleTimeout: 0 });
+            let broken;
+            await assert.rejects(pool.withPage(async page => {
+                broken = page;
+                throw new Error('navigation failed');
+            }));
+            assert.ok(broken.isClosed());
+            assert.notStrictEqual(await pool.withPage(async page => page), broken);
+            await pool.close();
+        });
+
+        await check('waits for a free page when the pool is full', async () => {
+            const pool = new BrowserPool({ size: 1, maxPagesPerBrowser: 1, recycleAfter: 10, idleTimeout: 0 });
+            const order = [];
+            let releaseFirst;
+            const first = pool.withPage(() => new Promise(resolve => {
+                order.push('first');
+                releaseFirst = resolve;
+            }));
+            const second = pool.withPage(async () => order.push('second'));
+            await new Promise(resolve => setImmediate(resolve));
+            assert.deepStrictEqual(order, ['first']);
+            releaseFirst();
+            await Promise.all([first, second]);
+            assert.deepStrictEqual(order, ['first', 'second']);
+            await pool.close();
+        });
+
+        await check('recycles a browser after recycleAfter pages', async () => {
+            launched.length = 0;
+            const pool = new BrowserPool({ size: 1, maxPagesPerBrowser: 1, recycleAfter: 2, idleTimeout: 0 });
+            await pool.withPage(async () => {});
+            await pool.withPage(async () => {});
+            await pool.withPage(async () => {});
+            assert.strictEqual(launched.length, 2);
+            assert.ok(launched[0].closed);
+            assert.strictEqual(pool.getStats().recycled, 1);
+            await pool.close();
+        });
+
+        await check('relaunches after a browser disconnects', async () => {
+            launched.length = 0;
+            const pool = new BrowserPool({ size: 1, maxPagesPerBrowser: 1, recycleAfter: 10, idleTimeout: 0 });
+            await pool.withPage(async () => {});
+            launched[0].emit('disconnected');
+            await pool.withPage(async () => {});
+            assert.strictEqual(launched.length, 2);
+            assert.strictEqual(pool.getStats().crashes, 1);
+            await pool.close();
+        });
+    } finally {
+        puppeteer.launch = originalLaunch;
+    }
+}
+
+module.exports = testBrowserPool;
@@ -0,0 +1,16 @@
+const assert = require('assert');
+
+/**
+ * Run one named check, log the outcome and mark the process as failed when it throws
+ */
+async function check(name, fn) {
+    try {
+        await fn();
+        console.log(`   ✅ ${name}`);
+    } catch (error) {
+        process.exitCode = 1;
+        console.error(`   ❌ ${name}: ${error.message}`);
+    }
+}
+
+module.exports = { check, assert };
@@ -0,0 +1,71 @@
+const CitationVerifier = require('../src/citationVerifier');
+const { check, assert } = require('./check');
+
+const MAIN = 'https://www.hdfcbank.com/regalia-gold';
+const FEES = 'https://www.hdfcbank.com/regalia-gold/fees';
+
+const DOCUMENTS = [
+    { url: MAIN, text: '## Lounge\n\nEnjoy **12 complimentary** lounge visits per year at domestic airports.\n\nEarn 4 Reward Points per ₹150 spent.' },
+    { url: FEES, text: '| Fee | Amount |\n| --- | --- |\n| Annual Fee | ₹2,500 + GST |\n| Late Payment Fee | Up to ₹1,300 |' },
+    { url: 'https://www.hdfcbank.com/empty', text: '' }
+];
+
+const OPTIONS = { enabled: true, unverified: 'flag', minQuoteLength: 12 };
+
+const cite = (url, quote) => ({ url, section: null, quote });
+
+async function testCitationVerifier() {
+    await check('verifies quotes across Markdown marks, case and omissions', async () => {
+        const verifier = new CitationVerifier(DOCUMENTS, OPTIONS);
+        assert.deepStrictEqual(verifier.check(cite(MAIN, 'Enjoy 12 complimentary lounge visits')), { verified: true });
+        assert.deepStrictEqual(verifier.check(cite(FEES, 'annual fee ₹2,500 + GST')), { verified: true });
+        assert.deepStrictEqual(verifier.check(cite(MAIN, 'Enjoy 12 complimentary … at domestic airports')), { verified: true });
+        assert.strictEqual(verifier.check(cite(MAIN, 'at domestic airports ... Enjoy 12 complimentary')).verified, false);
+    });
+
+    await check('corrects the URL of a quote found on another page', async () => {
+        const verifier = new CitationVerifier(DOCUMENTS, OPTIONS);
+        assert.deepStrictEqual(verifier.check(cite(MAIN, 'Late Payment Fee | Up to ₹1,300')), { verified: true, url: FEES });
+        assert.deepStrictEqual(verifier.check(cite(null, 'Earn 4 Reward Points per ₹150')), { verified: true, url: MAIN });
+    });
+
+    await check('rejects missing, generic and invented quotes', async () => {
+        const verifier = new CitationVerifier(DOCUMENTS, OPTIONS);
+        assert.strictEqual(verifier.check(undefined).reason, 'no quote');
+        assert.strictEqual(verifier.check(cite(MAIN, 'Annual Fee')).reason, 'quote too short');
+        assert.strictEqual(verifier.check(cite(MAIN, 'Unlimited lounge visits worldwide')).reason, 'quote not found in fetched text');
+    });
+
+    await check('flags or drops unverified items and reports the hallucination rate', async () => {
+        const extracted = () => ({
+            benefits: [
+                { name: 'Lounge access', source: cite(MAIN, '12 complimentary lounge visits per year') },
+                { name: 'Golf', source: cite(MAIN, 'Complimentary golf games every month') }
+            ],
+            fees_and_charges: [{ type: 'Annual fee', amount: '₹2,500', source: cite(FEES, 'Annual Fee | ₹2,500 + GST') }],
+            rewards: { earning: { categories: [{ name: 'All spends' }] } }
+        });
+
+        const flagged = extracted();
+        const report = CitationVerifier.verify(flagged, DOCUMENTS, OPTIONS);
+        assert.deepStrictEqual(
+            { checked: report.checked, verified: report.verified, unverified: report.unverified, dropped: report.dropped },
+            { checked: 4, verified: 2, unverified: 2, dropped: 0 }
+        );
+        assert.strictEqual(report.hallucination_rate, 0.5);
+        assert.deepStrictEqual(report.unverified_fields.map(field => field.path), ['/rewards/earning/categories/0', '/benefits/1']);
+        assert.strictEqual(flagged.benefits[1].source.verified, false);
+        assert.deepStrictEqual(flagged.rewards.earning.categories[0].source, { url: null, section: null, quote: null, verified: false });
+
+        const dropped = extracted();
+        assert.strictEqual(CitationVerifier.verify(dropped, DOCUMENTS, { ...OPTIONS, unverified: 'drop' }).dropped, 2);
+        assert.deepStrictEqual(dropped.benefits.map(benefit => benefit.name), ['Lounge access']);
+        assert.deepStrictEqual(dropped.rewards.earning.categories, []);
+
+        const disabled = extracted();
+        assert.strictEqual(CitationVerifier.verify(disabled, DOCUMENTS, { ...OPTIONS, enabled: false }).checked, 0);
+        assert.strictEqual(disabled.benefits[1].source.verified, undefined);
+    });
+}
+
+module.exports = testCitationVerifier;
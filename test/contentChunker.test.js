@@ -0,0 +1,52 @@
+const ContentChunker = require('../src/contentChunker');
+const { check, assert } = require('./check');
+
+const LIMITS = { maxContentLength: 900, maxChunkTokens: 400 };
+
+const paragraph = n => `Paragraph ${n}: ${'the card earns reward points on every spend '.repeat(4)}`;
+const source = (name, text) => ({ header: `${name}:\n`, continuedHeader: `${name} (continued):\n`, text });
+
+async function testContentChunker() {
+    await check('estimates tokens from words, digits and symbols', async () => {
+        assert.strictEqual(ContentChunker.countTokens('Lounge access'), 4);
+        assert.strictEqual(ContentChunker.countTokens('₹2,500'), 4);
+        assert.strictEqual(ContentChunker.countTokens(''), 0);
+        assert.strictEqual(ContentChunker.countTokens(null), 0);
+    });
+
+    await check('keeps content that fits in one chunk', async () => {
+        const chunks = ContentChunker.chunk([source('MAIN PAGE', 'Annual fee ₹2,500'), source('LINKED PAGE 1', 'Late fee ₹1,300')], LIMITS);
+        assert.strictEqual(chunks.length, 1);
+        assert.strictEqual(chunks[0].text, 'MAIN PAGE:\nAnnual fee ₹2,500\n\nLINKED PAGE 1:\nLate fee ₹1,300');
+        assert.strictEqual(chunks[0].sources, 2);
+    });
+
+    await check('splits at paragraphs within the limits and repeats the section heading', async () => {
+        const text = ['# Fees', ...[1, 2, 3, 4, 5].map(paragraph), '## Rewards', ...[6, 7, 8].map(paragraph)].join('\n\n');
+        const chunks = ContentChunker.chunk([source('MAIN PAGE', text)], LIMITS);
+
+        assert.ok(chunks.length > 1);
+        chunks.forEach(chunk => {
+            assert.ok(chunk.text.length <= LIMITS.maxContentLength, `${chunk.text.length} characters`);
+            assert.ok(chunk.tokens <= LIMITS.maxChunkTokens, `${chunk.tokens} tokens`);
+            assert.strictEqual(chunk.tokens, ContentChunker.countTokens(chunk.text));
+        });
+        assert.ok(chunks[0].text.startsWith('MAIN PAGE:\n# Fees'));
+        chunks.slice(1).forEach(chunk => assert.ok(/^MAIN PAGE \(continued\):\n#{1,2} (Fees|Rewards)\n\n/.test(chunk.text), chunk.text.slice(0, 60)));
+
+        const paragraphs = chunks.flatMap(chunk => chunk.text.match(/Paragraph \d/g));
+        assert.deepStrictEqual(paragraphs, [1, 2, 3, 4, 5, 6, 7, 8].map(n => `Paragraph ${n}`));
+    });
+
+    await check('cuts lines longer than a chunk at word boundaries', async () => {
+        const words = Array.from({ length: 400 }, (v, i) => `w${i}`).join(' ');
+        const chunks = ContentChunker.chunk([source('LINKED PAGE 1', words)], LIMITS);
+
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every(chunk => chunk.text.length <= LIMITS.maxContentLength && chunk.tokens <= LIMITS.maxChunkTokens));
+        const rejoined = chunks.map(chunk => chunk.text.replace(/^LINKED PAGE 1( \(continued\))?:\n/, '')).join(' ');
+        assert.strictEqual(rejoined, words);
+    });
+}
+
+module.exports = testContentChunker;
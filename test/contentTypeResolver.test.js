@@ -0,0 +1,51 @@
+const ContentTypeResolver = require('../src/contentTypeResolver');
+const { check, assert } = require('./check');
+
+/**
+ * HTTP cache stand-in holding one cached body
+ */
+function cacheWith(url, body, headers) {
+    return {
+        offline: true,
+        peek: requested => requested === url
+            ? { body: Buffer.from(body), meta: { headers, status: 200, finalUrl: url } }
+            : null
+    };
+}
+
+async function testContentTypeResolver() {
+    await check('sniffs PDFs, Office files and HTML from magic bytes', async () => {
+        assert.strictEqual(ContentTypeResolver.sniffBuffer(Buffer.from('%PDF-1.7\n...')), 'pdf');
+        assert.strictEqual(ContentTypeResolver.sniffBuffer(Buffer.from('\r\n%PDF-1.4')), 'pdf');
+        assert.strictEqual(ContentTypeResolver.sniffBuffer(Buffer.from('504b030414000600', 'hex')), 'document');
+        assert.strictEqual(ContentTypeResolver.sniffBuffer(Buffer.from('﻿  <!DOCTYPE html><html>')), 'html');
+        assert.strictEqual(ContentTypeResolver.sniffBuffer(Buffer.from('plain words')), null);
+        assert.ok(ContentTypeResolver.isPdfBuffer(Buffer.from('%PDF-1.3')));
+    });
+
+    await check('maps MIME types, treating octet-stream as unknown', async () => {
+        const resolver = new ContentTypeResolver({ httpCache: cacheWith('', '', {}) });
+        assert.strictEqual(resolver.typeFromMime(resolver.parseMimeType('text/html; charset=utf-8')), 'html');
+        assert.strictEqual(resolver.typeFromMime('application/pdf'), 'pdf');
+        assert.strictEqual(resolver.typeFromMime('application/vnd.openxmlformats-officedocument.wordprocessingml.document'), 'document');
+        assert.strictEqual(resolver.typeFromMime('application/octet-stream'), 'unknown');
+        assert.strictEqual(resolver.typeFromMime('video/mp4'), 'other');
+    });
+
+    await check('trusts cached bytes over a misleading content-type', async () => {
+        const url = 'https://bank.example/download?id=42';
+        const resolver = new ContentTypeResolver({ httpCache: cacheWith(url, '%PDF-1.5 body', { 'content-type': 'text/html' }) });
+        const resolved = await resolver.resolve(url);
+        assert.strictEqual(resolved.type, 'pdf');
+        assert.strictEqual(resolved.method, 'cache');
+    });
+
+    await check('reports unknown offline when nothing is cached', async () => {
+        const resolver = new ContentTypeResolver({ httpCache: cacheWith('https://bank.example/a', '', {}) });
+        const resolved = await resolver.resolve('https://bank.example/b');
+        assert.strictEqual(resolved.type, 'unknown');
+        assert.strictEqual(resolved.method, 'none');
+    });
+}
+
+module.exports = testContentTypeResolver;
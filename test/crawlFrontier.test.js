@@ -0,0 +1,73 @@
+const CrawlFrontier = require('../src/crawlFrontier');
+const { check, assert } = require('./check');
+
+const ROOT = 'https://bank.example/cards/regalia';
+const PRIORITY = { pdf: 3, offers: 2, general: 1 };
+
+const link = (url, type = 'general') => ({ url, type, text: type });
+const frontier = (options = {}) =>
+    new CrawlFrontier(ROOT, { maxPages: 0, maxBytes: 0, maxTime: 0, priorityOf: item => PRIORITY[item.type] || 0, ...options });
+
+function drain(crawl) {
+    const urls = [];
+    let next;
+    while ((next = crawl.next())) {
+        urls.push(next.url);
+        crawl.complete(next.url, { status: 'processed' });
+    }
+    return urls;
+}
+
+async function testCrawlFrontier() {
+    await check('orders by priority, then depth, then position on the page', async () => {
+        const crawl = frontier();
+        crawl.add([link('https://bank.example/a'), link('https://bank.example/offers', 'offers'), link('https://bank.example/b')], ROOT, 1);
+        crawl.add([link('https://bank.example/mitc.pdf', 'pdf'), link('https://bank.example/c')], 'https://bank.example/offers', 2);
+        assert.deepStrictEqual(drain(crawl), [
+            'https://bank.example/mitc.pdf', 'https://bank.example/offers',
+            'https://bank.example/a', 'https://bank.example/b', 'https://bank.example/c'
+        ]);
+    });
+
+    await check('queues each canonical URL once and records the other spellings', async () => {
+        const crawl = frontier();
+        assert.strictEqual(crawl.add([link('https://bank.example/fees'), link('https://bank.example/fees/?utm_source=nav'), link(ROOT)], ROOT, 1), 1);
+        assert.deepStrictEqual(crawl.aliasesOf('https://bank.example/fees'), ['https://bank.example/fees/?utm_source=nav']);
+        assert.strictEqual(crawl.edges.filter(edge => edge.revisit).length, 2);
+    });
+
+    await check('stops at the page budget and marks the rest skipped', async () => {
+        const crawl = frontier({ maxPages: 2 });
+        crawl.add(['x', 'y', 'z'].map(name => link(`https://bank.example/${name}`)), ROOT, 1);
+        assert.strictEqual(drain(crawl).length, 2);
+
+        const graph = crawl.toGraph();
+        assert.strictEqual(graph.budget.exhausted, 'max_pages');
+        assert.deepStrictEqual(graph.nodes.map(node => node.status), ['processed', 'processed', 'skipped']);
+    });
+
+    await check('does not charge reused documents to the budget', async () => {
+        const crawl = frontier({ maxPages: 1, maxBytes: 100 });
+        crawl.add([link('https://bank.example/x'), link('https://bank.example/y')], ROOT, 1);
+        crawl.complete(crawl.next().url, { status: 'processed', bytes: 500, reused: true });
+        const second = crawl.next();
+        assert.strictEqual(second.url, 'https://bank.example/y');
+        crawl.complete(second.url, { status: 'processed', bytes: 500 });
+        assert.strictEqual(crawl.budgetExceeded(), 'max_pages');
+    });
+
+    await check('records how each processed page was reached', async () => {
+        const crawl = frontier();
+        crawl.add([link('https://bank.example/offers', 'offers')], ROOT, 1);
+        crawl.complete(crawl.next().url, { status: 'processed' });
+        crawl.add([link('https://bank.example/offers/swiggy', 'offers')], 'https://bank.example/offers', 2);
+        crawl.complete(crawl.next().url, { status: 'processed' });
+
+        const node = crawl.toGraph().nodes.find(item => item.url.endsWith('/swiggy'));
+        assert.deepStrictEqual(node.path, [ROOT, 'https://bank.example/offers', 'https://bank.example/offers/swiggy']);
+        assert.strictEqual(node.depth, 2);
+        assert.ok(crawl.compareUrls('https://bank.example/offers', 'https://bank.example/offers/swiggy') < 0);
+    });
+}
+
+module.exports = testCrawlFrontier;
@@ -0,0 +1,44 @@
+const CardCrawler = require('../src/crawler');
+const { check, assert } = require('./check');
+
+const CARD_URL = 'https://bank.example/cards/regalia';
+const TERMS_URL = 'https://bank.example/docs/regalia-terms-and-conditions';
+
+/**
+ * Crawler whose card page, link fetches and AI step are stand-ins: the card page links to its
+ * terms and conditions, which turn out to be a Word document
+ */
+function scriptedCrawler() {
+    const crawler = new CardCrawler('test-key', { delayBetweenRequests: 1 });
+    crawler.contentExtractor.extractFromUrl = async url => ({
+        url,
+        title: 'Regalia Credit Card',
+        success: true,
+        contentType: 'web',
+        content: { text: 'Regalia Credit Card. Read the terms and conditions before applying.', html: '' },
+        links: [{ href: '/docs/regalia-terms-and-conditions', text: 'Most important terms and conditions', fullUrl: TERMS_URL }],
+        metadata: {}
+    });
+    crawler.linkProcessor.scheduler = { schedule: (url, task) => task() };
+    crawler.linkProcessor.contentTypeResolver = {
+        resolve: async () => ({ type: 'document', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' })
+    };
+    crawler.aiProcessor.processContent = async () => ({
+        standardJson: { card: { name: 'Regalia', bank: 'Bank Example' }, benefits: [] },
+        structuredJson: {}
+    });
+    return crawler;
+}
+
+async function testCrawler() {
+    await check('lists unsupported documents as skipped links, not failures', async () => {
+        const result = await scriptedCrawler().crawlCardBenefits(CARD_URL);
+        const { metadata } = result.standard;
+        assert.strictEqual(metadata.failed_links, 0);
+        assert.deepStrictEqual(metadata.skipped_links.map(link => link.url), [TERMS_URL]);
+        assert.match(metadata.skipped_links[0].error, /Unsupported content type/);
+        assert.strictEqual(metadata.link_graph.nodes[0].reason, 'unsupported');
+    });
+}
+
+module.exports = testCrawler;
@@ -0,0 +1,53 @@
+const DocumentStore = require('../src/documentStore');
+const LinkProcessor = require('../src/linkProcessor');
+const { check, assert } = require('./check');
+
+const MITC = 'https://bank.example/docs/mitc.pdf';
+const CARD_A = 'https://bank.example/cards/regalia';
+const CARD_B = 'https://bank.example/cards/millennia';
+
+const processed = (url, hash) => ({ url, content_type: 'pdf', content: { text: 'MITC' }, summary: 'MITC', content_hash: hash });
+
+async function testDocumentStore() {
+    await check('finds documents by canonical URL and content hash', async () => {
+        const store = new DocumentStore();
+        const entry = store.put(processed(MITC, 'hash-1'), { bytes: 10 }, CARD_A);
+        assert.strictEqual(store.get(`${MITC}?utm_source=footer`), entry);
+
+        const mirror = store.put(processed('https://cdn.bank.example/mitc.pdf', 'hash-1'), {}, CARD_B);
+        assert.strictEqual(mirror, entry);
+        assert.strictEqual(store.size, 1);
+        assert.deepStrictEqual(store.sharedDocuments(), [{
+            url: MITC,
+            content_type: 'pdf',
+            content_hash: 'hash-1',
+            fetched_for: CARD_A,
+            cards: [CARD_A, CARD_B],
+            urls: [MITC, 'https://cdn.bank.example/mitc.pdf']
+        }]);
+    });
+
+    await check('fetches a document once for all cards of a run', async () => {
+        const documentStore = new DocumentStore();
+        let fetches = 0;
+        const processorFor = () => {
+            const processor = new LinkProcessor({ browserPool: {}, httpCache: {}, documentStore, scheduler: { schedule: (url, task) => task() } });
+            processor.processLink = async link => {
+                fetches++;
+                return { processed: { ...link, ...processed(link.url, 'hash-mitc') }, bytes: 100, links: [] };
+            };
+            return processor;
+        };
+        const mitcLink = parent => ({ url: MITC, type: 'pdf', text: 'MITC', parent_url: parent });
+
+        await processorFor().processLinks([mitcLink(CARD_A)], CARD_A);
+        const second = await processorFor().processLinks([mitcLink(CARD_B)], CARD_B);
+
+        assert.strictEqual(fetches, 1);
+        assert.strictEqual(second.processedLinks[0].reused_from, CARD_A);
+        assert.strictEqual(second.linkGraph.budget.pages.used, 0);
+        assert.deepStrictEqual(documentStore.sharedDocuments()[0].cards, [CARD_A, CARD_B]);
+    });
+}
+
+module.exports = testDocumentStore;
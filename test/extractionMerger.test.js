@@ -0,0 +1,99 @@
+const os = require('os');
+const path = require('path');
+const config = require('../config/config');
+const ExtractionMerger = require('../src/extractionMerger');
+const AIProcessor = require('../src/aiProcessor');
+const { check, assert } = require('./check');
+
+const URL = 'https://www.hdfcbank.com/regalia-gold';
+
+const partial = (standard, structured = {}) => ({ standard_format: standard, structured_format: structured });
+
+async function testExtractionMerger() {
+    await check('combines lists and merges entries about the same thing', async () => {
+        const { merged, conflicts } = ExtractionMerger.merge([
+            { part: 1, data: partial({ benefits: [{ name: 'Lounge Access', description: 'Free lounge visits' }], current_offers: [] }) },
+            { part: 2, data: partial({
+                benefits: [{ name: 'lounge access!', description: 'Free lounge visits, 12 per year' }, { name: 'Golf', description: null }],
+                current_offers: [{ title: '', description: null }]
+            }) }
+        ]);
+
+        assert.deepStrictEqual(merged.standard_format.benefits, [
+            { name: 'Lounge Access', description: 'Free lounge visits, 12 per year' },
+            { name: 'Golf', description: null }
+        ]);
+        assert.deepStrictEqual(merged.standard_format.current_offers, []);
+        assert.deepStrictEqual(conflicts, []);
+    });
+
+    await check('keeps the first of conflicting fees and reports the other', async () => {
+        const { merged, conflicts } = ExtractionMerger.merge([
+            { part: 1, data: partial({ fees_and_charges: [{ type: 'Annual Fee', amount: 'Rs. 2,500' }] }, { fees: { PK: 'CARD#HDFC_BANK', joining_fee: '₹500' } }) },
+            { part: 2, data: partial({ fees_and_charges: [{ type: 'annual fee', amount: '₹2500' }] }, { fees: { PK: 'CARD#HDFC', joining_fee: '₹1,500' } }) }
+        ]);
+
+        assert.deepStrictEqual(merged.standard_format.fees_and_charges, [{ type: 'Annual Fee', amount: 'Rs. 2,500' }]);
+        assert.strictEqual(merged.structured_format.fees.joining_fee, '₹500');
+        assert.deepStrictEqual(conflicts, [{ path: '/structured_format/fees/joining_fee', kept: '₹500', dropped: '₹1,500', part: 2 }]);
+    });
+
+    await check('prefers set values, true flags and fuller texts, and aligns partition keys', async () => {
+        const { merged, conflicts } = ExtractionMerger.merge([
+            { part: 1, data: partial({ card: { name: 'Regalia Gold', network: null, contactless: false } }, {
+                Metadata: { PK: 'CARD#HDFC_BANK', SK: 'METADATA' },
+                fees: { PK: 'CARD#HDFC', renewal_waiver_condition: 'Spend 4 lakh' }
+            }) },
+            { part: 2, data: partial({ card: { name: 'REGALIA GOLD', network: 'Visa', contactless: true } }, {
+                fees: { PK: 'CARD#HDFC_BANK_LTD', renewal_waiver_condition: 'Spend 4 lakh in a year' }
+            }) }
+        ]);
+
+        assert.deepStrictEqual(merged.standard_format.card, { name: 'Regalia Gold', network: 'Visa', contactless: true });
+        assert.strictEqual(merged.structured_format.fees.renewal_waiver_condition, 'Spend 4 lakh in a year');
+        assert.strictEqual(merged.structured_format.fees.PK, 'CARD#HDFC_BANK');
+        assert.deepStrictEqual(conflicts, []);
+    });
+
+    await check('extracts oversized content chunk by chunk and merges the results', async () => {
+        const limits = { ...config.content };
+        Object.assign(config.content, { maxContentLength: 1500, maxChunkTokens: 1000 });
+        const requests = [];
+        const processor = new AIProcessor(null, {
+            provider: 'mock',
+            replayDir: path.join(os.tmpdir(), 'flip-no-recordings'),
+            respond: params => {
+                requests.push(params);
+                const prompt = params.messages[1].content;
+                if (prompt.includes('Broken section')) return 'not json';
+                const standard = {
+                    card: { name: 'Regalia Gold', bank: 'HDFC Bank' },
+                    rewards: {},
+                    benefits: prompt.includes('Lounge section') ? [{ name: 'Lounge access' }] : [{ name: 'Golf' }],
+                    current_offers: [],
+                    perks: [],
+                    partnerships: [],
+                    fees_and_charges: []
+                };
+                return JSON.stringify(partial(standard, processor.convertToStructuredFormat(standard, URL)));
+            }
+        });
+
+        try {
+            const filler = section => `${section}: ${'Details of this card feature. '.repeat(40)}`;
+            const mainContent = { title: 'Regalia Gold', content: { text: [filler('Lounge section'), filler('Broken section')].join('\n\n') } };
+            const linked = [{ url: `${URL}/golf`, content: { text: filler('Golf section') } }];
+
+            const result = await processor.processContent(mainContent, linked, URL);
+            assert.strictEqual(result.chunking.chunks, 3);
+            assert.deepStrictEqual(result.chunking.failed_chunks.map(chunk => chunk.part), [2]);
+            assert.deepStrictEqual(result.standardJson.benefits, [{ name: 'Lounge access' }, { name: 'Golf' }]);
+            assert.strictEqual(result.validation.valid, true);
+            assert.ok(requests[0].messages[1].content.includes('This is part 1 of 3'));
+        } finally {
+            Object.assign(config.content, limits);
+        }
+    });
+}
+
+module.exports = testExtractionMerger;
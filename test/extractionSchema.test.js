@@ -0,0 +1,142 @@
+const os = require('os');
+const path = require('path');
+const config = require('../config/config');
+const ExtractionSchema = require('../src/extractionSchema');
+const AIProcessor = require('../src/aiProcessor');
+const MockProvider = require('../src/llm/mockProvider');
+const { check, assert } = require('./check');
+
+const MESSAGES = [{ role: 'user', content: 'Extract the card' }];
+
+/**
+ * Paths of objects in a schema that strict mode would reject: open to additional properties,
+ * with properties that are not required, or free-form
+ */
+function strictProblems(node, pointer = '') {
+    if (!node || typeof node !== 'object') return [];
+    const problems = [];
+    if (node.properties) {
+        if (node.additionalProperties !== false) problems.push(`${pointer} is open`);
+        Object.keys(node.properties)
+            .filter(name => !(node.required || []).includes(name))
+            .forEach(name => problems.push(`${pointer}/${name} is optional`));
+    } else if (node.type === 'object') {
+        problems.push(`${pointer} is free-form`);
+    }
+    Object.entries(node).forEach(([key, child]) => problems.push(...strictProblems(child, `${pointer}/${key}`)));
+    return problems;
+}
+
+/**
+ * AIProcessor on the mock provider answering each request with the next scripted completion;
+ * the requests it was sent are kept in .requests
+ */
+function scriptedProcessor(completions) {
+    const requests = [];
+    const processor = new AIProcessor(null, {
+        provider: 'mock',
+        replayDir: path.join(os.tmpdir(), 'flip-no-recordings'),
+        respond: params => {
+            requests.push(params);
+            return completions[requests.length - 1];
+        }
+    });
+    processor.requests = requests;
+    return processor;
+}
+
+const cutOff = content => {
+    const completion = MockProvider.completion(content);
+    completion.choices[0].finish_reason = 'length';
+    return completion;
+};
+
+async function testExtractionSchema() {
+    await check('sends a schema strict mode accepts, as response_format or a forced tool call', async () => {
+        assert.deepStrictEqual(strictProblems(ExtractionSchema.apiSchema()), []);
+        assert.strictEqual(ExtractionSchema.apiSchema().$schema, undefined);
+
+        const responseFormat = ExtractionSchema.responseFormat();
+        assert.strictEqual(responseFormat.json_schema.strict, true);
+        const { tools, tool_choice } = ExtractionSchema.toolParams();
+        assert.strictEqual(tools[0].function.strict, true);
+        assert.strictEqual(tool_choice.function.name, tools[0].function.name);
+    });
+
+    await check('turns named entry lists and extensions back into the output layout', async () => {
+        const reply = ExtractionSchema.toOutput({
+            standard_format: {
+                card: { name: 'Regalia Gold', bank: 'HDFC Bank' },
+                benefits: [],
+                extensions: [
+                    { section: 'card', name: 'variant', value: 'Visa Infinite' },
+                    { section: 'card', name: 'name', value: 'Regalia' },
+                    { section: 'lounge', name: 'domestic_visits', value: 12 },
+                    { section: 'benefits', name: 'golf', value: 'Free games' }
+                ]
+            },
+            structured_format: {
+                features: { customization_options: [{ name: 'card_design', value: 'Metal' }] },
+                eligibility: { salaried: [{ name: 'min_age', value: 21 }], self_employed: [] },
+                fees: { other_charges: [{ name: 'Late Payment Fee', amount: 1300, frequency: null, waiver_conditions: null }] }
+            }
+        });
+
+        assert.deepStrictEqual(reply.standard_format.card, { name: 'Regalia Gold', bank: 'HDFC Bank', variant: 'Visa Infinite' });
+        assert.deepStrictEqual(reply.standard_format.lounge, { domestic_visits: 12 });
+        assert.deepStrictEqual(reply.standard_format.additional_information.map(entry => entry.name), ['name', 'golf']);
+        assert.strictEqual(reply.standard_format.extensions, undefined);
+        assert.deepStrictEqual(reply.structured_format.features.customization_options, { card_design: 'Metal' });
+        assert.deepStrictEqual(reply.structured_format.eligibility.salaried, { min_age: 21 });
+        assert.deepStrictEqual(reply.structured_format.fees.other_charges, {
+            late_payment_fee: { amount: 1300, frequency: null, waiver_conditions: null }
+        });
+    });
+
+    await check('continues a reply cut off at max_tokens and joins the pieces', async () => {
+        const processor = scriptedProcessor([
+            cutOff('```json\n{"standard_format": {"card": {"name": "Regal'),
+            cutOff('```json\nia Gold"}}, '),
+            MockProvider.completion('"structured_format": {}}\n```')
+        ]);
+
+        const reply = await processor.requestExtraction(MESSAGES);
+        assert.strictEqual(reply.continuations, 2);
+        assert.strictEqual(reply.truncated, false);
+        assert.deepStrictEqual(processor.parseAIResponse(reply.text), { standard_format: { card: { name: 'Regalia Gold' } }, structured_format: {} });
+
+        assert.ok(processor.requests[0].response_format, 'first request holds the reply to the schema');
+        assert.strictEqual(processor.requests[1].response_format, undefined);
+        assert.deepStrictEqual(processor.requests[2].messages.slice(-2).map(message => message.role), ['assistant', 'user']);
+    });
+
+    await check('stops continuing after maxContinuations and reports the reply as truncated', async () => {
+        const processor = scriptedProcessor([cutOff('{"a'), cutOff('b'), cutOff('c'), cutOff('d')]);
+        const reply = await processor.requestExtraction(MESSAGES);
+        assert.strictEqual(reply.truncated, true);
+        assert.strictEqual(reply.continuations, config.extraction.maxContinuations);
+        assert.strictEqual(processor.requests.length, config.extraction.maxContinuations + 1);
+    });
+
+    await check('reads tool call arguments in tool mode and fails on a refusal', async () => {
+        const mode = config.extraction.mode;
+        config.extraction.mode = 'tool';
+        try {
+            const toolCall = MockProvider.completion(null);
+            toolCall.choices[0].message.tool_calls = [{ id: 'call_1', type: 'function', function: { name: 'card_extraction', arguments: '{"standard_format":{}}' } }];
+            const processor = scriptedProcessor([toolCall]);
+            const reply = await processor.requestExtraction(MESSAGES);
+            assert.strictEqual(reply.text, '{"standard_format":{}}');
+            assert.strictEqual(processor.requests[0].tool_choice.function.name, 'card_extraction');
+            assert.strictEqual(processor.requests[0].response_format, undefined);
+        } finally {
+            config.extraction.mode = mode;
+        }
+
+        const refusal = MockProvider.completion(null);
+        refusal.choices[0].message.refusal = 'I cannot help with that';
+        await assert.rejects(scriptedProcessor([refusal]).requestExtraction(MESSAGES), /Model refused the extraction/);
+    });
+}
+
+module.exports = testExtractionSchema;
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const HttpCache = require('../src/httpCache');
+const { check, assert } = require('./check');
+
+/**
+ * Local server with an ETag, counting full responses and 304s
+ */
+function startServer() {
+    const hits = { full: 0, notModified: 0 };
+    const server = http.createServer((req, res) => {
+        if (req.headers['if-none-match'] === '"v1"') {
+            hits.notModified++;
+            res.writeHead(304);
+            res.end();
+            return;
+        }
+        hits.full++;
+        res.writeHead(200, { 'Content-Type': 'text/html', 'ETag': '"v1"' });
+        res.end('<html><body>Annual fee Rs. 500</body></html>');
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, hits, base: `http://127.0.0.1:${server.address().port}` })));
+}
+
+async function testHttpCache() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+    const { server, hits, base } = await startServer();
+
+    try {
+        await check('normalizes cache keys', async () => {
+            assert.strictEqual(
+                HttpCache.normalizeUrl('HTTPS://Bank.Example:443/card?b=2&a=1#fees'),
+                'https://bank.example/card?a=1&b=2'
+            );
+        });
+
+        await check('stores a page and revalidates it with If-None-Match', async () => {
+            const cache = new HttpCache({ dir, enabled: true, maxAge: 0 });
+            const first = await cache.fetch(`${base}/card`, { responseType: 'text' });
+            const second = await cache.fetch(`${base}/card`, { responseType: 'text' });
+            assert.strictEqual(first.data, second.data);
+            assert.deepStrictEqual(hits, { full: 1, notModified: 1 });
+            assert.strictEqual(cache.getStats().revalidated, 1);
+        });
+
+        await check('serves fresh entries without a request', async () => {
+            const cache = new HttpCache({ dir, enabled: true, maxAge: 60000 });
+            await cache.fetch(`${base}/card`, { responseType: 'text' });
+            assert.deepStrictEqual(hits, { full: 1, notModified: 1 });
+        });
+
+        await check('replays offline and fails on a miss', async () => {
+            const cache = new HttpCache({ dir, offline: true });
+            const replayed = await cache.fetch(`${base}/card`, { responseType: 'text' });
+            assert.match(replayed.data, /Annual fee/);
+            await assert.rejects(cache.fetch(`${base}/other`), error => error.code === 'ECACHEMISS');
+        });
+
+        await check('keeps rendered pages for offline replay', async () => {
+            new HttpCache({ dir, enabled: true }).writeRendered(`${base}/spa`, { title: 'SPA', links: [] });
+            assert.strictEqual(new HttpCache({ dir, offline: true }).readRendered(`${base}/spa#top`).title, 'SPA');
+        });
+    } finally {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = testHttpCache;
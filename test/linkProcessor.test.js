@@ -0,0 +1,92 @@
+const LinkProcessor = require('../src/linkProcessor');
+const { check, assert } = require('./check');
+
+const ROOT = 'https://bank.example/cards/regalia';
+
+const link = (path, type = 'general') => ({ url: `https://bank.example${path}`, type, text: path, parent_url: ROOT });
+
+/**
+ * LinkProcessor whose fetches are scripted: each URL resolves after its delay with the given
+ * content and outgoing links, or fails when marked so. Records how many fetches overlap.
+ */
+function scriptedProcessor(pages) {
+    const processor = new LinkProcessor({
+        browserPool: {},
+        httpCache: {},
+        scheduler: { schedule: (url, task) => task() }
+    });
+    processor.active = 0;
+    processor.peak = 0;
+    processor.processLink = async item => {
+        processor.active++;
+        processor.peak = Math.max(processor.peak, processor.active);
+        const page = pages[new URL(item.url).pathname] || {};
+        await new Promise(resolve => setTimeout(resolve, page.delay || 1));
+        processor.active--;
+
+        if (page.fail) {
+            return { failed: { url: item.url, type: item.type, error: 'HTTP 500', error_class: 'http_5xx' } };
+        }
+        const text = page.text || `Content of ${item.url}`;
+        return {
+            processed: { ...item, content_type: 'html', content: { text }, content_hash: processor.textHash(text) },
+            bytes: text.length,
+            links: (page.links || []).map(href => ({ href, text: 'Credit card offers', fullUrl: `https://bank.example${href}` }))
+        };
+    };
+    return processor;
+}
+
+async function testLinkProcessor() {
+    await check('fetches links in parallel up to the concurrency limit', async () => {
+        const pages = {};
+        const links = Array.from({ length: 10 }, (v, i) => link(`/page-${i}`));
+        const processor = scriptedProcessor(pages);
+        const { processedLinks } = await processor.processLinks(links, ROOT);
+        assert.strictEqual(processedLinks.length, 10);
+        assert.ok(processor.peak > 1, `expected parallel fetches, peak was ${processor.peak}`);
+        assert.ok(processor.peak <= 4, `expected at most 4 fetches at once, peak was ${processor.peak}`);
+    });
+
+    await check('returns results in priority order whatever order the fetches finish in', async () => {
+        const pages = {
+            '/terms.pdf': { delay: 40 },
+            '/offers': { delay: 5, links: ['/offers/swiggy'] },
+            '/offers/swiggy': { delay: 1 },
+            '/about-card': { delay: 20, fail: true },
+            '/general': { delay: 1 }
+        };
+        const links = [link('/general'), link('/about-card'), link('/offers', 'offers'), link('/terms.pdf', 'pdf')];
+        const { processedLinks, failedLinks, linkGraph } = await scriptedProcessor(pages).processLinks(links, ROOT);
+
+        assert.deepStrictEqual(processedLinks.map(item => new URL(item.url).pathname), ['/terms.pdf', '/offers', '/offers/swiggy', '/general']);
+        assert.deepStrictEqual(failedLinks.map(item => item.error_class), ['http_5xx']);
+        assert.strictEqual(linkGraph.nodes.find(node => node.url.endsWith('/offers/swiggy')).depth, 2);
+    });
+
+    await check('keeps one copy of links with identical content', async () => {
+        const pages = { '/fees': { text: 'Same fee table' }, '/charges': { text: 'Same fee table' } };
+        const { processedLinks, duplicateLinks } = await scriptedProcessor(pages).processLinks([link('/fees'), link('/charges')], ROOT);
+        assert.strictEqual(processedLinks.length, 1);
+        assert.deepStrictEqual(processedLinks[0].aliases, ['https://bank.example/charges']);
+        assert.strictEqual(duplicateLinks[0].duplicate_of, 'https://bank.example/fees');
+    });
+
+    await check('skips Office documents as unsupported instead of failing them', async () => {
+        const processor = new LinkProcessor({
+            browserPool: {},
+            httpCache: {},
+            scheduler: { schedule: (url, task) => task() }
+        });
+        const mimeType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+        processor.contentTypeResolver = { resolve: async () => ({ type: 'document', mimeType }) };
+
+        const { failedLinks, skippedLinks, linkGraph } = await processor.processLinks([link('/schedule-of-charges.docx')], ROOT);
+        assert.deepStrictEqual(failedLinks, []);
+        assert.strictEqual(skippedLinks[0].error_class, 'unsupported');
+        assert.strictEqual(skippedLinks[0].mime_type, mimeType);
+        assert.deepStrictEqual([linkGraph.nodes[0].status, linkGraph.nodes[0].reason], ['skipped', 'unsupported']);
+    });
+}
+
+module.exports = testLinkProcessor;
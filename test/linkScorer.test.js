@@ -0,0 +1,69 @@
+const LinkScorer = require('../src/linkScorer');
+const { check, assert } = require('./check');
+
+const BASE = 'https://www.hdfcbank.com/personal/pay/cards/credit-cards/millennia-credit-card';
+const rulesOf = decision => decision.matched.map(match => match.rule);
+
+async function testLinkScorer() {
+    const scorer = new LinkScorer();
+
+    await check('accepts card content and documents with the rules that matched', async () => {
+        const offers = scorer.score('Credit card cashback offers', '/offers/cashback', BASE);
+        assert.strictEqual(offers.accepted, true);
+        assert.deepStrictEqual(rulesOf(offers), ['card_content', 'rewards', 'offers']);
+        assert.strictEqual(offers.score, 10);
+
+        const mitc = scorer.score('Download', 'https://cdn.example.net/docs/MITC.pdf', BASE);
+        assert.strictEqual(mitc.accepted, true);
+        assert.ok(!rulesOf(mitc).includes('off_domain'));
+    });
+
+    await check('lets card content outweigh a noisy word instead of dropping the link', async () => {
+        const tax = scorer.score('Tax benefits on credit card EMI', '/credit-card-emi', BASE);
+        assert.strictEqual(tax.accepted, true);
+        assert.ok(rulesOf(tax).includes('financial_planning'));
+
+        // "dd" inside a word is not a demand draft
+        const address = scorer.score('Add an address', '/address', BASE);
+        assert.ok(!rulesOf(address).includes('security_and_statements'));
+    });
+
+    await check('rejects off-site pages, navigation and social links', async () => {
+        assert.deepStrictEqual(rulesOf(scorer.score('Credit card offers', 'https://coupons.example/hdfc', BASE)).slice(-1), ['off_domain']);
+        assert.strictEqual(scorer.score('Credit card offers', 'https://coupons.example/hdfc', BASE).accepted, false);
+        assert.strictEqual(scorer.score('Home', '/', BASE).accepted, false);
+        assert.strictEqual(scorer.score('Follow us', 'https://www.facebook.com/HDFC.bank', BASE).accepted, false);
+    });
+
+    await check('counts partner domains and issuer patterns', async () => {
+        const smartbuy = scorer.score('SmartBuy', 'https://smartbuy.hdfcbank.com/', BASE);
+        assert.ok(rulesOf(smartbuy).includes('issuer_relevant'));
+        assert.strictEqual(smartbuy.accepted, true);
+    });
+
+    await check('takes weights, threshold and extra rules from config', async () => {
+        const tuned = new LinkScorer({
+            threshold: 5,
+            weights: { offers: 10 },
+            rules: [{ id: 'lounge', weight: 6, on: 'text', patterns: [/lounge/i] }]
+        });
+        assert.strictEqual(tuned.score('Weekend deals', '/deals', BASE).score, 10);
+        assert.strictEqual(tuned.score('Airport lounge access', '/lounge', BASE).accepted, true);
+        assert.strictEqual(tuned.score('Lounge', '/x', BASE).matched[0].rule, 'lounge');
+    });
+
+    await check('reports decisions with per-rule hit counts', async () => {
+        const decisions = [
+            { url: 'https://www.hdfcbank.com/offers', ...scorer.score('Offers', '/offers', BASE) },
+            { url: 'https://www.hdfcbank.com/login', ...scorer.score('Login', '/login', BASE) }
+        ];
+        const report = scorer.report(decisions);
+        assert.strictEqual(report.threshold, 2);
+        assert.strictEqual(report.accepted, 1);
+        assert.strictEqual(report.rejected, 1);
+        assert.deepStrictEqual(report.rule_hits.account_access, { weight: -3, accepted: 0, rejected: 1 });
+        assert.strictEqual(report.decisions.length, 2);
+    });
+}
+
+module.exports = testLinkScorer;
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const LLM = require('../src/llm');
+const MockProvider = require('../src/llm/mockProvider');
+const { check, assert } = require('./check');
+
+const REQUEST = { model: 'local-model', messages: [{ role: 'user', content: 'Extract the card' }] };
+
+/**
+ * OpenAI-compatible server on localhost, as llama.cpp or vLLM would run it
+ */
+function startServer() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+            res.setHeader('content-type', 'application/json');
+            res.end(JSON.stringify(MockProvider.completion('{"card":{"name":"Regalia"}}', 'local-model')));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+async function testLlmProviders() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flip-llm-'));
+    const { server, requests } = await startServer();
+    const baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+
+    try {
+        await check('talks to an OpenAI-compatible server with custom headers and records the reply', async () => {
+            const provider = LLM.create({ provider: 'openai', baseURL, model: 'local-model', headers: { 'X-Team': 'cards' }, recordDir: dir, maxRetries: 0 });
+            assert.strictEqual(provider.model, 'local-model');
+
+            const response = await provider.chatCompletion(REQUEST);
+            assert.strictEqual(response.choices[0].message.content, '{"card":{"name":"Regalia"}}');
+            assert.strictEqual(requests[0].url, '/v1/chat/completions');
+            assert.strictEqual(requests[0].headers['x-team'], 'cards');
+            assert.deepStrictEqual(requests[0].body, REQUEST);
+            assert.ok(fs.existsSync(MockProvider.fileFor(dir, REQUEST)));
+        });
+
+        await check('replays the recorded completion without a server', async () => {
+            const mock = LLM.create({ provider: 'mock', replayDir: dir });
+            const replayed = await mock.chatCompletion(REQUEST);
+            assert.strictEqual(replayed.choices[0].message.content, '{"card":{"name":"Regalia"}}');
+            assert.strictEqual(requests.length, 1);
+        });
+
+        await check('answers unrecorded requests through respond() or fails as a cache miss', async () => {
+            const scripted = LLM.create({ provider: 'mock', replayDir: dir, respond: params => `echo ${params.messages.length}` });
+            const answer = await scripted.chatCompletion({ ...REQUEST, temperature: 0 });
+            assert.strictEqual(answer.choices[0].message.content, 'echo 1');
+
+            const strict = LLM.create({ provider: 'mock', replayDir: dir });
+            await assert.rejects(strict.chatCompletion({ ...REQUEST, temperature: 0 }), error => error.code === 'ECACHEMISS');
+        });
+
+        await check('uses the Azure deployment as the model and rejects unknown providers', async () => {
+            const azure = LLM.create({ provider: 'azure', apiKey: 'test', azure: { endpoint: 'https://cards.openai.azure.com', deployment: 'gpt-4o-cards' } });
+            assert.strictEqual(azure.name, 'azure');
+            assert.strictEqual(azure.model, 'gpt-4o-cards');
+            assert.throws(() => LLM.create({ provider: 'carrier-pigeon' }), /Unknown LLM provider "carrier-pigeon"/);
+        });
+    } finally {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = testLlmProviders;
@@ -0,0 +1,80 @@
+const MarkdownConverter = require('../src/markdownConverter');
+const { check, assert } = require('./check');
+
+const FEES_PAGE = `<html><body>
+<nav><a href="/">Home</a></nav>
+<div class="cookie-banner">We use cookies</div>
+<h2>Fees &amp; <strong>Charges</strong></h2>
+<ul>
+  <li>Joining fee: 500</li>
+  <li>Renewal fee waived on spends above 50,000
+    <ul><li>Spends on fuel are excluded</li></ul>
+  </li>
+</ul>
+<p>See the <a href="/mitc.pdf">MITC</a> for details.</p>
+<table>
+  <caption>Reward caps</caption>
+  <thead><tr><th>Category</th><th>Rate</th><th>Monthly cap</th></tr></thead>
+  <tbody>
+    <tr><td>Dining | Movies</td><td>5%</td><td rowspan="2">1,000 points</td></tr>
+    <tr><td>Groceries</td><td>3%</td></tr>
+  </tbody>
+</table>
+<script>window.tracking = true;</script>
+</body></html>`;
+
+async function testMarkdownConverter() {
+    const markdown = new MarkdownConverter().convert(FEES_PAGE);
+
+    await check('keeps headings, nested lists and link text', async () => {
+        assert.match(markdown, /^## Fees & Charges$/m);
+        assert.match(markdown, /^- Joining fee: 500$/m);
+        assert.match(markdown, /^ +- Spends on fuel are excluded$/m);
+        assert.match(markdown, /See the MITC for details\./);
+    });
+
+    await check('renders tables as Markdown with spans filled in', async () => {
+        assert.match(markdown, /\*\*Reward caps\*\*/);
+        assert.match(markdown, /^\| Category \| Rate \| Monthly cap \|$/m);
+        assert.match(markdown, /^\| --- \| --- \| --- \|$/m);
+        assert.match(markdown, /^\| Dining \\\| Movies \| 5% \| 1,000 points \|$/m);
+        assert.match(markdown, /^\| Groceries \| 3% \| 1,000 points \|$/m);
+    });
+
+    await check('drops navigation, cookie banners and scripts', async () => {
+        assert.ok(!markdown.includes('Home'));
+        assert.ok(!markdown.includes('cookies'));
+        assert.ok(!markdown.includes('tracking'));
+    });
+
+    await check('keeps pages wrapped in a form', async () => {
+        const converted = new MarkdownConverter().convert(
+            '<body><form id="aspnetForm"><h2>Fees and Charges</h2><p>Annual fee Rs 500</p><input type="hidden" value="VIEWSTATE"></form><p>Footer note</p></body>'
+        );
+        assert.match(converted, /^## Fees and Charges$/m);
+        assert.match(converted, /^Annual fee Rs 500$/m);
+        assert.match(converted, /^Footer note$/m);
+        assert.ok(!converted.includes('VIEWSTATE'));
+    });
+
+    await check('keeps accordion headings rendered as buttons', async () => {
+        const converted = new MarkdownConverter().convert(`<div class="accordion">
+            <button class="accordion-button">Fees &amp; Charges</button>
+            <div class="accordion-body"><p>Late payment fee Rs 1,300</p></div>
+        </div>`);
+        assert.match(converted, /Fees & Charges\s+Late payment fee Rs 1,300/);
+    });
+
+    await check('merges stacked header rows without losing data rows', async () => {
+        const cheerio = require('cheerio');
+        const $ = cheerio.load(`<table>
+            <thead><tr><th></th></tr><tr><th colspan="2">Fee</th></tr><tr><th>Type</th><th>Amount</th></tr></thead>
+            <tr><td>Annual</td><td>2,500</td></tr>
+        </table>`);
+        const grid = MarkdownConverter.tableToGrid($, $('table')[0]);
+        assert.deepStrictEqual(grid.rows, [['Fee / Type', 'Fee / Amount'], ['Annual', '2,500']]);
+        assert.strictEqual(grid.hasHeader, true);
+    });
+}
+
+module.exports = testMarkdownConverter;
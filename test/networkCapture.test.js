@@ -0,0 +1,88 @@
+const EventEmitter = require('events');
+const NetworkCapture = require('../src/networkCapture');
+const { check, assert } = require('./check');
+
+/**
+ * Puppeteer HTTPResponse stand-in
+ */
+function response(url, body, { type = 'xhr', status = 200, contentType = 'application/json' } = {}) {
+    return {
+        url: () => url,
+        status: () => status,
+        headers: () => ({ 'content-type': contentType }),
+        text: async () => body,
+        request: () => ({ resourceType: () => type, method: () => 'GET' })
+    };
+}
+
+/**
+ * Puppeteer Page stand-in whose network traffic the test drives
+ */
+function fakePage() {
+    const page = new EventEmitter();
+    page.off = page.removeListener;
+    return page;
+}
+
+const OFFERS = JSON.stringify({ offers: [{ merchant: 'Swiggy', cashback: '10%', validity: '31 Dec', terms: 'Min order 500' }] });
+
+async function testNetworkCapture() {
+    await check('keeps JSON payloads that mention offers and skips the rest', async () => {
+        const page = fakePage();
+        const session = new NetworkCapture({ minPayloadBytes: 10, minKeywordHits: 3 }).attach(page, 'https://bank.example/card');
+
+        page.emit('response', response('https://bank.example/data/feed.json', OFFERS));
+        page.emit('response', response('https://bank.example/api/user', JSON.stringify({ loggedIn: false, locale: 'en-IN' })));
+        page.emit('response', response('https://www.google-analytics.com/collect', OFFERS));
+        page.emit('response', response('https://bank.example/offers.js', OFFERS, { type: 'script' }));
+        page.emit('response', response('https://bank.example/api/broken', '{ offers: ', { contentType: 'application/json' }));
+        page.emit('response', response('https://bank.example/api/down', OFFERS, { status: 503 }));
+
+        const payloads = await session.stop();
+        assert.deepStrictEqual(payloads.map(payload => payload.url), ['https://bank.example/data/feed.json']);
+        assert.match(payloads[0].matched_by, /^keywords:.*cashback/);
+        assert.strictEqual(payloads[0].data.offers[0].merchant, 'Swiggy');
+        assert.strictEqual(payloads[0].body, undefined);
+        assert.strictEqual(page.listenerCount('response'), 0);
+    });
+
+    await check('matches issuer endpoint patterns regardless of keywords', async () => {
+        const page = fakePage();
+        const session = new NetworkCapture({ minPayloadBytes: 10 }).attach(page, 'https://offers.smartbuy.hdfcbank.com/');
+        page.emit('response', response('https://smartbuy.hdfcbank.com/api/merchant-list', JSON.stringify({ items: [1, 2, 3] })));
+
+        const [payload] = await session.stop();
+        assert.match(payload.matched_by, /^pattern:/);
+        assert.strictEqual(await session.stop().then(again => again[0]), payload);
+    });
+
+    await check('keeps the latest response per URL and archives it', async () => {
+        const records = [];
+        const archive = { record: (type, url, body) => records.push(body) && `urn:uuid:${records.length}` };
+        const page = fakePage();
+        const session = new NetworkCapture({ archive, minPayloadBytes: 10, minKeywordHits: 3 }).attach(page, 'https://bank.example/card');
+        page.emit('response', response('https://bank.example/api/offers?tab=1', OFFERS));
+        page.emit('response', response('https://bank.example/api/offers?tab=1', OFFERS.replace('Swiggy', 'Zomato')));
+
+        const payloads = await session.stop();
+        assert.strictEqual(payloads.length, 1);
+        assert.strictEqual(payloads[0].data.offers[0].merchant, 'Zomato');
+        assert.strictEqual(payloads[0].archive_record, 'urn:uuid:1');
+        assert.deepStrictEqual(Object.keys(NetworkCapture.summarize(payloads)[0]), ['url', 'method', 'status', 'matched_by', 'size', 'archive_record']);
+    });
+
+    await check('caps prompt text across payloads', async () => {
+        const payloads = [{ url: 'https://a.example/1', data: { text: 'x'.repeat(50) } }, { url: 'https://a.example/2', data: { y: 1 } }];
+        const text = NetworkCapture.toPromptText(payloads, 30);
+        assert.match(text, /^API RESPONSE: https:\/\/a\.example\/1\n.{30}…$/);
+        assert.ok(!text.includes('a.example/2'));
+    });
+
+    await check('does nothing when capture is disabled', async () => {
+        const page = fakePage();
+        assert.deepStrictEqual(await new NetworkCapture({ enabled: false }).attach(page, 'https://bank.example/').stop(), []);
+        assert.strictEqual(page.listenerCount('response'), 0);
+    });
+}
+
+module.exports = testNetworkCapture;
@@ -0,0 +1,59 @@
+const cheerio = require('cheerio');
+const PageExpander = require('../src/pageExpander');
+const StaticFetcher = require('../src/staticFetcher');
+const { check, assert } = require('./check');
+
+const TABBED_PAGE = `<html><head><title>Regalia Credit Card</title></head><body>
+<h1>Regalia</h1>
+<p>${'Earn 4 reward points per 150 spent on retail purchases. '.repeat(10)}</p>
+<div class="tab-content">
+  <div class="tab-pane active" id="benefits">Complimentary airport lounge access.</div>
+  <div class="tab-pane" id="fees" style="display: none">Annual fee of 2,500 waived on spends above 3 lakh.</div>
+</div>
+<div class="accordion-collapse" id="eligibility" hidden>Minimum net monthly income of 1 lakh.</div>
+<p style="display:none">Renewal benefits are credited within 30 days.</p>
+</body></html>`;
+
+/**
+ * HTTP cache stand-in that always answers with the same page
+ */
+function cacheServing(html) {
+    return {
+        offline: false,
+        fetch: async () => ({ status: 200, headers: { 'content-type': 'text/html' }, data: html })
+    };
+}
+
+async function testPageExpander() {
+    await check('reveals hidden tab panes and accordions in a cheerio document', async () => {
+        const $ = cheerio.load(TABBED_PAGE);
+        const revealed = PageExpander.revealPanelsInCheerio($);
+        assert.deepStrictEqual(revealed.map(panel => panel.label).sort(), ['eligibility', 'fees']);
+        assert.ok(revealed.every(panel => panel.type === 'hidden_panel'));
+        assert.strictEqual($('#fees').attr('style'), '');
+        assert.strictEqual($('#eligibility').attr('hidden'), undefined);
+    });
+
+    await check('leaves visible panels alone', async () => {
+        const $ = cheerio.load(TABBED_PAGE);
+        PageExpander.revealPanelsInCheerio($);
+        assert.deepStrictEqual(PageExpander.revealPanelsInCheerio($), []);
+    });
+
+    await check('keeps text from hidden panels in a static fetch and records them', async () => {
+        const fetcher = new StaticFetcher({ httpCache: cacheServing(TABBED_PAGE) });
+        const { result } = await fetcher.fetch('https://bank.example/regalia');
+        assert.match(result.content.text, /Annual fee of 2,500/);
+        assert.match(result.content.text, /Minimum net monthly income/);
+        assert.match(result.content.text, /Renewal benefits/);
+        assert.strictEqual(result.expandedPanels.length, 2);
+    });
+
+    await check('returns no panels when expansion is disabled or the page fails', async () => {
+        const failingPage = { evaluate: async () => { throw new Error('Execution context was destroyed'); } };
+        assert.deepStrictEqual(await new PageExpander({ enabled: false }).expand(failingPage), []);
+        assert.deepStrictEqual(await new PageExpander({ enabled: true }).expand(failingPage), []);
+    });
+}
+
+module.exports = testPageExpander;
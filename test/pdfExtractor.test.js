@@ -0,0 +1,64 @@
+const PdfExtractor = require('../src/pdfExtractor');
+const { check, assert } = require('./check');
+
+/**
+ * Pages in the shape parse() builds from rendered PDF text
+ */
+function pagesOf(...texts) {
+    return texts.map((text, index) => ({ number: index + 1, lines: text.split('\n').map(line => line.trim()).filter(Boolean) }));
+}
+
+const TERMS = pagesOf(
+    `MOST IMPORTANT TERMS AND CONDITIONS
+Contents ........ 1
+1. Fees and Charges
+1.1 Joining fee of ₹500 is levied on card issuance.
+2 lounge visits per quarter are complimentary.`,
+    `1.2 Late payment charges
+Up to ₹1,300 per statement depending on the outstanding.
+2. Reward Points
+2.1 Points expire after two years.
+Fee\tAmount
+Cash advance\t2.5%`
+);
+
+async function testPdfExtractor() {
+    const sections = PdfExtractor.detectSections(TERMS);
+
+    await check('splits terms at numbered clauses with titles', async () => {
+        const clauses = sections.filter(section => section.clause).map(section => [section.clause, section.heading]);
+        assert.deepStrictEqual(clauses, [
+            ['1', 'Fees and Charges'], ['1.1', null], ['1.2', 'Late payment charges'], ['2', 'Reward Points'], ['2.1', null]
+        ]);
+    });
+
+    await check('keeps counts, contents entries and table rows as body text', async () => {
+        const joining = sections.find(section => section.clause === '1.1');
+        assert.match(joining.text, /^Joining fee of ₹500 .* 2 lounge visits per quarter/);
+        assert.match(sections[0].text, /Contents/);
+        assert.match(sections.find(section => section.clause === '2.1').text, /Cash advance 2\.5%/);
+    });
+
+    await check('cites the page and clause each section starts on', async () => {
+        assert.strictEqual(sections[0].heading, 'MOST IMPORTANT TERMS AND CONDITIONS');
+        assert.strictEqual(sections.find(section => section.clause === '1.2').citation, 'page 2, clause 1.2');
+        assert.strictEqual(PdfExtractor.citation({ page: 3, end_page: 4, clause: null, heading: 'Schedule of Charges' }),
+            'pages 3-4, "Schedule of Charges"');
+    });
+
+    await check('accepts only clause numbers that follow on from the previous one', async () => {
+        assert.ok(PdfExtractor.isNextClause('4.2.1', '4.2'));
+        assert.ok(PdfExtractor.isNextClause('5', '4.2'));
+        assert.ok(PdfExtractor.isNextClause('5.1', '4.3'));
+        assert.ok(!PdfExtractor.isNextClause('12', '4.2'));
+        assert.strictEqual(PdfExtractor.matchClause('500 reward points on joining', '1'), null);
+    });
+
+    await check('labels Markdown sections with their citations', async () => {
+        const markdown = PdfExtractor.toMarkdown(sections);
+        assert.match(markdown, /^## 1\.2 Late payment charges \[page 2, clause 1\.2\]$/m);
+        assert.deepStrictEqual(Object.keys(PdfExtractor.outline(sections)[0]), ['index', 'heading', 'clause', 'page', 'end_page', 'citation']);
+    });
+}
+
+module.exports = testPdfExtractor;
@@ -0,0 +1,78 @@
+const PolitenessScheduler = require('../src/politenessScheduler');
+const CardCrawler = require('../src/crawler');
+const { check, assert } = require('./check');
+
+/**
+ * HTTP cache stand-in answering robots.txt requests with the next scripted outcome
+ */
+function robotsCache(outcomes) {
+    const cache = { calls: 0, offline: false };
+    cache.fetch = async () => {
+        const outcome = outcomes[Math.min(cache.calls++, outcomes.length - 1)];
+        if (outcome instanceof Error) throw outcome;
+        return typeof outcome === 'number'
+            ? { status: outcome, headers: {}, data: '' }
+            : { status: 200, headers: {}, data: outcome };
+    };
+    return cache;
+}
+
+function httpFailure(status) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status };
+    return error;
+}
+
+const scheduler = (httpCache, options = {}) =>
+    new PolitenessScheduler({ httpCache, delayPerHost: 0, ...options });
+
+async function testPolitenessScheduler() {
+    await check('crawls unrestricted when robots.txt is missing', async () => {
+        const result = await scheduler(robotsCache([404])).checkRobots('https://bank.example/cards');
+        assert.strictEqual(result.allowed, true);
+    });
+
+    await check('disallows a host whose robots.txt fails with 5xx', async () => {
+        const politeness = scheduler(robotsCache([httpFailure(503)]));
+        const verdict = await politeness.checkRobots('https://bank.example/cards');
+        assert.deepStrictEqual(verdict, { allowed: false, rule: 'robots.txt unavailable' });
+        await assert.rejects(politeness.schedule('https://bank.example/cards', async () => 'fetched'),
+            error => error.code === 'EROBOTS');
+    });
+
+    await check('disallows a host whose robots.txt cannot be reached', async () => {
+        const unreachable = Object.assign(new Error('getaddrinfo ENOTFOUND bank.example'), { code: 'ENOTFOUND' });
+        const verdict = await scheduler(robotsCache([unreachable])).checkRobots('https://bank.example/cards');
+        assert.strictEqual(verdict.allowed, false);
+    });
+
+    await check('fetches a failed robots.txt again after robotsRetryAfter', async () => {
+        const cache = robotsCache([httpFailure(500), 'User-agent: *\nDisallow: /private']);
+        const waiting = scheduler(cache, { robotsRetryAfter: 60000 });
+        await waiting.checkRobots('https://bank.example/cards');
+        assert.strictEqual((await waiting.checkRobots('https://bank.example/cards')).allowed, false);
+        assert.strictEqual(cache.calls, 1);
+
+        waiting.hostState('https://bank.example/').robotsExpires = Date.now() - 1;
+        assert.strictEqual((await waiting.checkRobots('https://bank.example/cards')).allowed, true);
+        assert.strictEqual((await waiting.checkRobots('https://bank.example/private/x')).allowed, false);
+        assert.strictEqual(cache.calls, 2);
+    });
+
+    await check('keeps a loaded robots.txt for the run', async () => {
+        const cache = robotsCache(['User-agent: *\nCrawl-delay: 5\nSitemap: https://bank.example/sitemap.xml']);
+        const politeness = scheduler(cache);
+        assert.deepStrictEqual(await politeness.getSitemaps('https://bank.example/a'), ['https://bank.example/sitemap.xml']);
+        await politeness.checkRobots('https://bank.example/b');
+        assert.strictEqual(cache.calls, 1);
+        assert.strictEqual(politeness.hostState('https://bank.example/').delay, 5000);
+    });
+
+    await check('reads delayBetweenCards as the per-host delay', async () => {
+        const cache = robotsCache([404]);
+        assert.strictEqual(CardCrawler.createScheduler(cache, { delayBetweenCards: 3000 }).delayPerHost, 3000);
+        assert.strictEqual(CardCrawler.createScheduler(cache, { delayBetweenCards: 3000, delayBetweenRequests: 1000 }).delayPerHost, 1000);
+    });
+}
+
+module.exports = testPolitenessScheduler;
@@ -0,0 +1,96 @@
+const RetryPolicy = require('../src/retryPolicy');
+const { check, assert } = require('./check');
+
+function errorWith(fields, message = 'request failed') {
+    return Object.assign(new Error(message), fields);
+}
+
+/**
+ * Task that fails with each scripted error in turn, then succeeds
+ */
+function failingTask(errors) {
+    const task = async () => {
+        task.calls++;
+        if (task.calls <= errors.length) throw errors[task.calls - 1];
+        return 'ok';
+    };
+    task.calls = 0;
+    return task;
+}
+
+const quickPolicy = (options = {}) => new RetryPolicy({ baseDelay: 1, maxDelay: 1, maxAttempts: 3, circuitFailureThreshold: 3, ...options });
+
+async function testRetryPolicy() {
+    await check('classifies network, HTTP, bot-block and parse failures', async () => {
+        const classOf = error => RetryPolicy.classify(error).errorClass;
+        assert.strictEqual(classOf(errorWith({ code: 'ENOTFOUND' })), 'dns');
+        assert.strictEqual(classOf(errorWith({ code: 'CERT_HAS_EXPIRED' })), 'tls');
+        assert.strictEqual(classOf(errorWith({ code: 'ECONNABORTED' })), 'timeout');
+        assert.strictEqual(classOf(errorWith({ cause: { code: 'ECONNRESET' } })), 'connection');
+        assert.strictEqual(classOf(RetryPolicy.httpError(404, 'Not Found')), 'http_4xx');
+        assert.strictEqual(classOf(errorWith({ response: { status: 429 } })), 'rate_limited');
+        assert.strictEqual(classOf(new Error('Request failed with status code 503')), 'http_5xx');
+        assert.strictEqual(classOf(RetryPolicy.botBlockError('https://bank.example/')), 'bot_block');
+        assert.strictEqual(classOf(new Error('Invalid PDF structure')), 'parse');
+        assert.strictEqual(classOf(new Error('Protocol error: Target closed')), 'browser');
+        assert.strictEqual(classOf(new Error('something odd')), 'unknown');
+    });
+
+    await check('spots short WAF interstitials but not long pages that mention a captcha', async () => {
+        assert.ok(RetryPolicy.isBotBlockPage('Access Denied', 'You don\'t have permission to access this resource. Reference #18.2f4e'));
+        assert.ok(!RetryPolicy.isBotBlockPage('Regalia Credit Card', `Fill in the captcha to apply. ${'Reward details. '.repeat(300)}`));
+    });
+
+    await check('retries transient failures and tags the final error', async () => {
+        const policy = quickPolicy();
+        const flaky = failingTask([errorWith({ code: 'ETIMEDOUT' }), RetryPolicy.httpError(502)]);
+        assert.strictEqual(await policy.run('https://bank.example/a', flaky), 'ok');
+        assert.strictEqual(flaky.calls, 3);
+
+        const missing = failingTask([RetryPolicy.httpError(404), RetryPolicy.httpError(404)]);
+        await assert.rejects(policy.run('https://bank.example/b', missing), error => error.errorClass === 'http_4xx');
+        assert.strictEqual(missing.calls, 1);
+    });
+
+    await check('backs off exponentially up to the cap', async () => {
+        const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 300, jitter: 0 });
+        assert.deepStrictEqual([1, 2, 3, 4].map(attempt => policy.backoffDelay(attempt)), [100, 200, 300, 300]);
+    });
+
+    await check('opens the circuit for a failing host and closes it after a good trial', async () => {
+        const policy = quickPolicy({ maxAttempts: 1, circuitCooldown: 20 });
+        const down = () => failingTask([errorWith({ code: 'ECONNREFUSED' })]);
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(policy.run('https://down.example/page', down()));
+        }
+        assert.strictEqual(policy.getStats()['down.example'].open, true);
+
+        const skipped = failingTask([]);
+        await assert.rejects(policy.run('https://down.example/other', skipped), error => error.errorClass === 'circuit_open');
+        assert.strictEqual(skipped.calls, 0);
+        assert.strictEqual(await policy.run('https://up.example/', failingTask([])), 'ok');
+
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.strictEqual(await policy.run('https://down.example/page', failingTask([])), 'ok');
+        assert.deepStrictEqual(policy.getStats(), {});
+    });
+
+    await check('counts a 404 as proof the host is up', async () => {
+        const policy = quickPolicy({ maxAttempts: 1 });
+        await assert.rejects(policy.run('https://bank.example/x', failingTask([errorWith({ code: 'ECONNRESET' })])));
+        await assert.rejects(policy.run('https://bank.example/y', failingTask([RetryPolicy.httpError(404)])));
+        assert.strictEqual(policy.getStats()['bank.example'], undefined);
+    });
+
+    await check('does not hold an unsupported document against the host', async () => {
+        assert.deepStrictEqual(RetryPolicy.classify(errorWith({ errorClass: 'unsupported' })),
+            { errorClass: 'unsupported', retryable: false, hostLevel: false });
+
+        const policy = quickPolicy({ maxAttempts: 1 });
+        await assert.rejects(policy.run('https://bank.example/x', failingTask([errorWith({ code: 'ECONNRESET' })])));
+        policy.recordFailure('bank.example', 'unsupported');
+        assert.strictEqual(policy.getStats()['bank.example'], undefined);
+    });
+}
+
+module.exports = testRetryPolicy;
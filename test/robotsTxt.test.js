@@ -0,0 +1,55 @@
+const RobotsTxt = require('../src/robotsTxt');
+const { check, assert } = require('./check');
+
+const ROBOTS = `# Bank robots
+User-agent: *
+Disallow: /netbanking/
+Disallow: /*.php$
+Allow: /netbanking/cards-info
+Crawl-delay: 2
+
+User-agent: FlipCrawler
+User-agent: OtherBot
+Disallow: /private
+Allow: /private/card-terms.pdf
+Crawl-delay: 10
+
+Sitemap: https://bank.example/sitemap.xml
+`;
+
+async function testRobotsTxt() {
+    const robots = RobotsTxt.parse(ROBOTS);
+
+    await check('picks the most specific allow/disallow rule', async () => {
+        assert.deepStrictEqual(robots.check('/netbanking/login', 'Mozilla'), { allowed: false, rule: 'Disallow: /netbanking/' });
+        assert.strictEqual(robots.check('/netbanking/cards-info/pixel', 'Mozilla').allowed, true);
+        assert.strictEqual(robots.check('/credit-cards', 'Mozilla').allowed, true);
+    });
+
+    await check('honours * and $ wildcards', async () => {
+        assert.strictEqual(robots.check('/apply/form.php', 'Mozilla').allowed, false);
+        assert.strictEqual(robots.check('/apply/form.php?card=1', 'Mozilla').allowed, true);
+    });
+
+    await check('uses the group naming our agent instead of *', async () => {
+        assert.strictEqual(robots.check('/netbanking/login', 'FlipCrawler/1.0').allowed, true);
+        assert.strictEqual(robots.check('/private/statement', 'FlipCrawler').allowed, false);
+        assert.strictEqual(robots.check('/private/card-terms.pdf', 'flipcrawler').allowed, true);
+        assert.strictEqual(robots.crawlDelay('FlipCrawler'), 10);
+        assert.strictEqual(robots.crawlDelay('Mozilla'), 2);
+    });
+
+    await check('collects sitemaps and always allows robots.txt itself', async () => {
+        assert.deepStrictEqual(robots.sitemaps, ['https://bank.example/sitemap.xml']);
+        assert.strictEqual(RobotsTxt.parse('User-agent: *\nDisallow: /').check('/robots.txt', 'x').allowed, true);
+    });
+
+    await check('allows or disallows everything for missing and unreachable files', async () => {
+        assert.strictEqual(RobotsTxt.allowAll().check('/anything', 'FlipCrawler').allowed, true);
+        const unreachable = RobotsTxt.disallowAll();
+        assert.strictEqual(unreachable.check('/anything', 'FlipCrawler').allowed, false);
+        assert.strictEqual(unreachable.unavailable, true);
+    });
+}
+
+module.exports = testRobotsTxt;
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Offline checks of the crawler's parsing and decision logic: every test/*.test.js file,
+ * in name order, or only those whose names contain one of the arguments. Needs no API key,
+ * network or browser. Live crawls stay in test.js.
+ */
+async function runAll(filters) {
+    const files = fs.readdirSync(__dirname)
+        .filter(file => file.endsWith('.test.js'))
+        .filter(file => filters.length === 0 || filters.some(filter => file.includes(filter)))
+        .sort();
+    if (files.length === 0) {
+        console.error(`❌ No test files match: ${filters.join(', ')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    for (const file of files) {
+        console.log(`\n🧪 ${file}`);
+        await require(path.join(__dirname, file))();
+    }
+
+    console.log(process.exitCode ? '\n❌ Some checks failed' : `\n✅ All checks passed (${files.length} files)`);
+}
+
+runAll(process.argv.slice(2)).catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,95 @@
+const os = require('os');
+const path = require('path');
+const SchemaValidator = require('../src/schemaValidator');
+const AIProcessor = require('../src/aiProcessor');
+const { check, assert } = require('./check');
+
+const STANDARD = {
+    card: { name: 'Regalia Gold Credit Card', bank: 'HDFC Bank' },
+    rewards: {},
+    benefits: [],
+    current_offers: [],
+    perks: [],
+    partnerships: [],
+    fees_and_charges: []
+};
+
+/**
+ * AIProcessor on the mock provider answering each request with the next scripted reply;
+ * the requests it was sent are kept in .requests
+ */
+function scriptedProcessor(replies) {
+    const requests = [];
+    const processor = new AIProcessor(null, {
+        provider: 'mock',
+        replayDir: path.join(os.tmpdir(), 'flip-no-recordings'),
+        respond: params => {
+            requests.push(params);
+            const reply = replies[Math.min(requests.length, replies.length) - 1];
+            return typeof reply === 'string' ? reply : JSON.stringify(reply);
+        }
+    });
+    processor.requests = requests;
+    return processor;
+}
+
+async function testSchemaValidator() {
+    const validator = SchemaValidator.forAIResponse();
+    const valid = () => {
+        const structured = scriptedProcessor([]).convertToStructuredFormat(STANDARD, 'https://www.hdfcbank.com/regalia-gold');
+        return JSON.parse(JSON.stringify({ standard_format: STANDARD, structured_format: structured }));
+    };
+
+    await check('accepts a response in both formats', async () => {
+        assert.deepStrictEqual(validator.validate(valid()), []);
+    });
+
+    await check('reports drifted, missing and extra fields by JSON Pointer', async () => {
+        const response = valid();
+        response.structured_format.Metadata.SK = 'META';
+        delete response.structured_format.fees.renewal_fee;
+        response.structured_format.fees.surprise_fee = '₹99';
+        response.standard_format.benefits = 'lounge access';
+
+        const paths = validator.validate(response).map(violation => violation.path);
+        assert.ok(paths.includes('/structured_format/Metadata/SK'), paths.join(', '));
+        assert.ok(paths.includes('/structured_format/fees'), paths.join(', '));
+        assert.ok(paths.includes('/structured_format/fees/surprise_fee'), paths.join(', '));
+        assert.ok(paths.includes('/standard_format/benefits'), paths.join(', '));
+        assert.deepStrictEqual(validator.validate({}).map(violation => violation.message), [
+            'is missing required property "standard_format"',
+            'is missing required property "structured_format"'
+        ]);
+    });
+
+    await check('sends violations back to the model and keeps the repaired reply', async () => {
+        const broken = valid();
+        broken.structured_format.Metadata.SK = 'META';
+        const processor = scriptedProcessor(['{"standard_format": {', broken, valid()]);
+
+        const { parsedData, validation } = await processor.completeValidated(processor.extractionMessages('Extract the card'));
+        assert.strictEqual(validation.valid, true);
+        assert.strictEqual(validation.repair_attempts, 2);
+        assert.deepStrictEqual(parsedData.structured_format.Metadata, valid().structured_format.Metadata);
+
+        const repairPrompt = processor.requests[2].messages.at(-1).content;
+        assert.ok(repairPrompt.includes('- /structured_format/Metadata/SK'), repairPrompt);
+        assert.strictEqual(processor.requests[2].messages.length, 4);
+    });
+
+    await check('reports violations left after the last repair attempt', async () => {
+        const broken = valid();
+        delete broken.standard_format.card;
+        const processor = scriptedProcessor([broken]);
+
+        const { validation } = await processor.completeValidated(processor.extractionMessages('Extract the card'));
+        assert.strictEqual(validation.valid, false);
+        assert.strictEqual(validation.repair_attempts, 2);
+        assert.deepStrictEqual(validation.violations, [{ path: '/standard_format', message: 'is missing required property "card"' }]);
+        assert.strictEqual(processor.requests.length, 3);
+
+        await assert.rejects(scriptedProcessor(['not json']).completeValidated(processor.extractionMessages('Extract the card')));
+    });
+}
+
+module.exports = testSchemaValidator;
@@ -0,0 +1,46 @@
+const SiteAdapters = require('../src/adapters');
+const { detectListingPage } = require('../index');
+const { check, assert } = require('./check');
+
+async function testSiteAdapters() {
+    await check('picks the issuer adapter by hostname, subdomains included', async () => {
+        assert.strictEqual(SiteAdapters.forUrl('https://www.hdfcbank.com/personal/pay/cards').id, 'hdfc');
+        assert.strictEqual(SiteAdapters.forUrl('https://www.sbicard.com/en/personal/credit-cards.page').id, 'sbi_card');
+        assert.strictEqual(SiteAdapters.forUrl('https://nothdfcbank.com/cards').id, 'generic');
+        assert.strictEqual(SiteAdapters.forUrl('not a url').id, 'generic');
+    });
+
+    await check('unwraps HDFC repository links to the document path', async () => {
+        const wrapped = 'https://www.hdfcbank.com/content/bbp/repositories/723fb80a?path=%2FPersonal%2FPay%2FCards%2FMITC.pdf';
+        const adapter = SiteAdapters.forUrl(wrapped);
+        assert.strictEqual(adapter.rewriteUrl(wrapped, { quiet: true }), 'https://www.hdfcbank.com/Personal/Pay/Cards/MITC.pdf');
+        assert.strictEqual(adapter.rewriteUrl('https://www.hdfcbank.com/fees', { quiet: true }), 'https://www.hdfcbank.com/fees');
+    });
+
+    await check('counts partner domains as the issuer\'s own', async () => {
+        const sbi = SiteAdapters.forUrl('https://www.sbicard.com/');
+        assert.ok(sbi.isIssuerDomain('https://www.sbi.co.in/offers'));
+        assert.ok(!sbi.isIssuerDomain('https://www.hdfcbank.com/offers'));
+    });
+
+    await check('lets the issuer tell listing pages from card pages', async () => {
+        assert.strictEqual(detectListingPage('https://www.hdfcbank.com/personal/pay/cards/credit-cards'), true);
+        assert.strictEqual(detectListingPage('https://www.hdfcbank.com/personal/pay/cards/credit-cards/pixel-play-credit-card'), false);
+        assert.strictEqual(detectListingPage('https://www.sbicard.com/en/personal/credit-cards/rewards/simplyclick-sbi-card.page'), false);
+        assert.strictEqual(detectListingPage('https://bank.example/all-credit-cards'), true);
+        assert.strictEqual(detectListingPage('https://bank.example/platinum'), false);
+    });
+
+    await check('registers an adapter at runtime ahead of the bundled ones', async () => {
+        const adapter = SiteAdapters.register({
+            id: 'test_bank',
+            hostnames: ['testbank.example'],
+            cardPatterns: [/\/card\//]
+        });
+        assert.strictEqual(SiteAdapters.forUrl('https://www.testbank.example/card/gold'), adapter);
+        assert.strictEqual(adapter.detectListingPage('https://www.testbank.example/card/gold'), false);
+        assert.strictEqual(adapter.detectListingPage('https://www.testbank.example/about'), null);
+    });
+}
+
+module.exports = testSiteAdapters;
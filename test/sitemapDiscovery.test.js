@@ -0,0 +1,102 @@
+const zlib = require('zlib');
+const SitemapDiscovery = require('../src/sitemapDiscovery');
+const PolitenessScheduler = require('../src/politenessScheduler');
+const { check, assert } = require('./check');
+
+const ROBOTS = `User-agent: *
+Disallow: /personal/pay/cards/credit-cards/staff-card
+Sitemap: https://www.hdfcbank.com/sitemap_index.xml`;
+
+const INDEX = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://www.hdfcbank.com/sitemap-cards.xml.gz</loc></sitemap>
+  <sitemap><loc>https://www.hdfcbank.com/sitemap-missing.xml</loc></sitemap>
+</sitemapindex>`;
+
+const CARDS = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://www.hdfcbank.com/personal/pay/cards/credit-cards</loc><lastmod>2026-09-01</lastmod></url>
+  <url><loc>https://www.hdfcbank.com/personal/pay/cards/credit-cards/millennia-credit-card</loc><lastmod>2026-10-01</lastmod></url>
+  <url><loc><![CDATA[https://www.hdfcbank.com/personal/pay/cards/credit-cards/regalia-gold-credit-card]]></loc><lastmod>2026-06-15T10:00:00+05:30</lastmod></url>
+  <url><loc>https://www.hdfcbank.com/personal/pay/cards/credit-cards/staff-card</loc></url>
+  <url><loc>https://www.hdfcbank.com/personal/pay/cards/credit-cards/millennia-credit-card/fees-and-charges</loc></url>
+  <url><loc>https://www.otherbank.example/credit-cards/gold</loc></url>
+</urlset>`;
+
+/**
+ * HTTP cache stand-in serving fixed bodies by URL, 404 for the rest
+ */
+function siteCache(files) {
+    return {
+        offline: false,
+        fetch: async url => {
+            if (!(url in files)) {
+                const error = new Error('Request failed with status code 404');
+                error.response = { status: 404 };
+                throw error;
+            }
+            return { status: 200, headers: {}, data: files[url] };
+        }
+    };
+}
+
+function discovery(files = {
+    'https://www.hdfcbank.com/robots.txt': ROBOTS,
+    'https://www.hdfcbank.com/sitemap_index.xml': Buffer.from(INDEX),
+    'https://www.hdfcbank.com/sitemap-cards.xml.gz': zlib.gzipSync(CARDS)
+}) {
+    const httpCache = siteCache(files);
+    const scheduler = new PolitenessScheduler({ httpCache, delayPerHost: 0 });
+    return new SitemapDiscovery({ httpCache, scheduler });
+}
+
+async function testSitemapDiscovery() {
+    await check('follows robots.txt sitemaps through indexes and gzip to card pages', async () => {
+        const result = await discovery().discover('www.hdfcbank.com');
+        assert.strictEqual(result.domain, 'https://www.hdfcbank.com');
+        assert.deepStrictEqual(result.seeds.map(seed => seed.url), [
+            'https://www.hdfcbank.com/personal/pay/cards/credit-cards/millennia-credit-card',
+            'https://www.hdfcbank.com/personal/pay/cards/credit-cards/regalia-gold-credit-card'
+        ]);
+        assert.strictEqual(result.seeds[1].lastmod, '2026-06-15T04:30:00.000Z');
+        assert.strictEqual(result.disallowed_by_robots, 1);
+        assert.strictEqual(result.rejected_urls, 3);
+        assert.deepStrictEqual(result.sitemaps.map(sitemap => sitemap.type), ['index', 'urlset', null]);
+    });
+
+    await check('keeps only pages changed since a date or a previous run', async () => {
+        const sinceResult = await discovery().discover('https://www.hdfcbank.com/', { since: '2026-09-01', changedOnly: true });
+        assert.deepStrictEqual(sinceResult.seeds.map(seed => seed.change), ['modified']);
+        assert.deepStrictEqual(sinceResult.change_summary, { modified: 1, unchanged: 1 });
+
+        const previousSeeds = [
+            { url: 'https://www.hdfcbank.com/personal/pay/cards/credit-cards/millennia-credit-card', lastmod: '2026-10-01T00:00:00.000Z' }
+        ];
+        const rerun = await discovery().discover('https://www.hdfcbank.com', { previousSeeds });
+        assert.deepStrictEqual(rerun.seeds.map(seed => seed.change), ['unchanged', 'new']);
+    });
+
+    await check('accepts plain-text sitemaps and rejects other documents', async () => {
+        const parsed = SitemapDiscovery.parse('https://bank.example/a\n\nhttps://bank.example/b\n');
+        assert.deepStrictEqual(parsed.urls.map(entry => entry.url), ['https://bank.example/a', 'https://bank.example/b']);
+        assert.throws(() => SitemapDiscovery.parse('<html>Not found</html>'), error => error.code === 'EPARSE');
+        assert.strictEqual(SitemapDiscovery.normalizeDate('yesterday'), null);
+    });
+
+    await check('counts malformed sitemap URLs as rejected', async () => {
+        const result = await discovery({
+            'https://www.hdfcbank.com/robots.txt': 'User-agent: *\nDisallow:',
+            'https://www.hdfcbank.com/sitemap.xml': Buffer.from(`<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://www.hdfcbank.com/personal/pay/cards/credit-cards/millennia-credit-card</loc></url>
+  <url><loc>https://www.hdfc bank.com/personal/pay/cards/credit-cards/regalia-gold-credit-card</loc></url>
+  <url><loc>https://www.hdfcbank.com/personal/pay/cards/credit-cards/swiggy credit card</loc></url>
+</urlset>`),
+            'https://www.hdfcbank.com/sitemap_index.xml': Buffer.from('https://www.hdfcbank.com/personal/pay/cards/credit-cards/moneyback-credit-card 2026-10-01\n')
+        }).discover('www.hdfcbank.com');
+        assert.deepStrictEqual(result.seeds.map(seed => seed.url), ['https://www.hdfcbank.com/personal/pay/cards/credit-cards/millennia-credit-card']);
+        assert.strictEqual(result.total_urls, 4);
+        assert.strictEqual(result.rejected_urls, 3);
+    });
+}
+
+module.exports = testSitemapDiscovery;
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StaticFetcher = require('../src/staticFetcher');
+const ContentExtractor = require('../src/contentExtractor');
+const LinkProcessor = require('../src/linkProcessor');
+const HttpCache = require('../src/httpCache');
+const RetryPolicy = require('../src/retryPolicy');
+const { check, assert } = require('./check');
+
+const PAGE = `<html><head><title>Pixel Play Credit Card</title></head><body>
+<nav>Menu</nav>
+<h1>Pixel Play</h1>
+<p>${'Earn 5% cashback on your chosen merchants. '.repeat(20)}</p>
+<a href="/fees-and-charges">Fees and charges</a>
+</body></html>`;
+
+/**
+ * HTTP cache stand-in answering each fetch with the next scripted outcome
+ */
+function scriptedCache(outcomes) {
+    const cache = { calls: 0, offline: false };
+    cache.fetch = async () => {
+        const outcome = outcomes[Math.min(cache.calls++, outcomes.length - 1)];
+        if (outcome instanceof Error) throw outcome;
+        return { status: 200, headers: { 'content-type': 'text/html' }, data: outcome };
+    };
+    return cache;
+}
+
+function httpFailure(status) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status };
+    return error;
+}
+
+const quickRetries = () => new RetryPolicy({ baseDelay: 1, maxDelay: 1, circuitFailureThreshold: 100 });
+
+async function testStaticFetcher() {
+    await check('parses title, text and links without site chrome', async () => {
+        const { result, needsBrowser } = await new StaticFetcher({ httpCache: scriptedCache([PAGE]), retryPolicy: quickRetries() })
+            .fetch('https://bank.example/pixel-play');
+        assert.strictEqual(needsBrowser, false);
+        assert.strictEqual(result.title, 'Pixel Play Credit Card');
+        assert.ok(!result.content.text.includes('Menu'));
+        assert.strictEqual(result.links[0].fullUrl, 'https://bank.example/fees-and-charges');
+    });
+
+    await check('flags an empty SPA shell for the browser', async () => {
+        const shell = '<html><body><div id="root"></div></body></html>';
+        const { needsBrowser, reason } = await new StaticFetcher({ httpCache: scriptedCache([shell]), retryPolicy: quickRetries() })
+            .fetch('https://bank.example/spa');
+        assert.strictEqual(needsBrowser, true);
+        assert.match(reason, /SPA shell/);
+    });
+
+    await check('flags pages with too little text or asking for JavaScript', async () => {
+        const fetcher = new StaticFetcher({ httpCache: scriptedCache([]), retryPolicy: quickRetries() });
+        const stub = '<html><body><noscript>Please enable JavaScript</noscript><p>Loading offers</p></body></html>';
+        assert.strictEqual(fetcher.jsRenderedReason(stub, fetcher.parse(stub, 'https://bank.example/stub')), 'page asks for JavaScript');
+        const short = '<html><body><p>Pixel Play</p></body></html>';
+        assert.match(fetcher.jsRenderedReason(short, fetcher.parse(short, 'https://bank.example/short')), /^only \d+ characters of text$/);
+    });
+
+    await check('retries a transient 503 before giving up on the static path', async () => {
+        const cache = scriptedCache([httpFailure(503), PAGE]);
+        const { needsBrowser } = await new StaticFetcher({ httpCache: cache, retryPolicy: quickRetries() })
+            .fetch('https://bank.example/flaky');
+        assert.strictEqual(cache.calls, 2);
+        assert.strictEqual(needsBrowser, false);
+    });
+
+    await check('does not retry a 404', async () => {
+        const cache = scriptedCache([httpFailure(404)]);
+        await assert.rejects(new StaticFetcher({ httpCache: cache, retryPolicy: quickRetries() }).fetch('https://bank.example/gone'));
+        assert.strictEqual(cache.calls, 1);
+    });
+
+    await check('escalates to the browser only when it could help', async () => {
+        assert.strictEqual(StaticFetcher.shouldEscalate(httpFailure(404)), false);
+        assert.strictEqual(StaticFetcher.shouldEscalate(httpFailure(410)), false);
+        assert.strictEqual(StaticFetcher.shouldEscalate(httpFailure(403)), true);
+        assert.strictEqual(StaticFetcher.shouldEscalate(httpFailure(503)), false);
+        assert.strictEqual(StaticFetcher.shouldEscalate(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' })), false);
+        assert.strictEqual(StaticFetcher.shouldEscalate(Object.assign(new Error('getaddrinfo ENOTFOUND bank.example'), { code: 'ENOTFOUND' })), false);
+        assert.strictEqual(StaticFetcher.shouldEscalate(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+        assert.strictEqual(StaticFetcher.shouldEscalate(Object.assign(new Error('unable to verify the first certificate'), { code: 'UNABLE_TO_VERIFY_LEAF_SIGNATURE' })), true);
+    });
+
+    await check('reports a 404 page as failed instead of rendering it', async () => {
+        const extractor = new ContentExtractor({ httpCache: scriptedCache([httpFailure(404)]), retryPolicy: quickRetries() });
+        extractor.extractRenderedContent = async () => assert.fail('browser should not be used');
+        const result = await extractor.extractWebContent('https://bank.example/gone');
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.errorClass, 'http_4xx');
+    });
+
+    await check('does not render a page whose server errors outlasted the retries', async () => {
+        const httpCache = scriptedCache([httpFailure(503)]);
+        const extractor = new ContentExtractor({ httpCache, retryPolicy: quickRetries() });
+        extractor.extractRenderedContent = async () => assert.fail('browser should not be used');
+        const result = await extractor.extractWebContent('https://bank.example/down');
+        assert.strictEqual(result.errorClass, 'http_5xx');
+        assert.strictEqual(httpCache.calls, quickRetries().config.maxAttempts);
+    });
+
+    await check('replays a page cached only as rendered output offline', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-fetch-'));
+        const url = 'https://bank.example/waf-protected';
+        try {
+            new HttpCache({ dir, enabled: true }).writeRendered(url, {
+                url, title: 'Pixel Play', content: { text: 'Rendered fee table', html: null }, links: [], success: true
+            });
+            const httpCache = new HttpCache({ dir, offline: true });
+
+            const extracted = await new ContentExtractor({ httpCache, retryPolicy: quickRetries() }).extractWebContent(url);
+            assert.strictEqual(extracted.success, true);
+            assert.strictEqual(extracted.metadata.fetchMode, 'cache');
+
+            const linked = await new LinkProcessor({ browserPool: {}, httpCache, retryPolicy: quickRetries() }).extractWebContent(url);
+            assert.strictEqual(linked.success, true);
+            assert.strictEqual(linked.content.text, 'Rendered fee table');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+}
+
+module.exports = testStaticFetcher;
@@ -0,0 +1,78 @@
+const StructuredDataExtractor = require('../src/structuredDataExtractor');
+const { check, assert } = require('./check');
+
+const CARD_PAGE = `<html><head>
+<meta property="og:title" content="Millennia Credit Card">
+<meta property="og:image" content="/images/millennia.png">
+<script type="application/ld+json">
+{ "@context": "https://schema.org", "@graph": [
+  { "@type": "WebPage", "name": "Millennia" },
+  { "@type": "FinancialProduct", "name": "Millennia Credit Card", "brand": { "@type": "Brand", "name": "HDFC Bank" },
+    "image": "https://bank.example/img/millennia-card.png",
+    "offers": { "@type": "Offer", "name": "Joining fee", "price": "1000", "priceCurrency": "INR" } },
+]}
+</script>
+<script type="application/ld+json">
+{ "@type": "FAQPage", "mainEntity": [
+  { "@type": "Question", "name": "What is the cashback rate?", "acceptedAnswer": { "@type": "Answer", "text": "<p>5% on <b>Amazon</b></p>" } },
+  { "@type": "Question", "name": "Unanswered?" }
+]}
+</script>
+<script type="application/ld+json">{ "@type": "Offer", "name": "Swiggy weekend", "validThrough": "2026-12-31" }</script>
+<script type="application/ld+json">{ not json</script>
+</head><body>
+<div itemscope itemtype="https://schema.org/Product">
+  <span itemprop="name">Millennia</span>
+  <div itemprop="offers" itemscope itemtype="https://schema.org/Offer"><meta itemprop="price" content="1000"></div>
+  <a itemprop="url" href="/cards/millennia">Details</a>
+</div>
+</body></html>`;
+
+async function testStructuredDataExtractor() {
+    const data = StructuredDataExtractor.fromHtml(CARD_PAGE, 'https://bank.example/cards/millennia');
+
+    await check('parses JSON-LD graphs, tolerating trailing commas and skipping broken blocks', async () => {
+        assert.deepStrictEqual(data.jsonLd.map(node => node['@type']), ['WebPage', 'FinancialProduct', 'FAQPage', 'Offer']);
+    });
+
+    await check('reads nested microdata items with absolute URLs', async () => {
+        assert.deepStrictEqual(data.microdata, [{
+            '@type': 'Product',
+            name: 'Millennia',
+            offers: { '@type': 'Offer', price: '1000' },
+            url: 'https://bank.example/cards/millennia'
+        }]);
+        assert.strictEqual(data.openGraph.title, 'Millennia Credit Card');
+    });
+
+    await check('distils card name, bank, image, offers and FAQs', async () => {
+        const { hints } = data;
+        assert.strictEqual(hints.card_name, 'Millennia Credit Card');
+        assert.strictEqual(hints.bank, 'HDFC Bank');
+        assert.strictEqual(hints.image, 'https://bank.example/img/millennia-card.png');
+        assert.deepStrictEqual(hints.offers, [
+            { name: 'Joining fee', price: '1000', currency: 'INR' },
+            { name: 'Swiggy weekend', valid_through: '2026-12-31' }
+        ]);
+        assert.deepStrictEqual(hints.faqs, [{ question: 'What is the cashback rate?', answer: '5% on Amazon' }]);
+    });
+
+    await check('fills empty AI fields and always sets image and FAQs', async () => {
+        const standardJson = { card: { name: 'Millennia', bank: '' } };
+        const structuredJson = { Metadata: {} };
+        const filled = StructuredDataExtractor.applyHints(standardJson, structuredJson, data);
+        assert.strictEqual(standardJson.card.name, 'Millennia');
+        assert.strictEqual(standardJson.card.bank, 'HDFC Bank');
+        assert.strictEqual(structuredJson.Metadata.card_name, 'Millennia Credit Card');
+        assert.deepStrictEqual(filled, ['card.bank', 'card.image', 'faqs', 'Metadata.card_name']);
+    });
+
+    await check('puts facts first in the prompt and leaves page chrome out', async () => {
+        const text = StructuredDataExtractor.toPromptText(data);
+        assert.match(text, /^Card facts: \{"card_name":"Millennia Credit Card"/);
+        assert.ok(!text.includes('"WebPage"'));
+        assert.strictEqual(StructuredDataExtractor.toPromptText(StructuredDataExtractor.fromHtml('<p>plain</p>')), '');
+    });
+}
+
+module.exports = testStructuredDataExtractor;
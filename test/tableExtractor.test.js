@@ -0,0 +1,77 @@
+const TableExtractor = require('../src/tableExtractor');
+const { check, assert } = require('./check');
+
+const FEES_TABLE = `<table>
+  <caption>Fees and charges</caption>
+  <tr><td>Fee</td><td>Amount</td><td>Waiver</td></tr>
+  <tr><td>Joining fee</td><td>₹500</td><td>No</td></tr>
+  <tr><td>Annual fee</td><td>Rs. 1,000 /-</td><td>Yes</td></tr>
+  <tr><td>Late payment</td><td>Up to ₹1,300</td><td>-</td></tr>
+</table>
+<table><tr><td><table><tr><td>Layout</td><td>only</td></tr></table></td></tr><tr><td>Apply now</td></tr></table>`;
+
+/**
+ * pdf-parse page stand-in with positioned text items
+ */
+function pdfPage(items) {
+    return {
+        getTextContent: async () => ({
+            items: items.map(([str, x, y, width]) => ({ str, width, transform: [10, 0, 0, 10, x, y] }))
+        })
+    };
+}
+
+async function testTableExtractor() {
+    await check('types currency, percentages, numbers, booleans and blanks', async () => {
+        assert.deepStrictEqual(TableExtractor.typeValue('₹1,499'), { type: 'currency', value: 1499 });
+        assert.deepStrictEqual(TableExtractor.typeValue('500 /-'), { type: 'currency', value: 500 });
+        assert.deepStrictEqual(TableExtractor.typeValue('3.5%'), { type: 'percentage', value: 3.5 });
+        assert.deepStrictEqual(TableExtractor.typeValue('1,00,000'), { type: 'number', value: 100000 });
+        assert.deepStrictEqual(TableExtractor.typeValue('Yes'), { type: 'boolean', value: true });
+        assert.deepStrictEqual(TableExtractor.typeValue('N/A'), { type: 'empty', value: null });
+        assert.deepStrictEqual(TableExtractor.typeValue('1% + GST'), { type: 'text', value: '1% + GST' });
+    });
+
+    await check('extracts HTML tables with a detected header and skips layout tables', async () => {
+        const tables = TableExtractor.fromHtml(FEES_TABLE, 'https://bank.example/fees');
+        assert.strictEqual(tables.length, 1);
+
+        const [table] = tables;
+        assert.strictEqual(table.header_detected, true);
+        assert.strictEqual(table.caption, 'Fees and charges');
+        assert.strictEqual(table.source_url, 'https://bank.example/fees');
+        assert.deepStrictEqual(table.columns.map(column => column.type), ['text', 'mixed', 'boolean']);
+        assert.deepStrictEqual(table.rows[1], { Fee: 'Annual fee', Amount: 'Rs. 1,000 /-', Waiver: true });
+        assert.strictEqual(table.rows[2].Waiver, null);
+    });
+
+    await check('finds grid runs in tab-separated PDF text', async () => {
+        const text = [
+            'Schedule of charges',
+            'Card variant\tAnnual fee\tReward rate',
+            'Classic\t₹499\t1%',
+            'Gold\t₹999\t1.5%',
+            'Platinum\t₹2,999\t2%',
+            'Charges are subject to GST.'
+        ].join('\n');
+        const [table] = TableExtractor.fromPdfText(text, 'https://bank.example/mitc.pdf');
+        assert.strictEqual(table.source, 'pdf');
+        assert.deepStrictEqual(table.columns.map(column => column.name), ['Card variant', 'Annual fee', 'Reward rate']);
+        assert.deepStrictEqual(table.rows[2], { 'Card variant': 'Platinum', 'Annual fee': 2999, 'Reward rate': 2 });
+        assert.match(TableExtractor.toMarkdown(table), /\| Card variant \| Annual fee \(currency\) \| Reward rate \(percentage\) \|/);
+    });
+
+    await check('ignores prose that happens to contain tabs', async () => {
+        assert.deepStrictEqual(TableExtractor.fromPdfText('a\tb\nsingle line\nc\td'), []);
+    });
+
+    await check('renders PDF pages with column gaps as tabs', async () => {
+        const text = await TableExtractor.renderPdfPage(pdfPage([
+            ['Fee', 50, 700, 20], ['Amount', 200, 700, 40],
+            ['Joining', 50, 680, 35], ['fee', 87, 680, 15], ['₹500', 200, 680, 25]
+        ]));
+        assert.strictEqual(text, 'Fee\tAmount\nJoining fee\t₹500');
+    });
+}
+
+module.exports = testTableExtractor;
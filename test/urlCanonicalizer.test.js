@@ -0,0 +1,48 @@
+const UrlCanonicalizer = require('../src/urlCanonicalizer');
+const LinkProcessor = require('../src/linkProcessor');
+const { check, assert } = require('./check');
+
+const canonical = UrlCanonicalizer.canonicalize;
+
+async function testUrlCanonicalizer() {
+    await check('strips tracking parameters, fragments and trailing slashes', async () => {
+        assert.strictEqual(
+            canonical('https://bank.example/cards/regalia/?utm_source=mail&b=2&gclid=x&a=1#fees'),
+            'https://bank.example/cards/regalia?a=1&b=2'
+        );
+        assert.strictEqual(canonical('https://bank.example/'), 'https://bank.example');
+    });
+
+    await check('treats http and https, host case and default ports as the same page', async () => {
+        assert.strictEqual(canonical('http://BANK.example:80/Fees'), canonical('https://bank.example/Fees'));
+        assert.notStrictEqual(canonical('https://bank.example/Fees'), canonical('https://bank.example/fees'));
+        assert.strictEqual(canonical('http://bank.example/fees', { ignoreScheme: false, trackingParams: [] }), 'http://bank.example/fees');
+    });
+
+    await check('maps issuer wrapper URLs to the document they wrap', async () => {
+        const wrapped = 'https://www.hdfcbank.com/content/bbp/repositories/723fb80a?path=%2FPersonal%2FMITC.pdf&utm_medium=web';
+        assert.strictEqual(canonical(wrapped), canonical('http://www.hdfcbank.com/Personal/MITC.pdf'));
+    });
+
+    await check('leaves URLs it cannot parse unchanged', async () => {
+        assert.strictEqual(canonical('javascript:void(0)'), 'javascript:void(0)');
+        assert.strictEqual(canonical('not a url'), 'not a url');
+    });
+
+    await check('queues a document reached through several URLs once, keeping the others as aliases', async () => {
+        const mitc = 'https://www.hdfcbank.com/Personal/MITC.pdf';
+        const pageLinks = [
+            mitc,
+            'https://www.hdfcbank.com/content/bbp/repositories/723fb80a?path=%2FPersonal%2FMITC.pdf',
+            'http://www.hdfcbank.com/Personal/MITC.pdf?utm_source=footer'
+        ].map(fullUrl => ({ href: fullUrl, fullUrl, text: 'MITC PDF' }));
+
+        const processor = new LinkProcessor({ browserPool: {}, httpCache: {} });
+        const links = processor.extractLinks({ links: pageLinks }, 'https://www.hdfcbank.com/cards/regalia');
+        assert.strictEqual(links.length, 1);
+        assert.strictEqual(links[0].url, mitc);
+        assert.strictEqual(links[0].aliases.length, 2);
+    });
+}
+
+module.exports = testUrlCanonicalizer;